@@ -0,0 +1,90 @@
+// backend/scripts/backfillHistory.ts
+// Pulls full historical tracks for sharks whose provider has a history
+// source (see `history` in src/config/trackingProviders.ts) and merges them
+// into shark_positions without duplicates.
+//
+// Resumable: each finished shark gets sharks.history_backfilled_at, and
+// later runs skip those unless --force is given. Stop it any time and run
+// it again to continue.
+//
+//   npm run backfill:history -- [--provider mapotic] [--shark mapotic:123] [--force] [--limit 50]
+import { getTrackingProviders } from "../src/config/trackingProviders";
+import { getRepository } from "../src/repositories";
+import { backfillSharkHistory } from "../src/services/historyBackfill";
+
+function argValue(name: string): string | undefined {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+  const providerFilter = argValue("--provider");
+  const sharkFilter = argValue("--shark");
+  const force = process.argv.includes("--force");
+  const limit = Number(argValue("--limit") ?? Infinity);
+
+  const providers = getTrackingProviders().filter(
+    (provider) => provider.history && (!providerFilter || provider.id === providerFilter)
+  );
+  if (providers.length === 0) {
+    console.log("No matching provider has a history source configured. Nothing to do.");
+    return;
+  }
+
+  // 1) Sharks still to backfill (ordered by id so progress is predictable)
+  const repository = getRepository();
+  let sharks;
+  try {
+    sharks = (await repository.listSharks()).filter(
+      (shark) =>
+        (force || !shark.history_backfilled_at) &&
+        (!sharkFilter || shark.external_id === sharkFilter)
+    );
+  } catch (err) {
+    console.error("Error loading sharks:", err);
+    process.exit(1);
+  }
+
+  const byProvider = new Map(providers.map((provider) => [provider.id, provider]));
+  const todo = sharks
+    .map((shark) => {
+      const externalId = shark.external_id;
+      const separator = externalId.indexOf(":");
+      const provider = byProvider.get(externalId.slice(0, separator));
+      return provider
+        ? { externalId, provider, sourceId: externalId.slice(separator + 1) }
+        : null;
+    })
+    .filter((entry): entry is NonNullable<typeof entry> => entry !== null)
+    .slice(0, Number.isFinite(limit) ? limit : undefined);
+
+  if (todo.length === 0) {
+    console.log("No sharks left to backfill.");
+    return;
+  }
+
+  console.log(`Backfilling history for ${todo.length} shark(s).`);
+
+  // 2) One shark at a time; each completed shark is checkpointed in the DB
+  let inserted = 0;
+  let failed = 0;
+  for (const [index, entry] of todo.entries()) {
+    try {
+      const result = await backfillSharkHistory(repository, entry.provider, entry.sourceId);
+      inserted += result.pointsInserted;
+      console.log(
+        `  [${index + 1}/${todo.length}] ${entry.externalId}: +${result.pointsInserted} points, ${result.pointsSkipped} already stored, ${result.pointsQuarantined} quarantined`
+      );
+    } catch (err) {
+      failed++;
+      console.error(`  [${index + 1}/${todo.length}] ${entry.externalId} failed:`, err);
+    }
+  }
+
+  console.log(`Done. Inserted ${inserted} points; ${failed} shark(s) failed and will be retried next run.`);
+}
+
+main().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+// backend/scripts/backfillMarine.ts
+// Looks up the ocean conditions (SST, wave height) at the time of every
+// stored ping that has none yet, newest pings first. The enrichment stage
+// after each sync does this for new pings; run this once after applying
+// sql/010_position_marine.sql.
+//
+// Resumable: looked-up pings are marked, so stop it any time (or let the
+// archive's rate limit stop it) and run it again to continue.
+//
+//   npm run backfill:marine -- [--limit 5000]
+import { enrichPositionMarine, MARINE_BATCH_SIZE } from "../src/services/marineEnrichment";
+
+function argValue(name: string): string | undefined {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+  const limit = Number(argValue("--limit") ?? Infinity);
+
+  let lookedUp = 0;
+  let withValues = 0;
+  while (lookedUp < limit) {
+    const batch = await enrichPositionMarine({
+      limit: Math.min(MARINE_BATCH_SIZE, limit - lookedUp),
+    });
+    lookedUp += batch.lookedUp;
+    withValues += batch.withValues;
+    console.log(`Looked up ${lookedUp} pings so far (${withValues} with archive values)`);
+
+    if (batch.interrupted) {
+      console.log("The marine archive stopped answering; run again later to continue.");
+      break;
+    }
+    if (batch.lookedUp === 0) break;
+  }
+
+  console.log(`Done. Looked up ${lookedUp} pings; ${withValues} got archive values.`);
+}
+
+main().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
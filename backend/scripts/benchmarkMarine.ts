@@ -0,0 +1,84 @@
+// backend/scripts/benchmarkMarine.ts
+// Times the marine client against the local fake Open-Meteo server from
+// test/fakeMarineServer.ts (some requests get a 429, a 503 or no answer):
+// a cold client, then a second client on the same cache store, which is
+// what the server sees after a restart. No network or storage needed. The
+// correctness checks are in test/marineClient.test.ts.
+//
+//   npm run bench:marine -- [points=20] [days=3] [callersPerKey=5]
+import { createMarineClient } from "../src/services/marineClient";
+import {
+  createFakeMarineServer,
+  createMemoryStore,
+  marineWorkload,
+  workloadPoint,
+} from "../test/fakeMarineServer";
+
+// the client's per-attempt timeout in this run
+const REQUEST_TIMEOUT_MS = 500;
+
+async function runClient(
+  label: string,
+  client: ReturnType<typeof createMarineClient>,
+  lookups: { lat: number; lng: number; time: string }[],
+  callersPerKey: number,
+  points: number
+) {
+  const started = Date.now();
+  const calls: Promise<{ sst: number | null }>[] = [];
+  for (let i = 0; i < callersPerKey; i++) {
+    for (const { lat, lng, time } of lookups) calls.push(client.at(lat, lng, time));
+    for (let p = 0; p < points; p++) {
+      const { lat, lng } = workloadPoint(p);
+      calls.push(client.current(lat, lng));
+    }
+  }
+  const results = await Promise.all(calls);
+  const elapsed = String(Date.now() - started).padStart(6);
+
+  const metrics = client.metrics();
+  const hitRate = (metrics.hitRate * 100).toFixed(1);
+  const missing = results.filter((r) => r.sst == null).length;
+  console.log(
+    `${label.padEnd(10)} ${elapsed} ms  ${metrics.requests} requests, ` +
+      `${metrics.upstreamCalls} upstream calls, hit rate ${hitRate}%, ` +
+      `${metrics.coalesced} coalesced, ${metrics.retries} retries ` +
+      `(${metrics.rateLimited} x 429, ${metrics.upstreamErrors} x 5xx or timeout), ` +
+      `${metrics.throttledMs} ms throttled, ${missing} without values`
+  );
+}
+
+async function main() {
+  const points = Number(process.argv[2] ?? 20);
+  const days = Number(process.argv[3] ?? 3);
+  const callersPerKey = Number(process.argv[4] ?? 5);
+
+  const fake = createFakeMarineServer();
+  const options = {
+    store: createMemoryStore(),
+    baseUrl: await fake.listen(),
+    ratePerSecond: 20,
+    burst: 10,
+    maxRetries: 4,
+    retryBaseMs: 50,
+    requestTimeoutMs: REQUEST_TIMEOUT_MS,
+  };
+  const lookups = marineWorkload(points, days);
+  const keys = lookups.length + points;
+  console.log(
+    `${points} points x ${days} days + current conditions, ` +
+      `${callersPerKey} concurrent callers per key (${keys} keys)`
+  );
+
+  try {
+    await runClient("cold", createMarineClient(options), lookups, callersPerKey, points);
+    await runClient("restarted", createMarineClient(options), lookups, callersPerKey, points);
+  } finally {
+    await fake.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
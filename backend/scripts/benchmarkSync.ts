@@ -0,0 +1,137 @@
+// backend/scripts/benchmarkSync.ts
+// Compares the batched sync pipeline with the old per-feature round trips
+// on a synthetic feed, against an in-memory store that adds a fixed latency
+// to every call (no Supabase or network needed).
+//
+//   npm run bench:sync -- [features=200] [latencyMs=5]
+import { ingestProviderPositions } from "../src/services/positionIngest";
+import type { ProviderPosition } from "../src/services/providers";
+import type { LatestPosition, SyncStore } from "../src/services/syncStore";
+
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createLatencyStore(latencyMs: number) {
+  const sharkIds = new Map<string, number>();
+  const latest = new Map<number, LatestPosition>();
+  const pings = new Set<string>();
+  let roundTrips = 0;
+
+  const store: SyncStore = {
+    async upsertSharks(rows) {
+      roundTrips++;
+      await sleep(latencyMs);
+      return rows.map((row) => {
+        let id = sharkIds.get(row.external_id);
+        if (id == null) {
+          id = sharkIds.size + 1;
+          sharkIds.set(row.external_id, id);
+        }
+        return { id, external_id: row.external_id };
+      });
+    },
+    async findSharks(externalIds) {
+      roundTrips++;
+      await sleep(latencyMs);
+      return externalIds
+        .filter((externalId) => sharkIds.has(externalId))
+        .map((externalId) => ({ id: sharkIds.get(externalId)!, external_id: externalId }));
+    },
+    async existingTimestamps(ids, timestamps) {
+      roundTrips++;
+      await sleep(latencyMs);
+      const out: { shark_id: number; source_timestamp: string }[] = [];
+      for (const id of ids) {
+        for (const ts of timestamps) {
+          if (pings.has(`${id}|${ts}`)) out.push({ shark_id: id, source_timestamp: ts });
+        }
+      }
+      return out;
+    },
+    async quarantinedUntimed() {
+      roundTrips++;
+      await sleep(latencyMs);
+      return [];
+    },
+    async latestPositions(ids) {
+      roundTrips++;
+      await sleep(latencyMs);
+      return ids.map((id) => latest.get(id)).filter((p): p is LatestPosition => !!p);
+    },
+    async insertPositions(rows) {
+      if (rows.length === 0) return;
+      roundTrips++;
+      await sleep(latencyMs);
+      for (const row of rows) {
+        latest.set(row.shark_id, { ...row });
+        if (row.source_timestamp) pings.add(`${row.shark_id}|${row.source_timestamp}`);
+      }
+    },
+    async quarantinePositions() {
+      roundTrips++;
+      await sleep(latencyMs);
+    },
+    async markHistoryBackfilled() {
+      roundTrips++;
+      await sleep(latencyMs);
+    },
+  };
+
+  return { store, roundTrips: () => roundTrips };
+}
+
+function syntheticFeed(count: number, tick: number): ProviderPosition[] {
+  return Array.from({ length: count }, (_, i) => ({
+    sourceId: String(i + 1),
+    name: `Synthetic ${i + 1}`,
+    species: "Carcharodon carcharias",
+    // every other animal pings again between ticks; the rest re-send their
+    // previous ping, which the (shark, source_timestamp) dedup drops
+    lat: -34 + (i % 100) * 0.01 + (i % 2 === 0 ? tick * 0.01 : 0),
+    lng: 17 + Math.floor(i / 100) * 0.01, // offshore, so the land mask passes
+    sourceTimestamp: new Date(Date.UTC(2024, 0, 1, i % 2 === 0 ? tick : 0)).toISOString(),
+    meta: {},
+  }));
+}
+
+async function run(label: string, latencyMs: number, count: number, perFeature: boolean) {
+  const { store, roundTrips } = createLatencyStore(latencyMs);
+  const started = Date.now();
+  let inserted = 0;
+
+  // two ticks: first sight of every animal, then a poll where half moved
+  for (const tick of [0, 1]) {
+    const feed = syntheticFeed(count, tick);
+    if (perFeature) {
+      for (const position of feed) {
+        const result = await ingestProviderPositions(store, "bench", [position]);
+        inserted += result.pointsInserted;
+      }
+    } else {
+      const result = await ingestProviderPositions(store, "bench", feed);
+      inserted += result.pointsInserted;
+    }
+  }
+
+  const elapsed = Date.now() - started;
+  console.log(
+    `${label.padEnd(12)} ${String(elapsed).padStart(7)} ms  ${String(roundTrips()).padStart(6)} round trips  ${inserted} points inserted`
+  );
+  return elapsed;
+}
+
+async function main() {
+  const count = Number(process.argv[2] ?? 200);
+  const latencyMs = Number(process.argv[3] ?? 5);
+
+  console.log(`Synthetic feed: ${count} features x 2 polls, ${latencyMs} ms per store call`);
+  const perFeature = await run("per-feature", latencyMs, count, true);
+  const batched = await run("batched", latencyMs, count, false);
+  console.log(`Speedup: ${(perFeature / Math.max(batched, 1)).toFixed(1)}x`);
+}
+
+main().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+// backend/scripts/buildBathymetryGrid.ts
+// Builds data/bathymetry.asc.gz, the grid seafloor depths come from, out of
+// a full-resolution elevation grid in Esri ASCII format: a GEBCO global grid
+// (https://download.gebco.net, "Esri ASCII" export) or ETOPO 2022 converted
+// with `gdal_translate -of AAIGrid`. Every output cell is the mean of the
+// source cells inside it; the source is streamed row by row, so a multi-GB
+// GEBCO file does not have to fit in memory.
+//
+//   npm run build:bathymetry -- <source.asc[.gz]> [--cell 0.25] [--out FILE]
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import zlib from "zlib";
+
+const DEFAULT_OUT = path.join(__dirname, "../data/bathymetry.asc.gz");
+
+function argValue(name: string): string | undefined {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+  const source = process.argv[2];
+  const cell = Number(argValue("--cell") ?? 0.25);
+  const out = argValue("--out") ?? DEFAULT_OUT;
+  if (!source || source.startsWith("--") || !(cell > 0)) {
+    console.error("Usage: npm run build:bathymetry -- <source.asc[.gz]> [--cell 0.25] [--out FILE]");
+    process.exit(1);
+  }
+
+  const ncols = Math.round(360 / cell);
+  const nrows = Math.round(180 / cell);
+  const sums = new Float64Array(ncols * nrows);
+  const counts = new Uint32Array(ncols * nrows);
+
+  let input: NodeJS.ReadableStream = fs.createReadStream(source);
+  if (source.endsWith(".gz")) input = input.pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const header: Record<string, number> = {};
+  let row = 0;
+  for await (const line of lines) {
+    if (/^[a-z]/i.test(line.trim())) {
+      const [key, value] = line.trim().split(/\s+/);
+      header[key.toLowerCase()] = Number(value);
+      continue;
+    }
+
+    const size = header.cellsize;
+    const xll = header.xllcorner ?? header.xllcenter - size / 2;
+    const yll = header.yllcorner ?? header.yllcenter - size / 2;
+    const noData = header.nodata_value;
+    // centre of the source cells on this row, then the output row holding it
+    const lat = yll + (header.nrows - row - 0.5) * size;
+    const outRow = Math.min(nrows - 1, Math.floor((90 - lat) / cell));
+    row++;
+
+    let col = 0;
+    for (const token of line.split(/\s+/)) {
+      if (token === "") continue;
+      const value = Number(token);
+      const lng = xll + (col + 0.5) * size;
+      col++;
+      if (Number.isNaN(value) || value === noData) continue;
+      const outCol = Math.floor(((((lng + 180) % 360) + 360) % 360) / cell) % ncols;
+      sums[outRow * ncols + outCol] += value;
+      counts[outRow * ncols + outCol]++;
+    }
+    if (row % 1000 === 0) console.log(`Read ${row} of ${header.nrows} rows`);
+  }
+
+  if (row !== header.nrows) {
+    throw new Error(`Expected ${header.nrows} rows in ${source}, found ${row}`);
+  }
+
+  const text = [
+    `ncols ${ncols}`,
+    `nrows ${nrows}`,
+    "xllcorner -180",
+    "yllcorner -90",
+    `cellsize ${cell}`,
+    "NODATA_value -99999",
+  ];
+  for (let r = 0; r < nrows; r++) {
+    const values: number[] = [];
+    for (let c = 0; c < ncols; c++) {
+      const i = r * ncols + c;
+      values.push(counts[i] > 0 ? Math.round(sums[i] / counts[i]) : -99999);
+    }
+    text.push(values.join(" "));
+  }
+
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, zlib.gzipSync(text.join("\n") + "\n", { level: 9 }));
+  console.log(`Wrote ${ncols}x${nrows} grid (${cell}°) to ${out}`);
+}
+
+main().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -1,7 +1,10 @@
 ﻿// backend/scripts/cacheSharkImages.ts
-import { supabaseAdmin } from "../src/lib/supabaseAdmin";
+import { getSupabaseAdmin } from "../src/lib/supabaseAdmin";
 import fetch from "node-fetch";
 
+// Uploads go to Supabase Storage, so this script always uses Supabase
+const supabaseAdmin = getSupabaseAdmin();
+
 async function main() {
   // 1) Get sharks that have meta.image but no image_url yet
   const { data: sharks, error } = await supabaseAdmin
@@ -0,0 +1,137 @@
+// backend/scripts/dedupeSharkPositions.ts
+// One-off backfill for the (shark, source_timestamp) dedup rule:
+//  - fills shark_positions.recorded_at (ping time) where it is missing
+//  - normalizes source_timestamp to ISO 8601
+//  - deletes duplicate pings, keeping the oldest row of each (shark, timestamp)
+//
+// Safe to re-run. Needs the row id from sql/016_position_id.sql; afterwards
+// apply sql/005_position_ping_unique.sql.
+//
+//   npm run dedupe:positions -- [--dry-run]
+import { chunk } from "../src/lib/chunk";
+import { getSupabaseAdmin } from "../src/lib/supabaseAdmin";
+import { safeIso } from "../src/lib/time";
+
+// Cleans up the Supabase tables; the file driver enforces the rule on insert
+const supabaseAdmin = getSupabaseAdmin();
+
+const PAGE_SIZE = 1000;
+const DELETE_CHUNK_SIZE = 200;
+const UPDATE_CONCURRENCY = 10;
+
+type PositionRow = {
+  id: number;
+  source_timestamp: string | null;
+  recorded_at: string | null;
+  created_at: string;
+};
+
+async function loadPositions(sharkId: number): Promise<PositionRow[]> {
+  const rows: PositionRow[] = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .from("shark_positions")
+      .select("id, source_timestamp, recorded_at, created_at")
+      .eq("shark_id", sharkId)
+      .order("id", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw new Error(`Failed to load positions of shark ${sharkId}: ${error.message}`);
+    rows.push(...((data ?? []) as PositionRow[]));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  const { data: sharks, error } = await supabaseAdmin
+    .from("sharks")
+    .select("id")
+    .order("id", { ascending: true });
+
+  if (error) {
+    console.error("Error loading sharks:", error);
+    process.exit(1);
+  }
+
+  let scanned = 0;
+  let duplicates = 0;
+  let updated = 0;
+
+  for (const shark of (sharks ?? []) as any[]) {
+    const rows = await loadPositions(shark.id);
+    scanned += rows.length;
+
+    // 1) Find duplicates (rows are ordered by id, so the first one wins)
+    const keptKeys = new Set<string>();
+    const toDelete: number[] = [];
+    const toUpdate: { id: number; source_timestamp: string | null; recorded_at: string }[] = [];
+
+    for (const row of rows) {
+      const sourceIso = safeIso(row.source_timestamp);
+      if (sourceIso) {
+        if (keptKeys.has(sourceIso)) {
+          toDelete.push(row.id);
+          continue;
+        }
+        keptKeys.add(sourceIso);
+      }
+
+      // 2) Normalize timestamps on the rows we keep. PostgREST answers with
+      //    "+00:00" offsets, so both sides go through safeIso; only rows whose
+      //    time differs (or whose source_timestamp does not parse) change.
+      const recordedIso = sourceIso ?? safeIso(row.created_at) ?? new Date().toISOString();
+      const needsUpdate =
+        safeIso(row.recorded_at) !== recordedIso ||
+        (row.source_timestamp != null && sourceIso === null);
+
+      if (needsUpdate) {
+        toUpdate.push({ id: row.id, source_timestamp: sourceIso, recorded_at: recordedIso });
+      }
+    }
+
+    duplicates += toDelete.length;
+    updated += toUpdate.length;
+
+    if (toDelete.length || toUpdate.length) {
+      console.log(
+        `Shark ${shark.id}: ${rows.length} rows, ${toDelete.length} duplicate(s), ${toUpdate.length} to normalize`
+      );
+    }
+    if (dryRun) continue;
+
+    for (const ids of chunk(toDelete, DELETE_CHUNK_SIZE)) {
+      const { error: deleteError } = await supabaseAdmin
+        .from("shark_positions")
+        .delete()
+        .in("id", ids);
+      if (deleteError) throw new Error(`Failed to delete duplicates: ${deleteError.message}`);
+    }
+
+    for (const part of chunk(toUpdate, UPDATE_CONCURRENCY)) {
+      await Promise.all(
+        part.map(async (row) => {
+          const { error: updateError } = await supabaseAdmin
+            .from("shark_positions")
+            .update({ source_timestamp: row.source_timestamp, recorded_at: row.recorded_at })
+            .eq("id", row.id);
+          if (updateError) {
+            throw new Error(`Failed to update position ${row.id}: ${updateError.message}`);
+          }
+        })
+      );
+    }
+  }
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Scanned ${scanned} positions: ${duplicates} duplicate(s) ${
+      dryRun ? "found" : "deleted"
+    }, ${updated} row(s) ${dryRun ? "to normalize" : "normalized"}.`
+  );
+}
+
+main().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
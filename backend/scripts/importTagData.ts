@@ -0,0 +1,161 @@
+// backend/scripts/importTagData.ts
+// Imports a researcher's tag file (archival tag CSV, Movebank export, GPX,
+// GeoJSON or `{ pings: [...] }` JSON) into sharks / shark_positions.
+// Rows go through the same dedup and validation as refreshSharkPositions(),
+// so re-running an import, or importing a file the live feed also covers,
+// does not create duplicates.
+//
+//   npm run import:tag-data -- <file> [--format csv|movebank|gpx|geojson|json]
+//     [--provider import] [--id TAG] [--name NAME] [--species SPECIES]
+//     [--id-column c] [--time-column c] [--lat-column c] [--lng-column c]
+//     [--name-column c] [--species-column c] [--dry-run]
+//
+// Sharks are stored as "<provider>:<id>". Use --provider mapotic (with the
+// Mapotic POI id) to attach a file to an animal the live feed already tracks.
+import fs from "fs";
+import path from "path";
+import {
+  detectTagFileFormat,
+  importTagPositions,
+  parseTagFile,
+  TAG_FILE_FORMATS,
+  type TagFileFormat,
+} from "../src/services/tagImport";
+import { getRepository } from "../src/repositories";
+import type { SyncStore } from "../src/services/syncStore";
+import type { ProviderPosition } from "../src/services/providers";
+
+function argValue(name: string): string | undefined {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * Reads through to the real store but never writes. Sharks that would be
+ * created get placeholder negative ids, so the ingest still reports what it
+ * would insert for them.
+ */
+function dryRunStore(base: SyncStore): SyncStore {
+  const placeholderIds = new Map<string, number>();
+  const realIds = (ids: number[]) => ids.filter((id) => id > 0);
+
+  return {
+    async upsertSharks(rows) {
+      const found = await base.findSharks(rows.map((row) => row.external_id));
+      const byExternalId = new Map(found.map((row) => [row.external_id, row.id]));
+      return rows.map((row) => {
+        let id = byExternalId.get(row.external_id) ?? placeholderIds.get(row.external_id);
+        if (id == null) {
+          id = -(placeholderIds.size + 1);
+          placeholderIds.set(row.external_id, id);
+        }
+        return { id, external_id: row.external_id };
+      });
+    },
+    async findSharks(externalIds) {
+      const found = await base.findSharks(externalIds);
+      const placeholders = externalIds
+        .filter((externalId) => placeholderIds.has(externalId))
+        .map((externalId) => ({ id: placeholderIds.get(externalId)!, external_id: externalId }));
+      return [...found, ...placeholders];
+    },
+    existingTimestamps: (sharkIds, timestamps) =>
+      base.existingTimestamps(realIds(sharkIds), timestamps),
+    quarantinedUntimed: (sharkIds) => base.quarantinedUntimed(realIds(sharkIds)),
+    latestPositions: (sharkIds) => base.latestPositions(realIds(sharkIds)),
+    insertPositions: async () => {},
+    quarantinePositions: async () => {},
+    markHistoryBackfilled: async () => {},
+  };
+}
+
+function describeRange(positions: ProviderPosition[]): string {
+  const times = positions
+    .map((position) => position.sourceTimestamp)
+    .filter((time): time is string => !!time)
+    .sort();
+  const untimed = positions.length - times.length;
+  const range = times.length > 0 ? `${times[0]} .. ${times[times.length - 1]}` : "no timestamps";
+  return untimed > 0 ? `${range}, ${untimed} without time` : range;
+}
+
+async function main() {
+  const file = process.argv[2];
+  if (!file || file.startsWith("--")) {
+    console.error("Usage: npm run import:tag-data -- <file> [--dry-run] [--format ...] [--id ...]");
+    process.exit(1);
+  }
+
+  const dryRun = process.argv.includes("--dry-run");
+  const providerId = argValue("--provider") ?? "import";
+  const text = fs.readFileSync(file, "utf8");
+
+  // 1) Format: explicit, else guessed from the name / content
+  const formatArg = argValue("--format");
+  if (formatArg && !TAG_FILE_FORMATS.includes(formatArg as TagFileFormat)) {
+    console.error(`Unknown --format "${formatArg}". Expected one of: ${TAG_FILE_FORMATS.join(", ")}`);
+    process.exit(1);
+  }
+  const format = (formatArg as TagFileFormat | undefined) ?? detectTagFileFormat(file, text);
+
+  // 2) Parse into positions
+  const positions = parseTagFile(text, format, {
+    mapping: {
+      id: argValue("--id-column"),
+      time: argValue("--time-column"),
+      lat: argValue("--lat-column"),
+      lng: argValue("--lng-column"),
+      name: argValue("--name-column"),
+      species: argValue("--species-column"),
+    },
+    defaults: {
+      sourceId: argValue("--id"),
+      name: argValue("--name"),
+      species: argValue("--species"),
+    },
+    meta: { imported_from: path.basename(file) },
+  });
+
+  if (positions.length === 0) {
+    console.error(
+      `No positions read from ${file} (format: ${format}). Rows need coordinates and an animal id (pass --id for single-tag files).`
+    );
+    process.exit(1);
+  }
+
+  const bySourceId = new Map<string, ProviderPosition[]>();
+  for (const position of positions) {
+    const list = bySourceId.get(position.sourceId) ?? [];
+    list.push(position);
+    bySourceId.set(position.sourceId, list);
+  }
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Read ${positions.length} positions for ${bySourceId.size} animal(s) from ${path.basename(file)} (format: ${format}).`
+  );
+
+  // 3) Write (or simulate) one animal at a time so the report is per animal
+  const store = dryRun ? dryRunStore(getRepository()) : getRepository();
+  const totals = { inserted: 0, skipped: 0, quarantined: 0 };
+
+  for (const [sourceId, animalPositions] of bySourceId) {
+    const result = await importTagPositions(store, providerId, animalPositions);
+    totals.inserted += result.pointsInserted;
+    totals.skipped += result.pointsSkipped;
+    totals.quarantined += result.pointsQuarantined;
+
+    const { name, species } = animalPositions[0];
+    console.log(
+      `  ${providerId}:${sourceId}${name ? ` (${name}` + (species ? `, ${species})` : ")") : ""}: ${animalPositions.length} rows [${describeRange(animalPositions)}] -> ${result.pointsInserted} new, ${result.pointsSkipped} already stored, ${result.pointsQuarantined} quarantined`
+    );
+  }
+
+  console.log(
+    `${dryRun ? "Would insert" : "Inserted"} ${totals.inserted} points; ${totals.skipped} skipped as duplicates, ${totals.quarantined} ${dryRun ? "would be " : ""}quarantined.`
+  );
+}
+
+main().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+// backend/scripts/seedSpecies.ts
+// Brings stored data in line with data/species.json:
+//  - Supabase: upserts every catalogue entry into the species table
+//    (apply sql/009_species.sql first)
+//  - any driver: rewrites sharks.species to the canonical scientific name,
+//    keeping the old spelling in meta.species_reported
+//
+// Safe to re-run. The sync normalizes new data itself; run this after
+// editing the catalogue (e.g. a new alias) to fix sharks stored before.
+//
+//   npm run seed:species -- [--dry-run]
+import { getRepository, getStorageDriver } from "../src/repositories";
+import { getSupabaseAdmin } from "../src/lib/supabaseAdmin";
+import { listSpeciesCatalogue, normalizeSpecies } from "../src/services/speciesCatalogue";
+
+async function seedCatalogueTable() {
+  const rows = listSpeciesCatalogue().map((entry) => ({
+    scientific_name: entry.scientificName,
+    common_names: entry.commonNames,
+    family: entry.family,
+    iucn_status: entry.iucnStatus,
+    aliases: entry.aliases,
+    updated_at: new Date().toISOString(),
+  }));
+
+  const { error } = await getSupabaseAdmin()
+    .from("species")
+    .upsert(rows, { onConflict: "scientific_name" });
+  if (error) throw new Error(`Failed to upsert species: ${error.message}`);
+  console.log(`Upserted ${rows.length} species.`);
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  if (getStorageDriver() === "supabase" && !dryRun) {
+    await seedCatalogueTable();
+  }
+
+  const repository = getRepository();
+  const sharks = await repository.listSharks();
+  let renamed = 0;
+
+  for (const shark of sharks) {
+    // a shark renamed before keeps its original feed spelling
+    const reported = shark.meta?.species_reported ?? shark.species;
+    const { species, meta } = normalizeSpecies(reported);
+    if (species === shark.species) continue;
+
+    renamed++;
+    console.log(`${shark.external_id}: "${shark.species}" -> "${species}"`);
+    if (dryRun) continue;
+
+    await repository.upsertShark({
+      external_id: shark.external_id,
+      name: shark.name,
+      species,
+      meta: { ...shark.meta, ...meta },
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  console.log(
+    `${dryRun ? "Would rename" : "Renamed"} species of ${renamed} of ${sharks.length} sharks.`
+  );
+}
+
+main().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
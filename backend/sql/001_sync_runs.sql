@@ -0,0 +1,16 @@
+-- sql/001_sync_runs.sql
+-- One row per refreshSharkPositions() run, read by GET /admin/sync-runs.
+
+create table if not exists sync_runs (
+  id bigint generated always as identity primary key,
+  started_at timestamptz not null,
+  finished_at timestamptz not null,
+  status text not null,              -- ok | partial | error
+  features_processed integer not null default 0,
+  points_inserted integer not null default 0,
+  points_skipped integer not null default 0,
+  providers jsonb not null default '[]'::jsonb, -- ProviderSyncResult[]
+  error text
+);
+
+create index if not exists sync_runs_started_at_idx on sync_runs (started_at desc);
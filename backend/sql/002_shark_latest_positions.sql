@@ -0,0 +1,12 @@
+-- sql/002_shark_latest_positions.sql
+-- Newest stored position per shark, so the sync can read the latest point
+-- of every affected shark in one query instead of one query per shark.
+
+create index if not exists shark_positions_shark_created_idx
+  on shark_positions (shark_id, created_at desc);
+
+create or replace view shark_latest_positions as
+select distinct on (shark_id)
+  shark_id, lat, lng, source_timestamp, created_at
+from shark_positions
+order by shark_id, created_at desc;
@@ -0,0 +1,15 @@
+-- sql/003_admin_audit_log.sql
+-- Who called which /admin route, and with what result.
+
+create table if not exists admin_audit_log (
+  id bigint generated always as identity primary key,
+  created_at timestamptz not null default now(),
+  actor text not null,               -- token:<name> | hmac | anonymous
+  ip text,
+  method text not null,
+  path text not null,
+  status integer not null,
+  user_agent text
+);
+
+create index if not exists admin_audit_log_created_at_idx on admin_audit_log (created_at desc);
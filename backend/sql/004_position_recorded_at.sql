@@ -0,0 +1,22 @@
+-- sql/004_position_recorded_at.sql
+-- recorded_at is the time of the ping itself: the provider's source
+-- timestamp when it has one, otherwise the time we synced it. Tracks are
+-- ordered by it, so pings that arrive late still land in the right place.
+--
+-- Existing rows are filled in by `npm run dedupe:positions`; then apply
+-- 005_position_ping_unique.sql.
+
+alter table shark_positions add column if not exists recorded_at timestamptz;
+alter table shark_positions alter column recorded_at set default now();
+
+create index if not exists shark_positions_shark_recorded_idx
+  on shark_positions (shark_id, recorded_at);
+
+-- recorded_at goes between the columns 002 created, which create or replace
+-- view cannot do
+drop view if exists shark_latest_positions;
+create view shark_latest_positions as
+select distinct on (shark_id)
+  shark_id, lat, lng, source_timestamp, recorded_at, created_at
+from shark_positions
+order by shark_id, recorded_at desc nulls last, created_at desc;
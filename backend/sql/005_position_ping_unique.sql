@@ -0,0 +1,7 @@
+-- sql/005_position_ping_unique.sql
+-- One row per (shark, source_timestamp). Apply after `npm run dedupe:positions`
+-- has removed the existing duplicates, otherwise the index build fails.
+
+create unique index if not exists shark_positions_shark_ping_uidx
+  on shark_positions (shark_id, source_timestamp)
+  where source_timestamp is not null;
@@ -0,0 +1,19 @@
+-- sql/006_quarantined_positions.sql
+-- Pings rejected by the sync validation stage (src/services/positionValidation.ts).
+-- Released rows are moved into shark_positions; deleted rows are dropped.
+
+create table if not exists quarantined_positions (
+  id bigint generated always as identity primary key,
+  shark_id bigint not null references sharks (id) on delete cascade,
+  lat double precision not null,
+  lng double precision not null,
+  source_timestamp timestamptz,
+  recorded_at timestamptz not null,
+  reason text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists quarantined_positions_shark_idx
+  on quarantined_positions (shark_id, source_timestamp);
+
+alter table sync_runs add column if not exists points_quarantined integer not null default 0;
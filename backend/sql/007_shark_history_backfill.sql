@@ -0,0 +1,6 @@
+-- sql/007_shark_history_backfill.sql
+-- Set once a shark's full track has been pulled from its provider's history
+-- source. `npm run backfill:history` skips sharks that have it, which is
+-- what lets an interrupted backfill resume where it stopped.
+
+alter table sharks add column if not exists history_backfilled_at timestamptz;
@@ -0,0 +1,7 @@
+-- sql/008_position_created_at_index.sql
+-- The live-update stream polls for pings written by other processes
+-- (tag imports run from the CLI) with `created_at > <last seen>`, and the
+-- API's data version (ETags, response cache) reads the newest created_at.
+
+create index if not exists shark_positions_created_at_idx
+  on shark_positions (created_at);
@@ -0,0 +1,16 @@
+-- sql/009_species.sql
+-- Species catalogue, mirrored from data/species.json by `npm run seed:species`
+-- (the sync reads the file; the table is for joins and reporting).
+-- sharks.species holds the scientific name for catalogued species.
+
+create table if not exists species (
+  scientific_name text primary key,
+  common_names text[] not null default '{}',
+  family text not null,
+  iucn_status text not null
+    check (iucn_status in ('LC', 'NT', 'VU', 'EN', 'CR', 'EW', 'EX', 'DD')),
+  aliases text[] not null default '{}',
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists sharks_species_idx on sharks (species);
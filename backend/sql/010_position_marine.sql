@@ -0,0 +1,21 @@
+-- sql/010_position_marine.sql
+-- Ocean conditions at the time of each ping, from the Open-Meteo marine
+-- archive (src/services/marineEnrichment.ts). marine_time is the archive
+-- hour the values belong to; marine_fetched_at is set once the lookup ran,
+-- even when the archive had nothing, so a ping is looked up only once.
+--
+-- Rows stored before this migration are filled by `npm run backfill:marine`.
+
+alter table shark_positions add column if not exists sst double precision;
+alter table shark_positions add column if not exists wave_height double precision;
+alter table shark_positions add column if not exists marine_time timestamptz;
+alter table shark_positions add column if not exists marine_fetched_at timestamptz;
+
+-- pings still to look up, newest first
+create index if not exists shark_positions_marine_pending_idx
+  on shark_positions (recorded_at desc)
+  where marine_fetched_at is null;
+
+-- the API's data version also reads the newest lookup
+create index if not exists shark_positions_marine_fetched_idx
+  on shark_positions (marine_fetched_at);
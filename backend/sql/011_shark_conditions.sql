@@ -0,0 +1,18 @@
+-- sql/011_shark_conditions.sql
+-- Current ocean conditions at each shark's latest position, refreshed by the
+-- enrichment stage that runs after every sync (src/services/enrichmentStage.ts).
+-- GET /api/sharks only reads this table, so it never waits on Open-Meteo.
+-- lat/lng is the position the values were fetched for.
+
+create table if not exists shark_conditions (
+  shark_id bigint primary key references sharks (id) on delete cascade,
+  lat double precision not null,
+  lng double precision not null,
+  sst double precision,
+  wave_height double precision,
+  fetched_at timestamptz not null
+);
+
+-- the API's data version reads the newest lookup
+create index if not exists shark_conditions_fetched_idx
+  on shark_conditions (fetched_at);
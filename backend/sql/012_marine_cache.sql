@@ -0,0 +1,15 @@
+-- sql/012_marine_cache.sql
+-- Open-Meteo marine responses cached across restarts (src/services/marineClient.ts).
+-- key identifies the request (kind, rounded point, hour or day); value is the
+-- parsed JSON body, or null for a request the API rejected (4xx), so it is
+-- not retried until the entry expires.
+
+create table if not exists marine_cache (
+  key text primary key,
+  value jsonb,
+  expires_at timestamptz not null
+);
+
+-- expired entries are deleted in bulk (deleteExpiredMarineCache)
+create index if not exists marine_cache_expires_idx
+  on marine_cache (expires_at);
@@ -0,0 +1,24 @@
+-- sql/013_release_quarantined.sql
+-- Moves a quarantined ping into shark_positions in one transaction, for
+-- POST /admin/quarantine/:id/release. Returns the quarantined row, or no
+-- row when the id does not exist. A ping already in shark_positions fails
+-- the unique index (005, 014) with 23505 and leaves both tables unchanged.
+
+create or replace function release_quarantined_position(quarantined_id bigint)
+returns setof quarantined_positions
+language plpgsql
+as $$
+declare
+  released quarantined_positions%rowtype;
+begin
+  delete from quarantined_positions where id = quarantined_id returning * into released;
+  if not found then
+    return;
+  end if;
+
+  insert into shark_positions (shark_id, lat, lng, source_timestamp, recorded_at)
+  values (released.shark_id, released.lat, released.lng, released.source_timestamp, released.recorded_at);
+
+  return next released;
+end;
+$$;
@@ -0,0 +1,10 @@
+-- sql/014_position_ping_unique_conflict.sql
+-- Replaces the partial unique index from 005 with a plain one on the same
+-- columns, so inserts can name it in `on conflict (shark_id, source_timestamp)`
+-- (PostgREST's on_conflict cannot repeat 005's where clause). Nulls are
+-- distinct in a unique index, so untimed pings are still unrestricted.
+
+create unique index if not exists shark_positions_shark_ping_key
+  on shark_positions (shark_id, source_timestamp);
+
+drop index if exists shark_positions_shark_ping_uidx;
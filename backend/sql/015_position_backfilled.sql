@@ -0,0 +1,7 @@
+-- sql/015_position_backfilled.sql
+-- Marks pings stored by a history backfill (src/services/historyBackfill.ts)
+-- rather than picked up from the live feed. Simplified tracks always keep
+-- the live pings and may thin out backfilled stretches. Rows stored before
+-- this migration count as live.
+
+alter table shark_positions add column if not exists backfilled boolean not null default false;
@@ -0,0 +1,10 @@
+-- sql/016_position_id.sql
+-- A row id for shark_positions: the marine enrichment writes its results
+-- back by id (listMarinePending / updatePositionMarine) and
+-- `npm run dedupe:positions` deletes duplicates by id. Tables that already
+-- have the column are left as they are; existing rows are numbered when
+-- it is added. Apply before running the dedupe script.
+
+alter table shark_positions add column if not exists id bigint generated by default as identity;
+
+create unique index if not exists shark_positions_id_key on shark_positions (id);
@@ -0,0 +1,198 @@
+// backend/src/admin.ts
+import express from "express";
+import { requireAdmin } from "./lib/adminAuth";
+import { createRateLimiter } from "./lib/rateLimit";
+import {
+  readNumber,
+  sendValidationError,
+  type Params,
+  type ValidationIssue,
+} from "./lib/validation";
+import { auditAdminRequests } from "./services/auditLog";
+import { getMarineClient } from "./services/marineClient";
+import { getSyncStatus, triggerSync } from "./services/syncScheduler";
+import { listSyncRuns } from "./services/syncRuns";
+import {
+  deleteQuarantinedPosition,
+  listQuarantinedPositions,
+  releaseQuarantinedPosition,
+} from "./services/quarantine";
+
+const router = express.Router();
+
+// Every admin request is rate limited per IP, audited (including rejected
+// ones) and must authenticate (see lib/adminAuth.ts). The limit comes first
+// so a flood of requests cannot write an audit row each.
+router.use(createRateLimiter({ windowMs: 60 * 1000, max: 30 }));
+router.use(auditAdminRequests);
+router.use(
+  express.json({
+    limit: "100kb",
+    // keep the exact body for HMAC signature checks
+    verify: (req, _res, buf) => {
+      (req as express.Request & { rawBody?: string }).rawBody = buf.toString("utf8");
+    },
+  })
+);
+router.use(requireAdmin);
+
+const MAX_LIMIT = 200;
+
+function parseLimit(query: Params, issues: ValidationIssue[], fallback = 20): number {
+  const rule = { integer: true, min: 1, max: MAX_LIMIT };
+  return readNumber(issues, "query", query, "limit", rule) ?? fallback;
+}
+
+/** `:id` of a quarantined ping (positive integer). */
+function parseRowId(id: string, issues: ValidationIssue[]): number | null {
+  return readNumber(issues, "path", { id }, "id", { integer: true, min: 1, required: true });
+}
+
+// sync runs hit Supabase and every upstream feed, so allow far fewer
+const refreshRateLimit = createRateLimiter({ windowMs: 10 * 60 * 1000, max: 5 });
+
+/**
+ * POST /admin/refresh-sharks
+ *
+ * Manual trigger for the shark sync (called by the GitHub Actions cron).
+ * Responds 409 if a sync is already running (scheduled or manual), and 502
+ * when every provider failed, so `curl -f` flags the run.
+ */
+router.post("/refresh-sharks", refreshRateLimit, async (_req, res) => {
+  try {
+    const run = await triggerSync("manual");
+    if (!run) {
+      return res.status(409).json({
+        ok: false,
+        error: "Sync already running",
+        running: getSyncStatus().running,
+      });
+    }
+
+    return res.status(run.status === "error" ? 502 : 200).json({
+      ok: run.status !== "error",
+      run,
+    });
+  } catch (err) {
+    console.error("refresh-sharks failed", err);
+    return res
+      .status(500)
+      .json({ ok: false, error: (err as Error).message ?? "Unknown error" });
+  }
+});
+
+/**
+ * GET /admin/sync-status
+ *
+ * Whether a sync is running right now, per-provider scheduler state (null
+ * when the built-in scheduler is disabled), and the ocean-condition
+ * enrichment stage that runs after each sync.
+ */
+router.get("/sync-status", (_req, res) => {
+  res.json(getSyncStatus());
+});
+
+/**
+ * GET /admin/marine-metrics
+ *
+ * Open-Meteo marine client counters since the process started: cache hit
+ * rate, coalesced requests, upstream calls, retries and 429s.
+ */
+router.get("/marine-metrics", (_req, res) => {
+  res.json(getMarineClient().metrics());
+});
+
+/**
+ * GET /admin/sync-runs?limit=20
+ *
+ * Most recent sync runs first, with per-provider status and counts.
+ */
+router.get("/sync-runs", async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const limit = parseLimit(req.query, issues);
+  if (issues.length > 0) return sendValidationError(res, issues);
+
+  try {
+    const runs = await listSyncRuns(limit);
+    res.json(runs);
+  } catch (err) {
+    console.error("sync-runs failed", err);
+    res
+      .status(500)
+      .json({ error: (err as Error).message ?? "Internal server error" });
+  }
+});
+
+/**
+ * GET /admin/quarantine?limit=50&sharkId=12
+ *
+ * Pings rejected by sync validation, newest first, with the reason.
+ */
+router.get("/quarantine", async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const limit = parseLimit(req.query, issues, 50);
+  const sharkId = readNumber(issues, "query", req.query, "sharkId", { integer: true, min: 1 });
+  if (issues.length > 0) return sendValidationError(res, issues);
+
+  try {
+    const rows = await listQuarantinedPositions({ limit, sharkId: sharkId ?? undefined });
+    res.json(rows);
+  } catch (err) {
+    console.error("quarantine list failed", err);
+    res
+      .status(500)
+      .json({ error: (err as Error).message ?? "Internal server error" });
+  }
+});
+
+/**
+ * POST /admin/quarantine/:id/release
+ *
+ * Accepts a quarantined ping: moves it into shark_positions. 409 when the
+ * shark already has a ping at the same source timestamp.
+ */
+router.post("/quarantine/:id/release", async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const id = parseRowId(req.params.id, issues);
+  if (id == null) return sendValidationError(res, issues);
+
+  try {
+    const result = await releaseQuarantinedPosition(id);
+    if (result.status === "not_found") return res.status(404).json({ error: "Not found" });
+    if (result.status === "duplicate") {
+      return res
+        .status(409)
+        .json({ error: "The shark already has a ping at this source timestamp" });
+    }
+    return res.json({ ok: true, released: result.position });
+  } catch (err) {
+    console.error("quarantine release failed", err);
+    return res
+      .status(500)
+      .json({ error: (err as Error).message ?? "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /admin/quarantine/:id
+ *
+ * Drops a quarantined ping for good.
+ */
+router.delete("/quarantine/:id", async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const id = parseRowId(req.params.id, issues);
+  if (id == null) return sendValidationError(res, issues);
+
+  try {
+    const deleted = await deleteQuarantinedPosition(id);
+    if (!deleted) return res.status(404).json({ error: "Not found" });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("quarantine delete failed", err);
+    return res
+      .status(500)
+      .json({ error: (err as Error).message ?? "Internal server error" });
+  }
+});
+
+export default router;
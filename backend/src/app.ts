@@ -0,0 +1,44 @@
+// backend/src/app.ts
+// The Express app without a listening socket: server.ts starts it, the
+// tests in test/ run it on a free port.
+import express from "express";
+import cors from "cors";
+import sharksRouter from "./sharks";
+import adminRouter from "./admin";
+import { openApiDocument } from "./openapi";
+
+const app = express();
+
+// Render sits behind a proxy; needed for per-IP rate limiting and audit logs
+app.set("trust proxy", 1);
+
+// Enable CORS for all routes
+app.use(cors());
+
+// Health check
+app.get("/health", (_req, res) => {
+  res.json({ status: "ok" });
+});
+
+// Root route for deploy probes and quick manual verification
+app.get("/", (_req, res) => {
+  res.json({
+    status: "ok",
+    message: "Shark backend is running",
+    health: "/health",
+    api: "/api",
+  });
+});
+
+// Machine-readable API contract
+app.get("/api/openapi.json", (_req, res) => {
+  res.json(openApiDocument);
+});
+
+// Admin routes (sync trigger, sync run history)
+app.use("/admin", adminRouter);
+
+// Main API routes
+app.use("/api", sharksRouter);
+
+export default app;
@@ -0,0 +1,55 @@
+// src/config/marineRegions.ts
+// Named regions for residency ("time spent per region") in the movement
+// stats. Deliberately coarse: each region is a few lng/lat boxes, checked
+// in order, so enclosed seas must come before the basin around them.
+// Boxes are [minLng, minLat, maxLng, maxLat].
+
+export type MarineRegion = {
+  name: string;
+  boxes: [number, number, number, number][];
+};
+
+export const OTHER_REGION = "Other";
+
+export const MARINE_REGIONS: MarineRegion[] = [
+  { name: "Mediterranean Sea", boxes: [[-6, 30, 36.5, 46]] },
+  { name: "Red Sea", boxes: [[32, 12, 44, 30]] },
+  {
+    name: "Gulf of Mexico & Caribbean",
+    boxes: [
+      [-98, 17, -60, 31],
+      [-89, 8, -60, 17],
+    ],
+  },
+  { name: "Arctic Ocean", boxes: [[-180, 66, 180, 90]] },
+  { name: "Southern Ocean", boxes: [[-180, -90, 180, -60]] },
+  {
+    name: "North Pacific",
+    boxes: [
+      [100, 0, 180, 66],
+      [-180, 0, -100, 66],
+      [-100, 0, -89, 17],
+    ],
+  },
+  {
+    name: "South Pacific",
+    boxes: [
+      [147, -60, 180, 0],
+      [-180, -60, -70, 0],
+    ],
+  },
+  { name: "Indian Ocean", boxes: [[20, -60, 147, 30]] },
+  { name: "North Atlantic", boxes: [[-100, 0, 20, 66]] },
+  { name: "South Atlantic", boxes: [[-70, -60, 20, 0]] },
+];
+
+export function regionOf(lat: number, lng: number): string {
+  for (const region of MARINE_REGIONS) {
+    for (const [minLng, minLat, maxLng, maxLat] of region.boxes) {
+      if (lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat) {
+        return region.name;
+      }
+    }
+  }
+  return OTHER_REGION;
+}
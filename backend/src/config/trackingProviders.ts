@@ -0,0 +1,69 @@
+// src/config/trackingProviders.ts
+// Registry of tracking feeds synced by refreshSharkPositions().
+//
+// Each entry names the adapter that knows how to read the feed (see
+// src/services/providers/index.ts). To add a feed, add an entry here;
+// env-driven feeds are appended by getTrackingProviders().
+import type { TrackingProviderConfig } from "../services/providers";
+
+const MAPOTIC_POIS_URL = "https://www.mapotic.com/api/v1/maps/3413/pois.geojson/?h=10";
+
+// A provider's history source, for `npm run backfill:history`: e.g. a
+// per-animal GeoJSON track export where "{sourceId}" is the animal's id in
+// the feed. Track features carry their own ids, so identity comes from the
+// template.
+function historyFromTemplate(
+  urlTemplate: string | undefined
+): Pick<TrackingProviderConfig, "history"> {
+  const template = urlTemplate?.trim();
+  if (!template) return {};
+  return { history: { adapter: "geojson", urlTemplate: template, options: { idProps: [] } } };
+}
+
+function mapoticProvider(): TrackingProviderConfig {
+  return {
+    id: "mapotic",
+    adapter: "mapotic",
+    url: MAPOTIC_POIS_URL,
+    ...historyFromTemplate(process.env.MAPOTIC_HISTORY_URL_TEMPLATE),
+  };
+}
+
+// Feeds configured through the environment (Render dashboard). Each one
+// can have a history template: NORWAY_HISTORY_URL_TEMPLATE, and
+// EXTRA_TRACKING_HISTORY_URL_TEMPLATES in the same order as the URLs
+// (leave an entry empty for a feed without history).
+function envProviders(): TrackingProviderConfig[] {
+  const providers: TrackingProviderConfig[] = [];
+
+  const norwayUrl = process.env.NORWAY_TRACKING_GEOJSON_URL?.trim();
+  if (norwayUrl) {
+    providers.push({
+      id: "norway",
+      adapter: "geojson",
+      url: norwayUrl,
+      ...historyFromTemplate(process.env.NORWAY_HISTORY_URL_TEMPLATE),
+    });
+  }
+
+  const extraHistory = (process.env.EXTRA_TRACKING_HISTORY_URL_TEMPLATES ?? "").split(",");
+  const extraUrlsRaw = process.env.EXTRA_TRACKING_GEOJSON_URLS ?? "";
+  extraUrlsRaw
+    .split(",")
+    .map((value, position) => ({ url: value.trim(), history: extraHistory[position] }))
+    .filter(({ url }) => url)
+    .forEach(({ url, history }, index) => {
+      providers.push({
+        id: `extra-${index + 1}`,
+        adapter: "geojson",
+        url,
+        ...historyFromTemplate(history),
+      });
+    });
+
+  return providers;
+}
+
+export function getTrackingProviders(): TrackingProviderConfig[] {
+  return [mapoticProvider(), ...envProviders()];
+}
@@ -0,0 +1,95 @@
+// src/lib/adminAuth.ts
+// Authentication for /admin routes.
+//
+// Two accepted schemes, configured through the environment:
+//  - Bearer token: `Authorization: Bearer <token>`, where the token is
+//    ADMIN_API_TOKEN or one of ADMIN_API_TOKENS ("name:token,name2:token2").
+//    The token name is recorded as the actor in the audit log.
+//  - HMAC: `X-Admin-Timestamp: <unix seconds>` and
+//    `X-Admin-Signature: sha256=<hex>` where the signature is
+//    HMAC-SHA256(ADMIN_HMAC_SECRET, "<timestamp>.<METHOD>.<originalUrl>.<raw body>").
+//    Requests older than 5 minutes are rejected to limit replays.
+//
+// With neither configured, admin routes are closed (503).
+import crypto from "crypto";
+import type { NextFunction, Request, Response } from "express";
+
+const HMAC_MAX_SKEW_SECONDS = 5 * 60;
+
+type NamedToken = { name: string; token: string };
+
+function configuredTokens(): NamedToken[] {
+  const tokens: NamedToken[] = [];
+
+  const single = process.env.ADMIN_API_TOKEN?.trim();
+  if (single) tokens.push({ name: "admin", token: single });
+
+  for (const entry of (process.env.ADMIN_API_TOKENS ?? "").split(",")) {
+    const separator = entry.indexOf(":");
+    if (separator <= 0) continue;
+    const name = entry.slice(0, separator).trim();
+    const token = entry.slice(separator + 1).trim();
+    if (name && token) tokens.push({ name, token });
+  }
+
+  return tokens;
+}
+
+// constant-time comparison that also tolerates different lengths
+function safeEqual(a: string, b: string): boolean {
+  const ha = crypto.createHash("sha256").update(a).digest();
+  const hb = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(ha, hb) && a.length === b.length;
+}
+
+function bearerActor(req: Request): string | null {
+  const header = req.get("authorization") ?? "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (!match) return null;
+
+  const presented = match[1].trim();
+  const hit = configuredTokens().find((t) => safeEqual(t.token, presented));
+  return hit ? `token:${hit.name}` : null;
+}
+
+function hmacActor(req: Request): string | null {
+  const secret = process.env.ADMIN_HMAC_SECRET;
+  const timestamp = req.get("x-admin-timestamp");
+  const signature = req.get("x-admin-signature");
+  if (!secret || !timestamp || !signature) return null;
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > HMAC_MAX_SKEW_SECONDS) {
+    return null;
+  }
+
+  const rawBody = (req as Request & { rawBody?: string }).rawBody ?? "";
+  const payload = `${timestamp}.${req.method.toUpperCase()}.${req.originalUrl}.${rawBody}`;
+  const expected = crypto.createHmac("sha256", secret).update(payload).digest("hex");
+  const presented = signature.replace(/^sha256=/i, "").trim().toLowerCase();
+
+  return safeEqual(expected, presented) ? "hmac" : null;
+}
+
+export function isAdminAuthConfigured(): boolean {
+  return configuredTokens().length > 0 || Boolean(process.env.ADMIN_HMAC_SECRET);
+}
+
+/**
+ * Rejects the request unless it carries a valid bearer token or HMAC
+ * signature. On success, res.locals.adminActor names who made the call.
+ */
+export function requireAdmin(req: Request, res: Response, next: NextFunction) {
+  if (!isAdminAuthConfigured()) {
+    return res.status(503).json({ error: "Admin API is not configured" });
+  }
+
+  const actor = bearerActor(req) ?? hmacActor(req);
+  if (!actor) {
+    res.set("WWW-Authenticate", 'Bearer realm="admin"');
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  res.locals.adminActor = actor;
+  next();
+}
@@ -0,0 +1,117 @@
+// src/lib/bathymetry.ts
+// Seafloor depth from a bundled elevation grid in Esri ASCII raster format,
+// which is how GEBCO (https://download.gebco.net) and ETOPO export grids.
+// A global grid resampled to 0.1-0.25° is enough for a per-ping value and
+// stays small gzipped; the file is data/bathymetry.asc.gz unless
+// BATHYMETRY_GRID_FILE names another (.asc or .asc.gz). Build it from a
+// downloaded GEBCO or ETOPO grid with `npm run build:bathymetry`. Loaded
+// lazily on first use; without a grid every lookup is null.
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { wrapLngDelta, type LatLng } from "./geo";
+
+const DEFAULT_GRID_FILE = path.join(__dirname, "../../data/bathymetry.asc.gz");
+
+type ElevationGrid = {
+  ncols: number;
+  nrows: number;
+  // lower-left corner of the lower-left cell
+  xll: number;
+  yll: number;
+  cellSize: number;
+  noData: number;
+  // metres above sea level, row 0 = northernmost
+  values: Float32Array;
+};
+
+let grid: ElevationGrid | null | undefined;
+
+function gridFile(): string {
+  return process.env.BATHYMETRY_GRID_FILE || DEFAULT_GRID_FILE;
+}
+
+function parseGrid(text: string): ElevationGrid {
+  const header: Record<string, number> = {};
+  let pos = 0;
+  // header lines are "<key> <number>"; the first line starting with a digit
+  // or sign is data
+  for (;;) {
+    const end = text.indexOf("\n", pos);
+    const line = text.slice(pos, end < 0 ? undefined : end).trim();
+    if (!/^[a-z]/i.test(line)) break;
+    const [key, value] = line.split(/\s+/);
+    header[key.toLowerCase()] = Number(value);
+    pos = end + 1;
+  }
+
+  const ncols = header.ncols;
+  const nrows = header.nrows;
+  const cellSize = header.cellsize;
+  if (!(ncols > 0 && nrows > 0 && cellSize > 0)) {
+    throw new Error("Bathymetry grid: ncols, nrows and cellsize are required");
+  }
+  // xllcenter / yllcenter name the centre of the corner cell instead
+  const xll = header.xllcorner ?? header.xllcenter - cellSize / 2;
+  const yll = header.yllcorner ?? header.yllcenter - cellSize / 2;
+
+  const values = new Float32Array(ncols * nrows);
+  let count = 0;
+  for (const token of text.slice(pos).split(/\s+/)) {
+    if (token === "") continue;
+    if (count === values.length) break;
+    values[count++] = Number(token);
+  }
+  if (count < values.length) {
+    throw new Error(`Bathymetry grid: expected ${values.length} values, found ${count}`);
+  }
+
+  return { ncols, nrows, xll, yll, cellSize, noData: header.nodata_value ?? NaN, values };
+}
+
+function loadGrid(): ElevationGrid | null {
+  if (grid !== undefined) return grid;
+
+  const file = gridFile();
+  if (!fs.existsSync(file)) {
+    console.warn(`No bathymetry grid at ${file}; seafloor depth is unavailable`);
+    grid = null;
+    return grid;
+  }
+
+  // a broken file stays broken until restart; don't re-read it per lookup
+  try {
+    const raw = fs.readFileSync(file);
+    grid = parseGrid((file.endsWith(".gz") ? zlib.gunzipSync(raw) : raw).toString("utf8"));
+  } catch (err) {
+    console.warn(
+      `Bathymetry grid ${file} is unreadable; seafloor depth is unavailable:`,
+      (err as Error).message
+    );
+    grid = null;
+  }
+  return grid;
+}
+
+export function hasBathymetryGrid(): boolean {
+  return loadGrid() !== null;
+}
+
+/**
+ * Depth in metres below sea level of the grid cell containing the point;
+ * null on land, outside the grid or without one.
+ */
+export function seafloorDepthAt(point: LatLng): number | null {
+  const g = loadGrid();
+  if (!g) return null;
+
+  // longitudes east of the grid's west edge, so global grids wrap
+  const east = (wrapLngDelta(point.lng - g.xll) + 360) % 360;
+  const col = Math.floor(east / g.cellSize);
+  const row = Math.floor((g.yll + g.nrows * g.cellSize - point.lat) / g.cellSize);
+  if (col < 0 || col >= g.ncols || row < 0 || row >= g.nrows) return null;
+
+  const elevation = g.values[row * g.ncols + col];
+  if (Number.isNaN(elevation) || elevation === g.noData || elevation >= 0) return null;
+  return -elevation;
+}
@@ -0,0 +1,96 @@
+// src/lib/chlorophyllClient.ts
+// Chlorophyll-a concentration from a NOAA CoastWatch ERDDAP griddap dataset
+// (no API key required). The default is the MODIS Aqua 8-day composite;
+// CHLOROPHYLL_ERDDAP_URL / CHLOROPHYLL_VARIABLE select another dataset with
+// (time, latitude, longitude) axes and longitudes in -180..180.
+// Cloud cover leaves gaps, so many lookups are null.
+import { createTokenBucket } from "./tokenBucket";
+
+export const DEFAULT_CHLOROPHYLL_URL =
+  "https://coastwatch.pfeg.noaa.gov/erddap/griddap/erdMH1chla8day";
+const DEFAULT_VARIABLE = "chlorophyll";
+
+const HOUR_MS = 60 * 60 * 1000;
+const CACHE_TTL_MS = 6 * HOUR_MS;
+const CACHE_MAX_ENTRIES = 1000;
+// per request; a hung connection fails the lookup instead of holding it
+const REQUEST_TIMEOUT_MS = 20 * 1000;
+// composites are published days late; for recent times use the newest one
+const RECENT_MS = 60 * 24 * HOUR_MS;
+
+export type ChlorophyllValue = {
+  /** mg/m³ */
+  value: number | null;
+  /** Time of the composite the value comes from. */
+  time: string | null;
+};
+
+const cache = new Map<string, { value: ChlorophyllValue; expiresAt: number }>();
+// ERDDAP servers are shared; keep well under their informal limits
+const bucket = createTokenBucket({ capacity: 2, refillPerSecond: 1 });
+
+function datasetUrl(): string {
+  return process.env.CHLOROPHYLL_ERDDAP_URL || DEFAULT_CHLOROPHYLL_URL;
+}
+
+function queryUrl(time: string, lat: number, lng: number): string {
+  const variable = process.env.CHLOROPHYLL_VARIABLE || DEFAULT_VARIABLE;
+  // griddap selects the nearest grid value with (value) on each axis
+  const query = `${variable}[(${time})][(${lat})][(${lng})]`;
+  return `${datasetUrl()}.json?${encodeURIComponent(query)}`;
+}
+
+async function request(time: string, lat: number, lng: number): Promise<Response> {
+  await bucket.take();
+  return fetch(queryUrl(time, lat, lng), { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+}
+
+function parseRow(json: any): ChlorophyllValue {
+  const columns: string[] = json?.table?.columnNames ?? [];
+  const row: unknown[] = json?.table?.rows?.[0] ?? [];
+  const value = row[columns.length - 1];
+  const time = row[columns.indexOf("time")];
+  return {
+    value: typeof value === "number" && !Number.isNaN(value) ? value : null,
+    time: typeof time === "string" ? time : null,
+  };
+}
+
+/**
+ * Chlorophyll-a at a point at (or, for recent times, before) `time` (ISO).
+ * Throws when the dataset cannot be reached or does not answer in time;
+ * failures are not cached, so the next lookup tries again.
+ */
+export async function fetchChlorophyllAt(
+  latitude: number,
+  longitude: number,
+  time: string
+): Promise<ChlorophyllValue> {
+  const lat = Math.round(latitude * 100) / 100;
+  const lng = Math.round(longitude * 100) / 100;
+  const day = new Date(time).toISOString().slice(0, 10);
+  const key = `${lat},${lng},${day}`;
+
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.value;
+
+  let res = await request(`${day}T12:00:00Z`, lat, lng);
+  // ERDDAP answers 404 for a time past the newest composite
+  if (res.status === 404 && Date.now() - Date.parse(time) < RECENT_MS) {
+    res = await request("last", lat, lng);
+  }
+
+  let value: ChlorophyllValue;
+  if (res.ok) {
+    value = parseRow(await res.json());
+  } else if (res.status === 404) {
+    // outside the dataset's time or space coverage
+    value = { value: null, time: null };
+  } else {
+    throw new Error(`ERDDAP chlorophyll request failed: ${res.status} ${res.statusText}`);
+  }
+
+  if (cache.size >= CACHE_MAX_ENTRIES) cache.clear();
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+}
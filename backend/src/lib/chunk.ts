@@ -0,0 +1,10 @@
+// src/lib/chunk.ts
+
+/** Splits `items` into consecutive batches of at most `size`. */
+export function chunk<T>(items: T[], size: number): T[][] {
+  const out: T[][] = [];
+  for (let i = 0; i < items.length; i += size) {
+    out.push(items.slice(i, i + size));
+  }
+  return out;
+}
@@ -0,0 +1,83 @@
+// src/lib/csv.ts
+// Minimal RFC 4180 CSV reader (quoted fields, escaped quotes, CRLF) and
+// writer. Good enough for tag exports; not meant for streaming huge files.
+
+export type CsvRow = Record<string, string>;
+
+function splitRecords(text: string, delimiter: string): string[][] {
+  const records: string[][] = [];
+  let field = "";
+  let record: string[] = [];
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // drop blank lines
+  return records.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Parses CSV text into objects keyed by the (trimmed) header row.
+ */
+export function parseCsv(text: string, delimiter = ","): CsvRow[] {
+  const clean = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const [header, ...rows] = splitRecords(clean, delimiter);
+  if (!header) return [];
+
+  const columns = header.map((h) => h.trim());
+  return rows.map((values) => {
+    const row: CsvRow = {};
+    columns.forEach((column, index) => {
+      row[column] = (values[index] ?? "").trim();
+    });
+    return row;
+  });
+}
+
+/** Formats one CSV record, quoting fields that need it. */
+export function formatCsvRow(values: unknown[], delimiter = ","): string {
+  return values
+    .map((value) => {
+      const text = value == null ? "" : String(value);
+      return /["\r\n]/.test(text) || text.includes(delimiter)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+    })
+    .join(delimiter);
+}
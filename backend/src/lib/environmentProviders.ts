@@ -0,0 +1,180 @@
+// src/lib/environmentProviders.ts
+// Environmental variables at a position and time, one provider per data
+// source. Every value carries its units and where it came from, so the UI
+// can label and attribute it without knowing the variable. The Open-Meteo
+// marine provider and the list of providers in use are in
+// services/environment.ts.
+import { seafloorDepthAt } from "./bathymetry";
+import { fetchChlorophyllAt } from "./chlorophyllClient";
+import { distanceToCoastKm, isOnLand } from "./landMask";
+
+export type EnvironmentQuery = {
+  lat: number;
+  lng: number;
+  /** ISO time the values should describe. */
+  time: string;
+};
+
+/** What a provider says about one of its variables, whatever the position. */
+export type EnvironmentVariable = {
+  variable: string;
+  label: string;
+  units: string;
+  source: string;
+  sourceUrl: string | null;
+};
+
+export type EnvironmentValue = EnvironmentVariable & {
+  /** Null when the source has no value here (land, clouds, no coverage). */
+  value: number | null;
+  /** Words for the value where the number alone says little. */
+  description: string | null;
+  /** When the value was observed, when that differs from the query time. */
+  observedAt: string | null;
+  /** Set when the source failed; value is null then. */
+  error: string | null;
+};
+
+export interface EnvironmentProvider {
+  id: string;
+  /** In display order. */
+  variables: EnvironmentVariable[];
+  /** One value per variable, in the same order. Throws when the source fails. */
+  lookup(query: EnvironmentQuery): Promise<EnvironmentValue[]>;
+}
+
+type Reading = {
+  value: number | null;
+  description?: string | null;
+  observedAt?: string | null;
+};
+
+/** Pairs a provider's variables with what it read, in order. */
+export function toEnvironmentValues(
+  variables: EnvironmentVariable[],
+  readings: Reading[]
+): EnvironmentValue[] {
+  return variables.map((variable, i) => ({
+    ...variable,
+    value: readings[i]?.value ?? null,
+    description: readings[i]?.description ?? null,
+    observedAt: readings[i]?.observedAt ?? null,
+    error: null,
+  }));
+}
+
+function round(value: number | null, digits: number): number | null {
+  if (value == null) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+const DEPTH_VARIABLES: EnvironmentVariable[] = [
+  {
+    variable: "seafloorDepth",
+    label: "Seafloor depth",
+    units: "m",
+    source: "GEBCO bathymetry grid (bundled)",
+    sourceUrl: "https://www.gebco.net/",
+  },
+];
+
+export const bathymetryProvider: EnvironmentProvider = {
+  id: "bathymetry",
+  variables: DEPTH_VARIABLES,
+  async lookup({ lat, lng }) {
+    return toEnvironmentValues(DEPTH_VARIABLES, [{ value: seafloorDepthAt({ lat, lng }) }]);
+  },
+};
+
+const SHORE_VARIABLES: EnvironmentVariable[] = [
+  {
+    variable: "distanceToShore",
+    label: "Distance to shore",
+    units: "km",
+    source: "Natural Earth 1:50m coastline (bundled)",
+    sourceUrl: "https://www.naturalearthdata.com/",
+  },
+];
+
+export const coastlineProvider: EnvironmentProvider = {
+  id: "coastline",
+  variables: SHORE_VARIABLES,
+  async lookup({ lat, lng }) {
+    const point = { lat, lng };
+    return toEnvironmentValues(SHORE_VARIABLES, [
+      {
+        value: round(distanceToCoastKm(point), 1),
+        description: isOnLand(point) ? "inland" : null,
+      },
+    ]);
+  },
+};
+
+const CHLOROPHYLL_VARIABLES: EnvironmentVariable[] = [
+  {
+    variable: "chlorophyllA",
+    label: "Chlorophyll-a",
+    units: "mg/m³",
+    source: "NOAA CoastWatch ERDDAP, MODIS Aqua 8-day composite",
+    sourceUrl: "https://coastwatch.pfeg.noaa.gov/erddap/",
+  },
+];
+
+export const chlorophyllProvider: EnvironmentProvider = {
+  id: "chlorophyll",
+  variables: CHLOROPHYLL_VARIABLES,
+  async lookup({ lat, lng, time }) {
+    const reading = await fetchChlorophyllAt(lat, lng, time);
+    return toEnvironmentValues(CHLOROPHYLL_VARIABLES, [
+      { value: round(reading.value, 3), observedAt: reading.time },
+    ]);
+  },
+};
+
+// a new moon, and the mean length of a lunation
+const REFERENCE_NEW_MOON_MS = Date.UTC(2000, 0, 6, 18, 14);
+const SYNODIC_MONTH_MS = 29.530588853 * 24 * 60 * 60 * 1000;
+const MOON_PHASE_NAMES = [
+  "New moon",
+  "Waxing crescent",
+  "First quarter",
+  "Waxing gibbous",
+  "Full moon",
+  "Waning gibbous",
+  "Last quarter",
+  "Waning crescent",
+];
+
+/** Fraction of the lunation (0 = new, 0.5 = full) and the lit share of the disc. */
+export function moonPhaseAt(time: number): { phase: number; illumination: number } {
+  const cycles = (time - REFERENCE_NEW_MOON_MS) / SYNODIC_MONTH_MS;
+  const phase = cycles - Math.floor(cycles);
+  return { phase, illumination: (1 - Math.cos(2 * Math.PI * phase)) / 2 };
+}
+
+const MOON_VARIABLES: EnvironmentVariable[] = [
+  {
+    variable: "moonPhase",
+    label: "Moon",
+    units: "% illuminated",
+    source: "Computed from the mean synodic month (±1 day)",
+    sourceUrl: null,
+  },
+];
+
+export const moonPhaseProvider: EnvironmentProvider = {
+  id: "moon",
+  variables: MOON_VARIABLES,
+  async lookup({ time }) {
+    const t = Date.parse(time);
+    if (Number.isNaN(t)) return toEnvironmentValues(MOON_VARIABLES, []);
+    const { phase, illumination } = moonPhaseAt(t);
+    return toEnvironmentValues(MOON_VARIABLES, [
+      {
+        value: Math.round(illumination * 100),
+        description: MOON_PHASE_NAMES[Math.round(phase * 8) % 8],
+      },
+    ]);
+  },
+};
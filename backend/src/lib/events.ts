@@ -0,0 +1,69 @@
+// src/lib/events.ts
+// In-process notifications between the sync and readers that cache or
+// stream data (stats cache, response cache, live updates). Listeners run synchronously
+// inside the emit, so they must be cheap and must not throw.
+import { EventEmitter } from "events";
+import type { PositionInsert } from "../services/syncStore";
+
+const emitter = new EventEmitter();
+// one listener per open live-update connection, so no fixed limit
+emitter.setMaxListeners(0);
+
+const POSITIONS_INSERTED = "positions-inserted";
+const SHARKS_UPDATED = "sharks-updated";
+const MARINE_UPDATED = "marine-updated";
+
+function guarded<T>(name: string, listener: (payload: T) => void) {
+  return (payload: T) => {
+    try {
+      listener(payload);
+    } catch (err) {
+      console.error(`${name} listener failed`, err);
+    }
+  };
+}
+
+/** Called after new rows were written to shark_positions. */
+export function emitPositionsInserted(rows: PositionInsert[]): void {
+  if (rows.length === 0) return;
+  emitter.emit(POSITIONS_INSERTED, rows);
+}
+
+/** Subscribes to new positions; returns the unsubscribe function. */
+export function onPositionsInserted(listener: (rows: PositionInsert[]) => void): () => void {
+  const safeListener = guarded(POSITIONS_INSERTED, listener);
+  emitter.on(POSITIONS_INSERTED, safeListener);
+  return () => {
+    emitter.off(POSITIONS_INSERTED, safeListener);
+  };
+}
+
+/** Called after shark rows (profile, meta) were inserted or updated. */
+export function emitSharksUpdated(sharkIds: number[]): void {
+  if (sharkIds.length === 0) return;
+  emitter.emit(SHARKS_UPDATED, sharkIds);
+}
+
+/** Subscribes to shark row changes; returns the unsubscribe function. */
+export function onSharksUpdated(listener: (sharkIds: number[]) => void): () => void {
+  const safeListener = guarded(SHARKS_UPDATED, listener);
+  emitter.on(SHARKS_UPDATED, safeListener);
+  return () => {
+    emitter.off(SHARKS_UPDATED, safeListener);
+  };
+}
+
+/** Called after ocean conditions (per ping or current) were stored for these sharks. */
+export function emitMarineUpdated(sharkIds: number[]): void {
+  if (sharkIds.length === 0) return;
+  emitter.emit(MARINE_UPDATED, sharkIds);
+}
+
+/** Subscribes to ocean-condition lookups; returns the unsubscribe function. */
+export function onMarineUpdated(listener: (sharkIds: number[]) => void): () => void {
+  const safeListener = guarded(MARINE_UPDATED, listener);
+  emitter.on(MARINE_UPDATED, safeListener);
+  return () => {
+    emitter.off(MARINE_UPDATED, safeListener);
+  };
+}
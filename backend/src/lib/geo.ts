@@ -0,0 +1,72 @@
+// src/lib/geo.ts
+// Small spherical-earth helpers (no dependency on a GIS library).
+
+export const EARTH_RADIUS_KM = 6371.0088;
+
+export type LatLng = { lat: number; lng: number };
+
+function toRad(deg: number): number {
+  return (deg * Math.PI) / 180;
+}
+
+/** Great-circle distance in km. */
+export function haversineKm(a: LatLng, b: LatLng): number {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/** Wraps a longitude difference into [-180, 180). */
+export function wrapLngDelta(delta: number): number {
+  return ((((delta + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Projects `p` onto a local flat plane (km) centred on `origin`.
+ * Accurate enough for distances up to a few hundred km.
+ */
+export function toLocalKm(origin: LatLng, p: LatLng): { x: number; y: number } {
+  const kmPerDegLat = 110.574;
+  const kmPerDegLng = 111.32 * Math.cos(toRad(origin.lat));
+  return {
+    x: wrapLngDelta(p.lng - origin.lng) * kmPerDegLng,
+    y: (p.lat - origin.lat) * kmPerDegLat,
+  };
+}
+
+/** Distance in km from the origin of a local plane to segment a-b. */
+export function distanceToSegmentKm(
+  a: { x: number; y: number },
+  b: { x: number; y: number }
+): number {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+}
+
+/** Even-odd point-in-ring test on [lng, lat] coordinates. */
+export function pointInRing(point: LatLng, ring: number[][]): boolean {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (
+      yi > point.lat !== yj > point.lat &&
+      point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/** Point in a GeoJSON Polygon's coordinates (outer ring minus holes). */
+export function pointInPolygon(point: LatLng, rings: number[][][]): boolean {
+  if (rings.length === 0 || !pointInRing(point, rings[0])) return false;
+  return !rings.slice(1).some((hole) => pointInRing(point, hole));
+}
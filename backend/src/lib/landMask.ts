@@ -0,0 +1,115 @@
+// src/lib/landMask.ts
+// Land/sea lookups against the bundled Natural Earth 1:50m land polygons
+// (data/land-50m.geojson, public domain). Loaded lazily on first use.
+import fs from "fs";
+import path from "path";
+import {
+  distanceToSegmentKm,
+  pointInPolygon,
+  toLocalKm,
+  wrapLngDelta,
+  type LatLng,
+} from "./geo";
+
+const LAND_FILE = path.join(__dirname, "../../data/land-50m.geojson");
+
+type LandPolygon = {
+  rings: number[][][];
+  // bounding box of the outer ring: [minLng, minLat, maxLng, maxLat]
+  bbox: [number, number, number, number];
+};
+
+let polygons: LandPolygon[] | null = null;
+
+function bboxOf(ring: number[][]): [number, number, number, number] {
+  let minLng = Infinity;
+  let minLat = Infinity;
+  let maxLng = -Infinity;
+  let maxLat = -Infinity;
+  for (const [lng, lat] of ring) {
+    if (lng < minLng) minLng = lng;
+    if (lat < minLat) minLat = lat;
+    if (lng > maxLng) maxLng = lng;
+    if (lat > maxLat) maxLat = lat;
+  }
+  return [minLng, minLat, maxLng, maxLat];
+}
+
+function loadPolygons(): LandPolygon[] {
+  if (polygons) return polygons;
+
+  const geojson = JSON.parse(fs.readFileSync(LAND_FILE, "utf8"));
+  const out: LandPolygon[] = [];
+  for (const feature of geojson.features ?? []) {
+    const geometry = feature.geometry;
+    const list: number[][][][] =
+      geometry?.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry?.type === "MultiPolygon"
+        ? geometry.coordinates
+        : [];
+    for (const rings of list) {
+      out.push({ rings, bbox: bboxOf(rings[0]) });
+    }
+  }
+
+  polygons = out;
+  return out;
+}
+
+export function isOnLand(point: LatLng): boolean {
+  return loadPolygons().some(
+    ({ rings, bbox }) =>
+      point.lng >= bbox[0] &&
+      point.lng <= bbox[2] &&
+      point.lat >= bbox[1] &&
+      point.lat <= bbox[3] &&
+      pointInPolygon(point, rings)
+  );
+}
+
+// Lower bound (km) for the distance from a point to a bbox; used to skip
+// polygons that cannot beat the best distance found so far.
+function minDistanceToBboxKm(point: LatLng, bbox: [number, number, number, number]): number {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+
+  const dLat = point.lat < minLat ? minLat - point.lat : point.lat > maxLat ? point.lat - maxLat : 0;
+
+  let dLng = 0;
+  if (point.lng < minLng || point.lng > maxLng) {
+    dLng = Math.min(
+      Math.abs(wrapLngDelta(minLng - point.lng)),
+      Math.abs(wrapLngDelta(maxLng - point.lng))
+    );
+  }
+
+  // a degree of longitude is shortest at the highest latitude involved
+  const maxAbsLat = Math.max(Math.abs(point.lat), Math.abs(minLat), Math.abs(maxLat));
+  const lngKm = dLng * 111.32 * Math.cos((Math.min(maxAbsLat, 90) * Math.PI) / 180);
+
+  return Math.max(dLat * 110.574, lngKm);
+}
+
+/**
+ * Distance in km from a point to the nearest coastline (0 on the coast).
+ * Positive both at sea and on land; pair with isOnLand() for the side.
+ */
+export function distanceToCoastKm(point: LatLng): number {
+  let best = Infinity;
+
+  for (const polygon of loadPolygons()) {
+    if (minDistanceToBboxKm(point, polygon.bbox) >= best) continue;
+
+    for (const ring of polygon.rings) {
+      let prev = toLocalKm(point, { lng: ring[0][0], lat: ring[0][1] });
+      for (let i = 1; i < ring.length; i++) {
+        const next = toLocalKm(point, { lng: ring[i][0], lat: ring[i][1] });
+        const d = distanceToSegmentKm(prev, next);
+        if (d < best) best = d;
+        prev = next;
+      }
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,43 @@
+// src/lib/rateLimit.ts
+// Fixed-window, per-IP rate limiting kept in memory (single Render instance).
+import type { NextFunction, Request, Response } from "express";
+
+type RateLimitOptions = {
+  windowMs: number;
+  max: number;
+};
+
+export function createRateLimiter({ windowMs, max }: RateLimitOptions) {
+  const hits = new Map<string, { count: number; resetAt: number }>();
+
+  // drop expired windows now and then so the map doesn't grow unbounded
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return function rateLimit(req: Request, res: Response, next: NextFunction) {
+    const key = req.ip ?? "unknown";
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - entry.count, 0)));
+
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: "Too many requests" });
+    }
+
+    next();
+  };
+}
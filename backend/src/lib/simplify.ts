@@ -0,0 +1,75 @@
+// src/lib/simplify.ts
+// Douglas-Peucker line simplification on lat/lng points. Only drops points,
+// never moves or invents them, so a simplified track is a subset of the
+// real pings.
+import { distanceToSegmentKm, toLocalKm, type LatLng } from "./geo";
+
+/**
+ * Tolerance in km that corresponds to about one screen pixel at a Web
+ * Mercator zoom level (256 px tiles, measured at the equator).
+ */
+export function zoomToleranceKm(zoom: number): number {
+  return 156.543 / 2 ** zoom;
+}
+
+/**
+ * Keeps the first and last point, every point for which `keep` returns
+ * true, and the points needed to stay within `toleranceKm` of the original
+ * line. Returns the input unchanged for tolerance <= 0 or < 3 points.
+ */
+export function simplifyTrack<T extends LatLng>(
+  points: T[],
+  toleranceKm: number,
+  keep?: (point: T, index: number) => boolean
+): T[] {
+  if (points.length < 3 || !(toleranceKm > 0)) return points;
+
+  const kept = new Uint8Array(points.length);
+  kept[0] = 1;
+  kept[points.length - 1] = 1;
+  if (keep) {
+    points.forEach((point, index) => {
+      if (keep(point, index)) kept[index] = 1;
+    });
+  }
+
+  // Kept points split the line into stretches that are simplified on their
+  // own. Iterative (explicit stack) so long tracks cannot overflow.
+  const stack: [number, number][] = [];
+  let previous = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (kept[i]) {
+      stack.push([previous, i]);
+      previous = i;
+    }
+  }
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()!;
+    if (last - first < 2) continue;
+
+    const origin = points[first];
+    const end = toLocalKm(origin, points[last]);
+    let maxDistance = -1;
+    let maxIndex = first;
+
+    for (let i = first + 1; i < last; i++) {
+      // distance from point i to the segment, with point i as plane origin
+      const p = toLocalKm(origin, points[i]);
+      const distance = distanceToSegmentKm(
+        { x: -p.x, y: -p.y },
+        { x: end.x - p.x, y: end.y - p.y }
+      );
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxDistance > toleranceKm) {
+      kept[maxIndex] = 1;
+      stack.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return points.filter((_point, index) => kept[index] === 1);
+}
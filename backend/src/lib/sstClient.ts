@@ -1,90 +1,173 @@
 // backend/src/lib/sstClient.ts
-// Helpers to fetch near-real-time ocean conditions from the Open-Meteo Marine API
-// (no API key required), with in-memory caching.
+// The Open-Meteo Marine API (no API key required): request URLs and response
+// parsing for near-real-time conditions and for the hourly archive at the
+// time of a ping. Caching, rate limiting and retries are in
+// services/marineClient.ts, which is what the rest of the backend calls.
 
-type MarineSnapshot = {
+export const DEFAULT_MARINE_API_URL = "https://marine-api.open-meteo.com/v1/marine";
+
+export type MarineSnapshot = {
   sst: number | null;
   waveHeight: number | null;
+  /** Surface current, m/s. */
+  currentSpeed: number | null;
+  /** Direction the current flows towards, degrees clockwise from north. */
+  currentDirection: number | null;
 };
 
-const MARINE_CACHE = new Map<
-  string,
-  {
-    value: MarineSnapshot;
-    expiresAt: number;
-  }
->();
-
-// make a cache key from lat/lon + date (day precision is enough)
-function makeCacheKey(latitude: number, longitude: number): string {
-  const lat = Number(latitude).toFixed(2); // 0.01° ~ 1 km
-  const lon = Number(longitude).toFixed(2);
-  const day = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-  return `${lat},${lon},${day}`;
-}
+/** Archived conditions for one point in time. */
+export type MarineConditions = MarineSnapshot & {
+  /** The archive hour the values belong to (ISO); null when there were none. */
+  time: string | null;
+};
+
+/** Hourly values of one UTC day at one point. */
+export type MarineDay = {
+  times: number[]; // ms
+  sst: (number | null)[];
+  waveHeight: (number | null)[];
+  currentSpeed: (number | null)[];
+  currentDirection: (number | null)[];
+};
+
+export type MarineResponse = {
+  status: number;
+  /** From a Retry-After header (seconds or HTTP date), if any. */
+  retryAfterMs: number | null;
+  body: unknown;
+};
 
-// how long a cached value is valid (ms)
-const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+/**
+ * Requested in both the current and the hourly form. Part of the marine
+ * cache keys, so adding a variable does not serve bodies fetched without it.
+ */
+export const MARINE_VARIABLES =
+  "sea_surface_temperature,wave_height,ocean_current_velocity,ocean_current_direction";
+
+const HOUR_MS = 60 * 60 * 1000;
+/** Per request, headers and body; a hung connection must not hold callers forever. */
+export const MARINE_REQUEST_TIMEOUT_MS = 20 * 1000;
+// the archive hour must be this close to the ping to count
+const MAX_ARCHIVE_GAP_MS = 3 * HOUR_MS;
 
 function safeNumber(value: unknown): number | null {
   return typeof value === "number" && !Number.isNaN(value) ? value : null;
 }
 
-async function fetchMarineSnapshot(
-  latitude: number,
-  longitude: number
-): Promise<MarineSnapshot> {
-  if (latitude == null || longitude == null) {
-    return { sst: null, waveHeight: null };
-  }
-
-  const cacheKey = makeCacheKey(latitude, longitude);
-  const cached = MARINE_CACHE.get(cacheKey);
+// Open-Meteo reports current velocity in km/h
+function kmhToMs(value: number | null): number | null {
+  return value == null ? null : Math.round((value / 3.6) * 100) / 100;
+}
 
-  if (cached && cached.expiresAt > Date.now()) {
-    return cached.value;
-  }
+function pointUrl(baseUrl: string, latitude: number, longitude: number): URL {
+  const url = new URL(baseUrl);
+  url.searchParams.set("latitude", latitude.toFixed(3));
+  url.searchParams.set("longitude", longitude.toFixed(3));
+  return url;
+}
 
-  const lat = Number(latitude.toFixed(3));
-  const lon = Number(longitude.toFixed(3));
+export function currentConditionsUrl(
+  baseUrl: string,
+  latitude: number,
+  longitude: number
+): string {
+  const url = pointUrl(baseUrl, latitude, longitude);
+  url.searchParams.set("current", MARINE_VARIABLES);
+  return url.toString();
+}
 
-  const url = new URL("https://marine-api.open-meteo.com/v1/marine");
-  url.searchParams.set("latitude", lat.toString());
-  url.searchParams.set("longitude", lon.toString());
-  url.searchParams.set("current", "sea_surface_temperature,wave_height");
+/** `day` is a UTC date (YYYY-MM-DD). */
+export function archiveDayUrl(
+  baseUrl: string,
+  latitude: number,
+  longitude: number,
+  day: string
+): string {
+  const url = pointUrl(baseUrl, latitude, longitude);
+  url.searchParams.set("hourly", MARINE_VARIABLES);
+  url.searchParams.set("start_date", day);
+  url.searchParams.set("end_date", day);
+  url.searchParams.set("timeformat", "unixtime");
+  return url.toString();
+}
 
-  const res = await fetch(url.toString());
-  if (!res.ok) {
-    console.warn("[Marine] Open-Meteo error", res.status, res.statusText);
-    return { sst: null, waveHeight: null };
-  }
+export function parseCurrentConditions(body: unknown): MarineSnapshot {
+  const current = (body as any)?.current;
+  return {
+    sst: safeNumber(current?.sea_surface_temperature),
+    waveHeight: safeNumber(current?.wave_height),
+    currentSpeed: kmhToMs(safeNumber(current?.ocean_current_velocity)),
+    currentDirection: safeNumber(current?.ocean_current_direction),
+  };
+}
 
-  const json: any = await res.json();
-  const snapshot: MarineSnapshot = {
-    sst: safeNumber(json?.current?.sea_surface_temperature),
-    waveHeight: safeNumber(json?.current?.wave_height),
+export function parseArchiveDay(body: unknown): MarineDay {
+  const hourly = (body as any)?.hourly;
+  const times: unknown[] = Array.isArray(hourly?.time) ? hourly.time : [];
+  return {
+    times: times.map((t) => Number(t) * 1000),
+    sst: times.map((_, i) => safeNumber(hourly?.sea_surface_temperature?.[i])),
+    waveHeight: times.map((_, i) => safeNumber(hourly?.wave_height?.[i])),
+    currentSpeed: times.map((_, i) => kmhToMs(safeNumber(hourly?.ocean_current_velocity?.[i]))),
+    currentDirection: times.map((_, i) => safeNumber(hourly?.ocean_current_direction?.[i])),
   };
+}
 
-  MARINE_CACHE.set(cacheKey, {
-    value: snapshot,
-    expiresAt: Date.now() + CACHE_TTL_MS,
-  });
+/**
+ * Values of the archive hour nearest to `time` (at most 3 hours away).
+ * Hours without SST or wave height are skipped.
+ */
+export function nearestArchiveHour(day: MarineDay | null, time: string): MarineConditions {
+  const none: MarineConditions = {
+    sst: null,
+    waveHeight: null,
+    currentSpeed: null,
+    currentDirection: null,
+    time: null,
+  };
+  const target = Date.parse(time);
+  if (!day || Number.isNaN(target)) return none;
+
+  let best = -1;
+  for (let i = 0; i < day.times.length; i++) {
+    if (day.sst[i] == null && day.waveHeight[i] == null) continue;
+    const gap = Math.abs(day.times[i] - target);
+    if (gap <= MAX_ARCHIVE_GAP_MS && (best < 0 || gap < Math.abs(day.times[best] - target))) {
+      best = i;
+    }
+  }
 
-  return snapshot;
+  return best < 0
+    ? none
+    : {
+        sst: day.sst[best],
+        waveHeight: day.waveHeight[best],
+        currentSpeed: day.currentSpeed[best],
+        currentDirection: day.currentDirection[best],
+        time: new Date(day.times[best]).toISOString(),
+      };
 }
 
-export async function fetchSeaSurfaceTemperature(
-  latitude: number,
-  longitude: number
-): Promise<number | null> {
-  const snapshot = await fetchMarineSnapshot(latitude, longitude);
-  return snapshot.sst;
+function parseRetryAfter(header: string | null): number | null {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
 }
 
-export async function fetchWaveHeight(
-  latitude: number,
-  longitude: number
-): Promise<number | null> {
-  const snapshot = await fetchMarineSnapshot(latitude, longitude);
-  return snapshot.waveHeight;
+/** One GET; throws on network failures and when it takes longer than timeoutMs. */
+export async function requestMarine(
+  url: string,
+  timeoutMs = MARINE_REQUEST_TIMEOUT_MS
+): Promise<MarineResponse> {
+  const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  let body: unknown = null;
+  try {
+    body = await res.json();
+  } catch (err) {
+    // error pages are not always JSON; a timeout while reading still throws
+    if (!(err instanceof SyntaxError)) throw err;
+  }
+  return { status: res.status, retryAfterMs: parseRetryAfter(res.headers.get("retry-after")), body };
 }
@@ -1,10 +1,25 @@
 // src/lib/supabaseAdmin.ts
 import * as dotenv from "dotenv";
 dotenv.config();
-import { createClient } from "@supabase/supabase-js";
+import { createClient, type SupabaseClient } from "@supabase/supabase-js";
 
-const supabaseUrl = process.env.SUPABASE_URL!;
-const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY!;
+let client: SupabaseClient | null = null;
 
-// This client has full access (service role). Use only on backend.
-export const supabaseAdmin = createClient(supabaseUrl, supabaseServiceRoleKey);
+/**
+ * This client has full access (service role). Use only on backend.
+ * Created on first use, so the backend can start without Supabase settings
+ * when STORAGE_DRIVER=file (see src/repositories/index.ts).
+ */
+export function getSupabaseAdmin(): SupabaseClient {
+  if (!client) {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!supabaseUrl || !supabaseServiceRoleKey) {
+      throw new Error(
+        "SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set (or use STORAGE_DRIVER=file)"
+      );
+    }
+    client = createClient(supabaseUrl, supabaseServiceRoleKey);
+  }
+  return client;
+}
@@ -0,0 +1,26 @@
+// src/lib/time.ts
+
+/** Parses anything Date understands into an ISO string, or null. */
+export function safeIso(value: any): string | null {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * Like safeIso, but reads zone-less date-times ("2023-05-01 12:00:00") as
+ * UTC, which is what tag exports mean by them. Also accepts Unix seconds.
+ */
+export function utcIso(value: unknown): string | null {
+  if (value == null || value === "") return null;
+  if (typeof value === "number") {
+    return safeIso(value < 1e11 ? value * 1000 : value);
+  }
+
+  const raw = String(value).trim();
+  if (/^\d{9,10}(\.\d+)?$/.test(raw)) return safeIso(Number(raw) * 1000);
+
+  const hasZone = /[zZ]$|[+-]\d\d:?\d\d$/.test(raw);
+  const isDateTime = /^\d{4}-\d{2}-\d{2}[ T]\d/.test(raw);
+  return safeIso(isDateTime && !hasZone ? `${raw.replace(" ", "T")}Z` : raw);
+}
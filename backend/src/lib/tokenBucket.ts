@@ -0,0 +1,62 @@
+// src/lib/tokenBucket.ts
+// Token bucket for outgoing requests to rate-limited upstream APIs: up to
+// `capacity` calls at once, then `refillPerSecond` on average. Callers wait
+// in arrival order. pause() holds everyone back, e.g. for a 429's Retry-After.
+
+type TokenBucketOptions = {
+  capacity: number;
+  refillPerSecond: number;
+};
+
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function createTokenBucket({ capacity, refillPerSecond }: TokenBucketOptions) {
+  let tokens = capacity;
+  let refilledAt = Date.now();
+  let pausedUntil = 0;
+  // serializes take() so waiting callers are served first come, first served
+  let queue: Promise<unknown> = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - refilledAt) / 1000) * refillPerSecond);
+    refilledAt = now;
+  }
+
+  async function acquire(startedAt: number): Promise<number> {
+    for (;;) {
+      const pausedMs = pausedUntil - Date.now();
+      if (pausedMs > 0) {
+        await sleep(pausedMs);
+        continue;
+      }
+
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return Date.now() - startedAt;
+      }
+      await sleep(Math.ceil(((1 - tokens) / refillPerSecond) * 1000));
+    }
+  }
+
+  return {
+    /** Resolves with the time waited (ms) once a request may be sent. */
+    take(): Promise<number> {
+      const startedAt = Date.now();
+      const turn = queue.then(() => acquire(startedAt));
+      queue = turn.catch(() => undefined);
+      return turn;
+    },
+
+    /** No request goes out for `ms` (and the bucket starts empty afterwards). */
+    pause(ms: number) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+      tokens = 0;
+    },
+  };
+}
+
+export type TokenBucket = ReturnType<typeof createTokenBucket>;
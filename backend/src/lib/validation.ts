@@ -0,0 +1,157 @@
+// src/lib/validation.ts
+// Request validation for the API routes. Parsers push every problem they
+// find into one list, so a 400 names all bad params at once:
+//   { "error": "hours must be ...; bbox must be ...",
+//     "issues": [{ "in": "query", "name": "hours", "message": "hours must be ..." }] }
+// `error` keeps the single-string shape older clients read.
+import type { Response } from "express";
+import { safeIso } from "./time";
+
+export type ValidationIssue = {
+  in: "path" | "query" | "body";
+  name: string;
+  message: string;
+};
+
+export type Params = Record<string, unknown>;
+
+export function addIssue(
+  issues: ValidationIssue[],
+  location: ValidationIssue["in"],
+  name: string,
+  message: string
+): null {
+  issues.push({ in: location, name, message });
+  return null;
+}
+
+export function sendValidationError(res: Response, issues: ValidationIssue[]) {
+  return res.status(400).json({
+    error: issues.map((issue) => issue.message).join("; "),
+    issues,
+  });
+}
+
+// returned by single() once the problem has been recorded
+const INVALID = Symbol("invalid");
+
+/** A single value (null when absent): query strings turn `?a=1&a=2` into an array. */
+function single(
+  issues: ValidationIssue[],
+  location: ValidationIssue["in"],
+  params: Params,
+  name: string
+): unknown {
+  const raw = params[name];
+  if (Array.isArray(raw)) {
+    addIssue(issues, location, name, `${name} must be given once`);
+    return INVALID;
+  }
+  return raw === "" || raw === undefined ? null : raw;
+}
+
+export type NumberRule = {
+  integer?: boolean;
+  min?: number;
+  /** Exclusive lower bound. */
+  above?: number;
+  max?: number;
+  required?: boolean;
+};
+
+function describeNumber(name: string, rule: NumberRule): string {
+  const kind = rule.integer ? "an integer" : "a number";
+  if (rule.min != null && rule.max != null) {
+    return `${name} must be ${kind} from ${rule.min} to ${rule.max}`;
+  }
+  const bounds = [
+    rule.above != null ? `greater than ${rule.above}` : null,
+    rule.min != null ? `of at least ${rule.min}` : null,
+    rule.max != null ? `at most ${rule.max}` : null,
+  ].filter(Boolean);
+  return `${name} must be ${kind}${bounds.length ? ` ${bounds.join(" and ")}` : ""}`;
+}
+
+/** Number param; null when absent (or invalid, with an issue added). */
+export function readNumber(
+  issues: ValidationIssue[],
+  location: ValidationIssue["in"],
+  params: Params,
+  name: string,
+  rule: NumberRule = {}
+): number | null {
+  const raw = single(issues, location, params, name);
+  if (raw === INVALID) return null;
+  if (raw == null) {
+    return rule.required ? addIssue(issues, location, name, `${name} is required`) : null;
+  }
+
+  const value = typeof raw === "number" ? raw : typeof raw === "string" ? Number(raw) : NaN;
+  const valid =
+    Number.isFinite(value) &&
+    (!rule.integer || Number.isInteger(value)) &&
+    (rule.min == null || value >= rule.min) &&
+    (rule.above == null || value > rule.above) &&
+    (rule.max == null || value <= rule.max);
+  return valid ? value : addIssue(issues, location, name, describeNumber(name, rule));
+}
+
+// YYYY-MM-DD, optionally with Thh:mm[:ss[.sss]] and Z or an offset
+const ISO_DATE =
+  /^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+// Date itself accepts numbers, other formats and days past the month's end
+function isIsoDate(value: string): boolean {
+  const match = ISO_DATE.exec(value);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDate() === day && month <= 12;
+}
+
+/** ISO 8601 date param, normalized to a UTC ISO string. */
+export function readIsoDate(
+  issues: ValidationIssue[],
+  location: ValidationIssue["in"],
+  params: Params,
+  name: string
+): string | null {
+  const raw = single(issues, location, params, name);
+  if (raw == null || raw === INVALID) return null;
+  const iso = typeof raw === "string" && isIsoDate(raw) ? safeIso(raw) : null;
+  return iso ?? addIssue(issues, location, name, `${name} must be an ISO 8601 date`);
+}
+
+/** One of a fixed set of strings; `fallback` when absent. */
+export function readEnum<T extends string>(
+  issues: ValidationIssue[],
+  location: ValidationIssue["in"],
+  params: Params,
+  name: string,
+  allowed: readonly T[],
+  fallback: T
+): T {
+  const raw = single(issues, location, params, name);
+  if (raw == null || raw === INVALID) return fallback;
+  if (allowed.includes(raw as T)) return raw as T;
+  addIssue(issues, location, name, `${name} must be one of ${allowed.join(", ")}`);
+  return fallback;
+}
+
+/** Comma-separated list param ("a,b,c"); null when absent or empty. */
+export function readList(
+  issues: ValidationIssue[],
+  location: ValidationIssue["in"],
+  params: Params,
+  name: string
+): string[] | null {
+  const raw = single(issues, location, params, name);
+  if (raw == null || raw === INVALID) return null;
+  if (typeof raw !== "string") {
+    return addIssue(issues, location, name, `${name} must be a comma-separated list`);
+  }
+  const items = raw
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return items.length ? items : null;
+}
@@ -0,0 +1,866 @@
+// src/openapi.ts
+// OpenAPI 3.1 description of the backend, served at GET /api/openapi.json.
+// Written by hand next to the routes: when a route, a query param or a
+// response interface (Shark, SharkTrackPoint, ...) changes, change it here.
+import { EXPORT_FORMATS } from "./services/trackExport";
+
+const ref = (name: string) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name: string) => ({ $ref: `#/components/parameters/${name}` });
+const response = (name: string) => ({ $ref: `#/components/responses/${name}` });
+
+const json = (schema: object) => ({ "application/json": { schema } });
+
+const exportFormats = Object.keys(EXPORT_FORMATS);
+const exportContent = Object.fromEntries(
+  Object.values(EXPORT_FORMATS).map(({ contentType }) => [
+    contentType,
+    { schema: { type: "string" } },
+  ])
+);
+
+// Answer to conditional requests on the cached GET routes (see responseCache)
+const cachedGet = {
+  "304": { description: "Not modified since the ETag / Last-Modified the client sent" },
+};
+
+// Every /admin route authenticates and is rate limited (see admin.ts)
+const adminErrors = {
+  "401": response("Unauthorized"),
+  "429": { description: "Rate limited; see Retry-After" },
+  "503": { description: "Admin authentication is not configured" },
+};
+
+const spatialResultSchema = {
+  type: "object",
+  required: ["from", "to", "count", "sharks"],
+  properties: {
+    from: { type: ["string", "null"], format: "date-time" },
+    to: { type: ["string", "null"], format: "date-time" },
+    count: { type: "integer" },
+    sharks: { type: "array", items: ref("SpatialMatch") },
+  },
+};
+
+export const openApiDocument = {
+  openapi: "3.1.0",
+  info: {
+    title: "Shark tracker API",
+    version: "1.0.0",
+    description:
+      "Shark positions collected from tracking providers. Read routes support " +
+      "ETag / Last-Modified revalidation; invalid parameters are a 400 with a " +
+      "list of issues.",
+  },
+  servers: [{ url: "/" }],
+  paths: {
+    "/health": {
+      get: {
+        summary: "Liveness probe",
+        responses: {
+          "200": {
+            description: "Service is up",
+            content: json({ type: "object", properties: { status: { const: "ok" } } }),
+          },
+        },
+      },
+    },
+    "/api/sharks": {
+      get: {
+        summary: "Sharks with their track or latest position",
+        parameters: [
+          param("since"),
+          param("until"),
+          param("hours"),
+          {
+            name: "bbox",
+            in: "query",
+            description:
+              "minLng,minLat,maxLng,maxLat of the latest position; " +
+              "minLng > maxLng crosses the antimeridian",
+            schema: { type: "string", example: "10,-40,40,-20" },
+          },
+          param("provider"),
+          param("species"),
+          {
+            name: "freshness",
+            in: "query",
+            description:
+              "Comma-separated tiers: fresh (≤ 7 days), recent (≤ 30 days), stale, unknown",
+            schema: { type: "string", example: "fresh,recent" },
+          },
+          {
+            name: "include",
+            in: "query",
+            description: "track (default) or latest (no track arrays)",
+            schema: { type: "string", enum: ["track", "latest"], default: "track" },
+          },
+          param("tolerance"),
+          param("zoom"),
+        ],
+        responses: {
+          "200": {
+            description: "Sharks with at least one ping in the window",
+            content: json({ type: "array", items: ref("Shark") }),
+          },
+          ...cachedGet,
+          "400": response("ValidationError"),
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/api/providers": {
+      get: {
+        summary: "Tracking providers and how many stored sharks came from each",
+        responses: {
+          "200": {
+            description: "Configured providers plus providers seen on stored sharks",
+            content: json({ type: "array", items: ref("Provider") }),
+          },
+          ...cachedGet,
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/api/species": {
+      get: {
+        summary: "Species of the stored sharks with catalogue data and counts",
+        responses: {
+          "200": {
+            description: "Most tracked species first",
+            content: json({ type: "array", items: ref("Species") }),
+          },
+          ...cachedGet,
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/api/sharks/export.{format}": {
+      get: {
+        summary: "Tracks of several sharks as one file",
+        parameters: [
+          param("exportFormat"),
+          {
+            name: "ids",
+            in: "query",
+            description: "Comma-separated shark ids (as in GET /api/sharks)",
+            schema: { type: "string" },
+          },
+          param("provider"),
+          param("species"),
+          param("since"),
+          param("until"),
+          param("hours"),
+        ],
+        responses: {
+          "200": { description: "File download", content: exportContent },
+          ...cachedGet,
+          "400": response("ValidationError"),
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/api/live": {
+      get: {
+        summary: "Server-Sent Events stream of new sharks and pings",
+        description:
+          'Event "shark": LiveShark, a shark seen for the first time. ' +
+          'Event "positions": LivePositions, new points of one shark, oldest first.',
+        responses: {
+          "200": {
+            description: "Event stream (never ends on its own)",
+            content: { "text/event-stream": { schema: { type: "string" } } },
+          },
+        },
+      },
+    },
+    "/api/sharks/near": {
+      get: {
+        summary: "Sharks that passed within a radius of a point",
+        parameters: [
+          {
+            name: "lat",
+            in: "query",
+            required: true,
+            schema: { type: "number", minimum: -90, maximum: 90 },
+          },
+          {
+            name: "lng",
+            in: "query",
+            required: true,
+            schema: { type: "number", minimum: -180, maximum: 180 },
+          },
+          {
+            name: "radiusKm",
+            in: "query",
+            required: true,
+            schema: { type: "number", exclusiveMinimum: 0, maximum: 5000 },
+          },
+          param("from"),
+          param("to"),
+        ],
+        responses: {
+          "200": {
+            description: "Matching sharks, earliest visit first",
+            content: json({
+              allOf: [
+                spatialResultSchema,
+                {
+                  type: "object",
+                  properties: {
+                    center: ref("LatLng"),
+                    radiusKm: { type: "number" },
+                  },
+                },
+              ],
+            }),
+          },
+          ...cachedGet,
+          "400": response("ValidationError"),
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/api/sharks/within": {
+      post: {
+        summary: "Sharks that were inside a GeoJSON polygon",
+        parameters: [param("from"), param("to")],
+        requestBody: {
+          required: true,
+          content: json({
+            type: "object",
+            required: ["polygon"],
+            properties: {
+              polygon: {
+                description:
+                  "GeoJSON Polygon or MultiPolygon, or a Feature / FeatureCollection of them",
+                type: "object",
+              },
+              from: { type: "string", format: "date-time" },
+              to: { type: "string", format: "date-time" },
+            },
+          }),
+        },
+        responses: {
+          "200": { description: "Matching sharks", content: json(spatialResultSchema) },
+          "400": response("ValidationError"),
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/api/sharks/{id}": {
+      get: {
+        summary: "Profile and track statistics of one shark",
+        parameters: [param("sharkId")],
+        responses: {
+          "200": { description: "The shark", content: json(ref("SharkDetail")) },
+          ...cachedGet,
+          "400": response("ValidationError"),
+          "404": response("NotFound"),
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/api/sharks/{id}/stats": {
+      get: {
+        summary: "Movement analytics of one shark",
+        parameters: [param("sharkId"), param("since"), param("until"), param("hours")],
+        responses: {
+          "200": { description: "Movement stats", content: json(ref("MovementStats")) },
+          ...cachedGet,
+          "400": response("ValidationError"),
+          "404": response("NotFound"),
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/api/conditions": {
+      get: {
+        summary: "Environmental variables at any point, with units and sources",
+        parameters: [
+          {
+            name: "lat",
+            in: "query",
+            required: true,
+            schema: { type: "number", minimum: -90, maximum: 90 },
+          },
+          {
+            name: "lng",
+            in: "query",
+            required: true,
+            schema: { type: "number", minimum: -180, maximum: 180 },
+          },
+          {
+            name: "time",
+            in: "query",
+            description: "ISO date-time the values should describe (default: now)",
+            schema: { type: "string", format: "date-time" },
+          },
+        ],
+        responses: {
+          "200": {
+            description: "Values at the point",
+            content: json({
+              type: "object",
+              required: ["lat", "lng", "time", "values"],
+              properties: {
+                lat: { type: "number" },
+                lng: { type: "number" },
+                time: { type: "string", format: "date-time" },
+                values: { type: "array", items: ref("EnvironmentValue") },
+              },
+            }),
+          },
+          "400": response("ValidationError"),
+          "429": { description: "Rate limited; see Retry-After" },
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/api/sharks/{id}/environment": {
+      get: {
+        summary: "Environmental variables at the shark's last ping, with units and sources",
+        parameters: [param("sharkId")],
+        responses: {
+          "200": {
+            description: "Values at the last ping",
+            content: json({
+              type: "object",
+              required: ["id", "lat", "lng", "time", "values"],
+              properties: {
+                id: { type: "integer" },
+                lat: { type: "number" },
+                lng: { type: "number" },
+                time: { type: "string", format: "date-time" },
+                values: { type: "array", items: ref("EnvironmentValue") },
+              },
+            }),
+          },
+          "400": response("ValidationError"),
+          "404": response("NotFound"),
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/api/sharks/{id}/track": {
+      get: {
+        summary: "Track of one shark, oldest point first",
+        parameters: [
+          param("sharkId"),
+          param("since"),
+          param("until"),
+          param("hours"),
+          param("tolerance"),
+          param("zoom"),
+        ],
+        responses: {
+          "200": {
+            description: "Track points",
+            headers: {
+              "X-Track-Point-Count": {
+                description: "Stored point count, when the track was simplified",
+                schema: { type: "integer" },
+              },
+            },
+            content: json({ type: "array", items: ref("SharkTrackPoint") }),
+          },
+          ...cachedGet,
+          "400": response("ValidationError"),
+          "404": response("NotFound"),
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/api/sharks/{id}/track.{format}": {
+      get: {
+        summary: "Track of one shark as a file (always full resolution)",
+        parameters: [
+          param("sharkId"),
+          param("exportFormat"),
+          param("since"),
+          param("until"),
+          param("hours"),
+        ],
+        responses: {
+          "200": { description: "File download", content: exportContent },
+          ...cachedGet,
+          "400": response("ValidationError"),
+          "404": response("NotFound"),
+          "500": response("ServerError"),
+        },
+      },
+    },
+    "/admin/refresh-sharks": {
+      post: {
+        summary: "Run the shark sync now",
+        security: [{ adminToken: [] }, { adminHmac: [] }],
+        responses: {
+          "200": {
+            description: "Sync finished (ok or partial)",
+            content: json({ type: "object" }),
+          },
+          "409": { description: "A sync is already running" },
+          "502": { description: "Every provider failed" },
+          ...adminErrors,
+        },
+      },
+    },
+    "/admin/sync-status": {
+      get: {
+        summary: "Running sync, scheduler state and the ocean-condition enrichment stage",
+        security: [{ adminToken: [] }, { adminHmac: [] }],
+        responses: {
+          "200": { description: "Status", content: json({ type: "object" }) },
+          ...adminErrors,
+        },
+      },
+    },
+    "/admin/marine-metrics": {
+      get: {
+        summary: "Open-Meteo marine client cache hit rate, upstream calls and retries",
+        security: [{ adminToken: [] }, { adminHmac: [] }],
+        responses: {
+          "200": {
+            description: "Counters since the process started",
+            content: json({ type: "object" }),
+          },
+          ...adminErrors,
+        },
+      },
+    },
+    "/admin/sync-runs": {
+      get: {
+        summary: "Recent sync runs, newest first",
+        security: [{ adminToken: [] }, { adminHmac: [] }],
+        parameters: [param("limit")],
+        responses: {
+          "200": {
+            description: "Sync runs",
+            content: json({ type: "array", items: ref("SyncRun") }),
+          },
+          "400": response("ValidationError"),
+          ...adminErrors,
+        },
+      },
+    },
+    "/admin/quarantine": {
+      get: {
+        summary: "Pings rejected by sync validation, newest first",
+        security: [{ adminToken: [] }, { adminHmac: [] }],
+        parameters: [
+          param("limit"),
+          { name: "sharkId", in: "query", schema: { type: "integer", minimum: 1 } },
+        ],
+        responses: {
+          "200": {
+            description: "Quarantined pings",
+            content: json({ type: "array", items: ref("QuarantinedPosition") }),
+          },
+          "400": response("ValidationError"),
+          ...adminErrors,
+        },
+      },
+    },
+    "/admin/quarantine/{id}/release": {
+      post: {
+        summary: "Accept a quarantined ping",
+        security: [{ adminToken: [] }, { adminHmac: [] }],
+        parameters: [param("rowId")],
+        responses: {
+          "200": { description: "Released", content: json({ type: "object" }) },
+          "400": response("ValidationError"),
+          "404": response("NotFound"),
+          "409": { description: "The shark already has a ping at this source timestamp" },
+          ...adminErrors,
+        },
+      },
+    },
+    "/admin/quarantine/{id}": {
+      delete: {
+        summary: "Drop a quarantined ping",
+        security: [{ adminToken: [] }, { adminHmac: [] }],
+        parameters: [param("rowId")],
+        responses: {
+          "200": { description: "Deleted", content: json({ type: "object" }) },
+          "400": response("ValidationError"),
+          "404": response("NotFound"),
+          ...adminErrors,
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      adminToken: { type: "http", scheme: "bearer" },
+      adminHmac: {
+        type: "apiKey",
+        in: "header",
+        name: "X-Admin-Signature",
+        description:
+          "sha256=<hex HMAC-SHA256 of '<X-Admin-Timestamp>.<METHOD>.<url>.<raw body>'>, " +
+          "sent with X-Admin-Timestamp (unix seconds)",
+      },
+    },
+    parameters: {
+      since: {
+        name: "since",
+        in: "query",
+        description: "Only pings at or after this time",
+        schema: { type: "string", format: "date-time" },
+      },
+      until: {
+        name: "until",
+        in: "query",
+        description: "Only pings at or before this time; must not be before since",
+        schema: { type: "string", format: "date-time" },
+      },
+      hours: {
+        name: "hours",
+        in: "query",
+        description: "Last N hours (ignored when since is given)",
+        schema: { type: "number", exclusiveMinimum: 0 },
+      },
+      from: {
+        name: "from",
+        in: "query",
+        description: "Start of the time range (ISO 8601)",
+        schema: { type: "string", format: "date-time" },
+      },
+      to: {
+        name: "to",
+        in: "query",
+        description: "End of the time range; must not be before from",
+        schema: { type: "string", format: "date-time" },
+      },
+      provider: {
+        name: "provider",
+        in: "query",
+        description: "Comma-separated provider ids",
+        schema: { type: "string" },
+      },
+      species: {
+        name: "species",
+        in: "query",
+        description:
+          "Comma-separated species (scientific or common names, or aliases), case-insensitive",
+        schema: { type: "string" },
+      },
+      tolerance: {
+        name: "tolerance",
+        in: "query",
+        description:
+          "Simplify tracks to this many km, keeping every live ping (0 = full resolution)",
+        schema: { type: "number", minimum: 0 },
+      },
+      zoom: {
+        name: "zoom",
+        in: "query",
+        description: "Simplify tracks to about one pixel at this map zoom",
+        schema: { type: "number", minimum: 0, maximum: 24 },
+      },
+      sharkId: {
+        name: "id",
+        in: "path",
+        required: true,
+        description:
+          "Shark id as in GET /api/sharks, or a full external id (mapotic:123), URL-encoded",
+        schema: { type: "string", minLength: 1, maxLength: 200 },
+      },
+      exportFormat: {
+        name: "format",
+        in: "path",
+        required: true,
+        schema: { type: "string", enum: exportFormats },
+      },
+      rowId: {
+        name: "id",
+        in: "path",
+        required: true,
+        schema: { type: "integer", minimum: 1 },
+      },
+      limit: {
+        name: "limit",
+        in: "query",
+        schema: { type: "integer", minimum: 1, maximum: 200 },
+      },
+    },
+    responses: {
+      ValidationError: {
+        description: "Invalid path, query or body parameters",
+        content: json(ref("ValidationError")),
+      },
+      NotFound: { description: "No such resource", content: json(ref("Error")) },
+      ServerError: { description: "Storage or upstream failure", content: json(ref("Error")) },
+      Unauthorized: {
+        description: "Missing or invalid admin credentials",
+        content: json(ref("Error")),
+      },
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: { error: { type: "string" } },
+      },
+      ValidationError: {
+        type: "object",
+        required: ["error", "issues"],
+        properties: {
+          error: { type: "string", description: "All issue messages, joined" },
+          issues: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["in", "name", "message"],
+              properties: {
+                in: { type: "string", enum: ["path", "query", "body"] },
+                name: { type: "string" },
+                message: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+      LatLng: {
+        type: "object",
+        required: ["lat", "lng"],
+        properties: { lat: { type: "number" }, lng: { type: "number" } },
+      },
+      SharkTrackPoint: {
+        type: "object",
+        required: ["lat", "lng", "time"],
+        properties: {
+          lat: { type: "number" },
+          lng: { type: "number" },
+          time: { type: "string", format: "date-time" },
+          sst: { type: ["number", "null"], description: "°C at conditionsTime" },
+          waveHeight: { type: ["number", "null"], description: "m at conditionsTime" },
+          conditionsTime: {
+            type: "string",
+            format: "date-time",
+            description:
+              "Archive hour the ocean conditions refer to (within 3 h of the ping); " +
+              "absent, with sst and waveHeight, until the ping has been looked up",
+          },
+        },
+      },
+      Shark: {
+        type: "object",
+        required: ["id", "name", "species", "latitude", "longitude"],
+        properties: {
+          id: { type: "integer" },
+          external_id: { type: "string" },
+          name: { type: "string" },
+          species: { type: "string" },
+          latitude: { type: "number" },
+          longitude: { type: "number" },
+          imageUrl: { type: ["string", "null"] },
+          last_update: { type: ["string", "null"], format: "date-time" },
+          approxSst: {
+            type: ["number", "null"],
+            description: "°C at the latest position, as of conditionsFetchedAt",
+          },
+          approxWaveHeight: {
+            type: ["number", "null"],
+            description: "m at the latest position, as of conditionsFetchedAt",
+          },
+          conditionsFetchedAt: {
+            type: ["string", "null"],
+            format: "date-time",
+            description:
+              "When the background enrichment fetched the current conditions; " +
+              "null until it has (the request itself never fetches them)",
+          },
+          sourceProvider: { type: "string" },
+          track: { type: "array", items: ref("SharkTrackPoint") },
+          trackPointCount: {
+            type: "integer",
+            description: "Stored points, when track is simplified",
+          },
+        },
+      },
+      SharkDetail: {
+        type: "object",
+        required: ["id", "external_id", "name", "species", "sourceProvider", "meta", "pingCount"],
+        properties: {
+          id: { type: "integer" },
+          external_id: { type: "string" },
+          name: { type: "string" },
+          species: { type: "string" },
+          imageUrl: { type: ["string", "null"] },
+          sourceProvider: { type: "string" },
+          meta: { type: "object" },
+          firstPing: { oneOf: [ref("SharkTrackPoint"), { type: "null" }] },
+          lastPing: { oneOf: [ref("SharkTrackPoint"), { type: "null" }] },
+          pingCount: { type: "integer" },
+          totalDistanceKm: { type: "number" },
+          daysTracked: { type: "number" },
+        },
+      },
+      MovementStats: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          since: { type: ["string", "null"], format: "date-time" },
+          until: { type: ["string", "null"], format: "date-time" },
+          pingCount: { type: "integer" },
+          firstPing: { oneOf: [ref("SharkTrackPoint"), { type: "null" }] },
+          lastPing: { oneOf: [ref("SharkTrackPoint"), { type: "null" }] },
+          distanceKm: { type: "number" },
+          maxSpeedKmh: { type: ["number", "null"] },
+          medianSpeedKmh: { type: ["number", "null"] },
+          legs: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                from: { type: "string", format: "date-time" },
+                to: { type: "string", format: "date-time" },
+                distanceKm: { type: "number" },
+                hours: { type: "number" },
+                speedKmh: { type: ["number", "null"] },
+              },
+            },
+          },
+          taggingLocation: { oneOf: [ref("SharkTrackPoint"), { type: "null" }] },
+          netDisplacementKm: { type: ["number", "null"] },
+          regions: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                region: { type: "string" },
+                hours: { type: "number" },
+                pingCount: { type: "integer" },
+              },
+            },
+          },
+          daysSinceLastPing: { type: ["number", "null"] },
+        },
+      },
+      Provider: {
+        type: "object",
+        required: ["id", "sharkCount"],
+        properties: { id: { type: "string" }, sharkCount: { type: "integer" } },
+      },
+      Species: {
+        type: "object",
+        required: ["scientificName", "commonNames", "sharkCount"],
+        properties: {
+          scientificName: {
+            type: "string",
+            description: "Canonical name; the feed's own spelling for uncatalogued species",
+          },
+          commonName: { type: ["string", "null"] },
+          commonNames: { type: "array", items: { type: "string" } },
+          family: { type: ["string", "null"] },
+          iucnStatus: {
+            type: ["string", "null"],
+            enum: ["LC", "NT", "VU", "EN", "CR", "EW", "EX", "DD", null],
+          },
+          sharkCount: { type: "integer" },
+        },
+      },
+      EnvironmentValue: {
+        type: "object",
+        required: ["variable", "label", "units", "source", "value"],
+        properties: {
+          variable: {
+            type: "string",
+            description:
+              "sst, waveHeight, currentSpeed, currentDirection, chlorophyllA, " +
+              "seafloorDepth, distanceToShore, moonPhase",
+          },
+          label: { type: "string" },
+          value: { type: ["number", "null"] },
+          units: { type: "string" },
+          description: {
+            type: ["string", "null"],
+            description: 'Words for the value, e.g. "towards NE" or a moon phase name',
+          },
+          source: { type: "string" },
+          sourceUrl: { type: ["string", "null"] },
+          observedAt: {
+            type: ["string", "null"],
+            format: "date-time",
+            description: "When the value was observed, if not at the requested time",
+          },
+          error: { type: ["string", "null"], description: "Why the source gave no value" },
+        },
+      },
+      SpatialMatch: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          name: { type: "string" },
+          species: { type: "string" },
+          sourceProvider: { type: "string" },
+          visits: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                enteredAt: { type: "string", format: "date-time" },
+                exitedAt: { type: "string", format: "date-time" },
+              },
+            },
+          },
+          closestApproach: {
+            type: "object",
+            properties: {
+              distanceKm: { type: "number" },
+              time: { type: "string", format: "date-time" },
+              lat: { type: "number" },
+              lng: { type: "number" },
+            },
+          },
+          pingsInside: { type: "integer" },
+        },
+      },
+      LiveShark: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          external_id: { type: "string" },
+          name: { type: "string" },
+          species: { type: "string" },
+          imageUrl: { type: ["string", "null"] },
+          sourceProvider: { type: "string" },
+        },
+      },
+      LivePositions: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          points: { type: "array", items: ref("SharkTrackPoint") },
+        },
+      },
+      SyncRun: {
+        type: "object",
+        properties: {
+          startedAt: { type: "string", format: "date-time" },
+          finishedAt: { type: "string", format: "date-time" },
+          status: { type: "string", enum: ["ok", "partial", "error"] },
+          featuresProcessed: { type: "integer" },
+          pointsInserted: { type: "integer" },
+          pointsSkipped: { type: "integer" },
+          pointsQuarantined: { type: "integer" },
+          providers: { type: "array", items: { type: "object" } },
+          error: { type: ["string", "null"] },
+        },
+      },
+      QuarantinedPosition: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          sharkId: { type: "integer" },
+          lat: { type: "number" },
+          lng: { type: "number" },
+          sourceTimestamp: { type: ["string", "null"], format: "date-time" },
+          recordedAt: { type: "string", format: "date-time" },
+          reason: { type: "string" },
+          createdAt: { type: "string", format: "date-time" },
+        },
+      },
+    },
+  },
+};
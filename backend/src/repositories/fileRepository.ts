@@ -0,0 +1,514 @@
+// src/repositories/fileRepository.ts
+// Local storage for development and offline use: every table lives in one
+// JSON file, loaded on first use and rewritten after each write. Mirrors
+// the constraints the sync relies on (unique sharks.external_id, unique
+// ping per (shark_id, source_timestamp)). Not meant for production volumes.
+import fs from "fs";
+import path from "path";
+import type { LatestPosition } from "../services/syncStore";
+import type {
+  AuditLogRecord,
+  MarineCacheEntry,
+  PositionRecord,
+  QuarantineRecord,
+  QuarantineReleaseResult,
+  Repository,
+  SharkConditionsRecord,
+  SharkRecord,
+  SyncRunRecord,
+} from "./types";
+
+// ids are internal to the file (ocean-condition updates address rows by id)
+type StoredPosition = PositionRecord & { id: number };
+
+type FileState = {
+  sharks: SharkRecord[];
+  positions: StoredPosition[];
+  conditions: SharkConditionsRecord[];
+  marineCache: MarineCacheEntry[];
+  quarantined: QuarantineRecord[];
+  syncRuns: SyncRunRecord[];
+  auditLog: (AuditLogRecord & { id: number; created_at: string })[];
+  nextIds: { sharks: number; positions: number; quarantined: number; auditLog: number };
+};
+
+function emptyState(): FileState {
+  return {
+    sharks: [],
+    positions: [],
+    conditions: [],
+    marineCache: [],
+    quarantined: [],
+    syncRuns: [],
+    auditLog: [],
+    nextIds: { sharks: 1, positions: 1, quarantined: 1, auditLog: 1 },
+  };
+}
+
+// Files written before positions had ids: number them in stored order
+function withPositionIds(db: FileState): FileState {
+  for (const row of db.positions) {
+    if (row.id != null) db.nextIds.positions = Math.max(db.nextIds.positions, row.id + 1);
+  }
+  for (const row of db.positions) {
+    if (row.id == null) row.id = db.nextIds.positions++;
+  }
+  return db;
+}
+
+// ISO strings compare correctly as dates; missing times sort last,
+// like Postgres' default "asc nulls last".
+function timeKey(value: string | null): number {
+  const t = value ? Date.parse(value) : NaN;
+  return Number.isNaN(t) ? Infinity : t;
+}
+
+function comparePositions(a: PositionRecord, b: PositionRecord): number {
+  return (
+    timeKey(a.recorded_at) - timeKey(b.recorded_at) ||
+    timeKey(a.created_at) - timeKey(b.created_at)
+  );
+}
+
+function pingKey(sharkId: number, sourceTimestamp: string): string {
+  return `${sharkId}|${new Date(sourceTimestamp).toISOString()}`;
+}
+
+// How long a write waits for another process's lock before failing
+const LOCK_TIMEOUT_MS = 10 * 1000;
+// A lock file this old was left behind by a process that died mid-write
+const STALE_LOCK_MS = 30 * 1000;
+const LOCK_RETRY_MS = 20;
+
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * The server and CLI scripts (imports, backfills) may use the same file at
+ * once. Reads pick up a file another process replaced (by inode, size and
+ * mtime); writes hold `<file>.lock` and apply their change to a fresh read,
+ * so no process writes back a stale copy over another one's rows.
+ */
+export function createFileRepository(filePath: string): Repository {
+  const lockPath = `${filePath}.lock`;
+  let state: FileState | null = null;
+  // fileVersion() of the file `state` was read from or last written to
+  let stateVersion: string | null = null;
+
+  function fileVersion(): string | null {
+    try {
+      const stat = fs.statSync(filePath);
+      return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+    } catch {
+      return null;
+    }
+  }
+
+  function load(): FileState {
+    const version = fileVersion();
+    if (!state || version !== stateVersion) {
+      const empty = emptyState();
+      const stored = version != null ? JSON.parse(fs.readFileSync(filePath, "utf8")) : {};
+      state = withPositionIds({
+        ...empty,
+        ...stored,
+        nextIds: { ...empty.nextIds, ...stored.nextIds },
+      });
+      stateVersion = version;
+    }
+    return state!;
+  }
+
+  // Write to a temp file first so a crash never leaves half a JSON file
+  function save() {
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, filePath);
+    stateVersion = fileVersion();
+  }
+
+  // waits between attempts without blocking the event loop
+  async function lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+        return;
+      } catch (err) {
+        if ((err as NodeJS.ErrnoException).code !== "EEXIST") throw err;
+      }
+
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS) {
+          fs.rmSync(lockPath, { force: true });
+          continue;
+        }
+      } catch {
+        continue; // released meanwhile
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`File storage is locked by another process (${lockPath})`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * Applies `change` to the current file contents and saves, under the lock.
+   * A change that throws is discarded (the next read reloads the file).
+   * Load, change and save run without yielding, so writes of this process
+   * never interleave.
+   */
+  async function write<T>(change: (db: FileState) => T): Promise<T> {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    await lock();
+    try {
+      const db = load();
+      let result: T;
+      try {
+        result = change(db);
+      } catch (err) {
+        state = null;
+        throw err;
+      }
+      save();
+      return result;
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  function sharkRef(shark: SharkRecord) {
+    return { id: shark.id, external_id: shark.external_id };
+  }
+
+  const repository: Repository = {
+    async listSharks() {
+      return [...load().sharks].sort((a, b) => a.id - b.id);
+    },
+
+    async getShark(id) {
+      return load().sharks.find((shark) => shark.id === id) ?? null;
+    },
+
+    async getSharkByExternalId(externalId) {
+      return load().sharks.find((shark) => shark.external_id === externalId) ?? null;
+    },
+
+    async upsertShark(row) {
+      const [saved] = await repository.upsertSharks([row]);
+      return saved;
+    },
+
+    async upsertSharks(rows) {
+      return write((db) => {
+        const byExternalId = new Map(db.sharks.map((shark) => [shark.external_id, shark]));
+
+        const out = rows.map((row) => {
+          const existing = byExternalId.get(row.external_id);
+          if (existing) {
+            Object.assign(existing, row);
+            return sharkRef(existing);
+          }
+
+          const shark: SharkRecord = {
+            id: db.nextIds.sharks++,
+            image_url: null,
+            history_backfilled_at: null,
+            ...row,
+          };
+          db.sharks.push(shark);
+          byExternalId.set(shark.external_id, shark);
+          return sharkRef(shark);
+        });
+
+        return out;
+      });
+    },
+
+    async findSharks(externalIds) {
+      const wanted = new Set(externalIds);
+      return load().sharks.filter((shark) => wanted.has(shark.external_id)).map(sharkRef);
+    },
+
+    getTrack: (sharkId, query) => repository.getTracks([sharkId], query),
+
+    async getTracks(sharkIds, query = {}) {
+      const ids = new Set(sharkIds);
+      const since = query.since ? Date.parse(query.since) : -Infinity;
+      const until = query.until ? Date.parse(query.until) : Infinity;
+      return load()
+        .positions.filter((row) => {
+          if (!ids.has(row.shark_id)) return false;
+          if (!query.since && !query.until) return true;
+          const t = timeKey(row.recorded_at);
+          return t >= since && t <= until;
+        })
+        .sort(comparePositions);
+    },
+
+    async lastPosition(sharkId) {
+      const [latest] = await repository.latestPositions([sharkId]);
+      return latest ?? null;
+    },
+
+    async listPositionsCreatedSince(since, limit) {
+      const after = Date.parse(since);
+      return load()
+        .positions.filter((row) => row.created_at != null && timeKey(row.created_at) > after)
+        .sort((a, b) => timeKey(a.created_at) - timeKey(b.created_at))
+        .slice(0, limit);
+    },
+
+    async listMarinePending(limit) {
+      return load()
+        .positions.filter((row) => row.marine_fetched_at == null && row.recorded_at != null)
+        .sort((a, b) => timeKey(b.recorded_at) - timeKey(a.recorded_at))
+        .slice(0, limit)
+        .map((row) => ({
+          id: row.id,
+          shark_id: row.shark_id,
+          lat: row.lat,
+          lng: row.lng,
+          recorded_at: row.recorded_at!,
+        }));
+    },
+
+    async updatePositionMarine(rows) {
+      await write((db) => {
+        const byId = new Map(db.positions.map((row) => [row.id, row]));
+        for (const { id, ...marine } of rows) {
+          const row = byId.get(id);
+          if (row) Object.assign(row, marine);
+        }
+      });
+    },
+
+    async listSharkConditions(sharkIds) {
+      const ids = new Set(sharkIds);
+      return load().conditions.filter((row) => ids.has(row.shark_id));
+    },
+
+    async upsertSharkConditions(rows) {
+      await write((db) => {
+        const bySharkId = new Map(db.conditions.map((row) => [row.shark_id, row]));
+        for (const row of rows) {
+          const existing = bySharkId.get(row.shark_id);
+          if (existing) {
+            Object.assign(existing, row);
+          } else {
+            const stored = { ...row };
+            db.conditions.push(stored);
+            bySharkId.set(row.shark_id, stored);
+          }
+        }
+      });
+    },
+
+    async getMarineCache(key) {
+      const entry = load().marineCache.find((row) => row.key === key);
+      return entry && Date.parse(entry.expires_at) > Date.now() ? entry : null;
+    },
+
+    // expired entries are dropped on every write so the file does not grow
+    async putMarineCache(entry) {
+      await write((db) => {
+        const now = Date.now();
+        db.marineCache = db.marineCache.filter(
+          (row) => row.key !== entry.key && Date.parse(row.expires_at) > now
+        );
+        db.marineCache.push({ ...entry });
+      });
+    },
+
+    async deleteExpiredMarineCache() {
+      const expired = (row: MarineCacheEntry) => Date.parse(row.expires_at) <= Date.now();
+      if (!load().marineCache.some(expired)) return 0;
+      return write((db) => {
+        const before = db.marineCache.length;
+        db.marineCache = db.marineCache.filter((row) => !expired(row));
+        return before - db.marineCache.length;
+      });
+    },
+
+    async existingTimestamps(sharkIds, timestamps) {
+      const ids = new Set(sharkIds);
+      const wanted = new Set(timestamps.map((ts) => new Date(ts).toISOString()));
+      const db = load();
+
+      return [...db.positions, ...db.quarantined]
+        .filter(
+          (row) =>
+            ids.has(row.shark_id) &&
+            row.source_timestamp != null &&
+            wanted.has(new Date(row.source_timestamp).toISOString())
+        )
+        .map((row) => ({ shark_id: row.shark_id, source_timestamp: row.source_timestamp! }));
+    },
+
+    async quarantinedUntimed(sharkIds) {
+      const ids = new Set(sharkIds);
+      return load()
+        .quarantined.filter((row) => ids.has(row.shark_id) && row.source_timestamp == null)
+        .map((row) => ({ shark_id: row.shark_id, lat: row.lat, lng: row.lng }));
+    },
+
+    async latestPositions(sharkIds) {
+      const ids = new Set(sharkIds);
+      const latest = new Map<number, PositionRecord>();
+      for (const row of load().positions) {
+        if (!ids.has(row.shark_id)) continue;
+        const current = latest.get(row.shark_id);
+        // newest by recorded_at desc nulls last, then created_at desc
+        if (
+          !current ||
+          (row.recorded_at != null &&
+            (current.recorded_at == null || comparePositions(row, current) >= 0))
+        ) {
+          latest.set(row.shark_id, row);
+        }
+      }
+
+      return Array.from(latest.values()).map(
+        (row): LatestPosition => ({
+          shark_id: row.shark_id,
+          lat: row.lat,
+          lng: row.lng,
+          recorded_at: row.recorded_at,
+        })
+      );
+    },
+
+    async insertPositions(rows) {
+      await write((db) => {
+        const taken = new Set(
+          db.positions
+            .filter((row) => row.source_timestamp != null)
+            .map((row) => pingKey(row.shark_id, row.source_timestamp!))
+        );
+
+        const now = new Date().toISOString();
+        const inserts: StoredPosition[] = [];
+        for (const row of rows) {
+          if (row.source_timestamp != null) {
+            // like the unique index on Supabase (sql/014): stored pings win
+            const key = pingKey(row.shark_id, row.source_timestamp);
+            if (taken.has(key)) continue;
+            taken.add(key);
+          }
+          inserts.push({ ...row, id: db.nextIds.positions++, created_at: now });
+        }
+
+        db.positions.push(...inserts);
+      });
+    },
+
+    async quarantinePositions(rows) {
+      await write((db) => {
+        const now = new Date().toISOString();
+        for (const row of rows) {
+          db.quarantined.push({ ...row, id: db.nextIds.quarantined++, created_at: now });
+        }
+      });
+    },
+
+    async markHistoryBackfilled(externalIds) {
+      const wanted = new Set(externalIds);
+      const now = new Date().toISOString();
+      await write((db) => {
+        for (const shark of db.sharks) {
+          if (wanted.has(shark.external_id)) shark.history_backfilled_at = now;
+        }
+      });
+    },
+
+    async listQuarantined(options) {
+      return load()
+        .quarantined.filter((row) => options.sharkId == null || row.shark_id === options.sharkId)
+        .sort((a, b) => timeKey(b.created_at) - timeKey(a.created_at) || b.id - a.id)
+        .slice(0, options.limit);
+    },
+
+    async getQuarantined(id) {
+      return load().quarantined.find((row) => row.id === id) ?? null;
+    },
+
+    async deleteQuarantined(id) {
+      if (!load().quarantined.some((row) => row.id === id)) return false;
+      return write((db) => {
+        const index = db.quarantined.findIndex((row) => row.id === id);
+        if (index < 0) return false;
+        db.quarantined.splice(index, 1);
+        return true;
+      });
+    },
+
+    async releaseQuarantined(id) {
+      return write((db): QuarantineReleaseResult => {
+        const index = db.quarantined.findIndex((row) => row.id === id);
+        if (index < 0) return { status: "not_found" };
+
+        const row = db.quarantined[index];
+        if (row.source_timestamp != null) {
+          const key = pingKey(row.shark_id, row.source_timestamp);
+          const taken = db.positions.some(
+            (p) => p.source_timestamp != null && pingKey(p.shark_id, p.source_timestamp) === key
+          );
+          if (taken) return { status: "duplicate" };
+        }
+
+        db.positions.push({
+          id: db.nextIds.positions++,
+          shark_id: row.shark_id,
+          lat: row.lat,
+          lng: row.lng,
+          source_timestamp: row.source_timestamp,
+          recorded_at: row.recorded_at,
+          created_at: new Date().toISOString(),
+        });
+        db.quarantined.splice(index, 1);
+        return { status: "released", row };
+      });
+    },
+
+    async insertSyncRun(row) {
+      await write((db) => {
+        db.syncRuns.push(row);
+      });
+    },
+
+    async listSyncRuns(limit) {
+      return [...load().syncRuns]
+        .sort((a, b) => timeKey(b.started_at) - timeKey(a.started_at))
+        .slice(0, limit);
+    },
+
+    async insertAuditEntry(row) {
+      await write((db) => {
+        const created_at = new Date().toISOString();
+        db.auditLog.push({ ...row, id: db.nextIds.auditLog++, created_at });
+      });
+    },
+
+    async dataVersion() {
+      const db = load();
+      const newest = (values: (string | null)[]) =>
+        values.reduce<string | null>(
+          (max, value) =>
+            value != null && (max == null || Date.parse(value) > Date.parse(max)) ? value : max,
+          null
+        );
+      return {
+        lastPositionAt: newest(db.positions.map((row) => row.created_at)),
+        lastSharkUpdateAt: newest(db.sharks.map((row) => row.updated_at)),
+        lastMarineFetchAt: newest([
+          ...db.positions.map((row) => row.marine_fetched_at ?? null),
+          ...db.conditions.map((row) => row.fetched_at),
+        ]),
+      };
+    },
+  };
+
+  return repository;
+}
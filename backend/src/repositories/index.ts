@@ -0,0 +1,56 @@
+// src/repositories/index.ts
+// Picks the storage driver from the environment:
+//
+//   STORAGE_DRIVER=supabase   Supabase tables (needs SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY)
+//   STORAGE_DRIVER=file       one JSON file at STORAGE_FILE (default backend/data/local-store.json)
+//
+// Without STORAGE_DRIVER, Supabase is used when SUPABASE_URL is set and the
+// file driver otherwise, so a fresh checkout runs with no setup.
+import * as dotenv from "dotenv";
+dotenv.config();
+import path from "path";
+import { createFileRepository } from "./fileRepository";
+import { createSupabaseRepository } from "./supabaseRepository";
+import type { Repository } from "./types";
+
+export type {
+  AuditLogRecord,
+  DataVersion,
+  MarineCacheEntry,
+  MarinePendingPosition,
+  PositionMarine,
+  PositionRecord,
+  QuarantineRecord,
+  QuarantineReleaseResult,
+  Repository,
+  SharkConditionsRecord,
+  SharkRecord,
+  SyncRunRecord,
+  TrackQuery,
+} from "./types";
+
+const DEFAULT_STORAGE_FILE = path.resolve(__dirname, "../../data/local-store.json");
+
+let repository: Repository | null = null;
+
+export function getStorageDriver(): "supabase" | "file" {
+  const driver = process.env.STORAGE_DRIVER?.trim().toLowerCase();
+  if (driver === "supabase" || driver === "file") return driver;
+  if (driver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "supabase" or "file")`);
+  }
+  return process.env.SUPABASE_URL ? "supabase" : "file";
+}
+
+export function getRepository(): Repository {
+  if (!repository) {
+    if (getStorageDriver() === "supabase") {
+      repository = createSupabaseRepository();
+    } else {
+      const filePath = path.resolve(process.env.STORAGE_FILE?.trim() || DEFAULT_STORAGE_FILE);
+      console.log(`Using local file storage at ${filePath}`);
+      repository = createFileRepository(filePath);
+    }
+  }
+  return repository;
+}
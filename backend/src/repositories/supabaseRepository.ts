@@ -0,0 +1,501 @@
+// src/repositories/supabaseRepository.ts
+// Production storage: the Supabase (PostgREST) tables described in sql/.
+import { chunk } from "../lib/chunk";
+import { getSupabaseAdmin } from "../lib/supabaseAdmin";
+import type { LatestPosition } from "../services/syncStore";
+import type {
+  PositionRecord,
+  QuarantineRecord,
+  Repository,
+  SharkConditionsRecord,
+  SharkRecord,
+  SyncRunRecord,
+} from "./types";
+
+// PostgREST puts `in.(...)` filters in the URL and caps payload sizes,
+// so large batches are split into chunks.
+const WRITE_CHUNK_SIZE = 500;
+const ID_FILTER_CHUNK_SIZE = 200;
+// PostgREST returns at most 1000 rows per request (Supabase default max-rows)
+const READ_PAGE_SIZE = 1000;
+// PostgREST has no bulk update of different values per row
+const UPDATE_CONCURRENCY = 10;
+
+const SHARK_COLUMNS =
+  "id, external_id, name, species, image_url, meta, updated_at, history_backfilled_at";
+const POSITION_COLUMNS =
+  "shark_id, lat, lng, source_timestamp, recorded_at, created_at, backfilled, sst, wave_height, marine_time, marine_fetched_at";
+const CONDITIONS_COLUMNS = "shark_id, lat, lng, sst, wave_height, fetched_at";
+const QUARANTINE_COLUMNS =
+  "id, shark_id, lat, lng, source_timestamp, recorded_at, reason, created_at";
+const SYNC_RUN_COLUMNS =
+  "started_at, finished_at, status, features_processed, points_inserted, points_skipped, points_quarantined, providers, error";
+
+function toShark(row: any): SharkRecord {
+  return {
+    id: Number(row.id),
+    external_id: String(row.external_id),
+    name: row.name ?? null,
+    species: row.species ?? null,
+    image_url: row.image_url ?? null,
+    meta: row.meta ?? null,
+    updated_at: row.updated_at ?? null,
+    history_backfilled_at: row.history_backfilled_at ?? null,
+  };
+}
+
+function toPosition(row: any): PositionRecord {
+  return {
+    shark_id: Number(row.shark_id),
+    lat: Number(row.lat),
+    lng: Number(row.lng),
+    source_timestamp: row.source_timestamp ?? null,
+    recorded_at: row.recorded_at ?? null,
+    created_at: row.created_at ?? null,
+    sst: row.sst ?? null,
+    wave_height: row.wave_height ?? null,
+    marine_time: row.marine_time ?? null,
+    marine_fetched_at: row.marine_fetched_at ?? null,
+  };
+}
+
+function toQuarantine(row: any): QuarantineRecord {
+  return {
+    id: Number(row.id),
+    shark_id: Number(row.shark_id),
+    lat: Number(row.lat),
+    lng: Number(row.lng),
+    source_timestamp: row.source_timestamp ?? null,
+    recorded_at: row.recorded_at,
+    reason: row.reason,
+    created_at: row.created_at,
+  };
+}
+
+export function createSupabaseRepository(): Repository {
+  const db = () => getSupabaseAdmin();
+
+  async function findOneShark(column: "id" | "external_id", value: number | string) {
+    const { data, error } = await db()
+      .from("sharks")
+      .select(SHARK_COLUMNS)
+      .eq(column, value)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to look up shark: ${error.message}`);
+    return data ? toShark(data) : null;
+  }
+
+  const repository: Repository = {
+    async listSharks() {
+      const { data, error } = await db()
+        .from("sharks")
+        .select(SHARK_COLUMNS)
+        .order("id", { ascending: true });
+
+      if (error) throw new Error(`Failed to load sharks: ${error.message}`);
+      return ((data ?? []) as any[]).map(toShark);
+    },
+
+    getShark: (id) => findOneShark("id", id),
+    getSharkByExternalId: (externalId) => findOneShark("external_id", externalId),
+
+    async upsertShark(row) {
+      const [saved] = await repository.upsertSharks([row]);
+      return saved;
+    },
+
+    async upsertSharks(rows) {
+      const out: { id: number; external_id: string }[] = [];
+      for (const part of chunk(rows, WRITE_CHUNK_SIZE)) {
+        const { data, error } = await db()
+          .from("sharks")
+          .upsert(part, { onConflict: "external_id" })
+          .select("id, external_id");
+
+        if (error) throw new Error(`Failed to upsert sharks: ${error.message}`);
+        for (const row of (data ?? []) as any[]) {
+          out.push({ id: Number(row.id), external_id: String(row.external_id) });
+        }
+      }
+      return out;
+    },
+
+    async findSharks(externalIds) {
+      const out: { id: number; external_id: string }[] = [];
+      for (const part of chunk(externalIds, ID_FILTER_CHUNK_SIZE)) {
+        const { data, error } = await db()
+          .from("sharks")
+          .select("id, external_id")
+          .in("external_id", part);
+
+        if (error) throw new Error(`Failed to look up sharks: ${error.message}`);
+        for (const row of (data ?? []) as any[]) {
+          out.push({ id: Number(row.id), external_id: String(row.external_id) });
+        }
+      }
+      return out;
+    },
+
+    getTrack: (sharkId, query) => repository.getTracks([sharkId], query),
+
+    async getTracks(sharkIds, query = {}) {
+      const out: PositionRecord[] = [];
+      for (const part of chunk(sharkIds, ID_FILTER_CHUNK_SIZE)) {
+        for (let from = 0; ; from += READ_PAGE_SIZE) {
+          let q = db().from("shark_positions").select(POSITION_COLUMNS).in("shark_id", part);
+          if (query.since) q = q.gte("recorded_at", query.since);
+          if (query.until) q = q.lte("recorded_at", query.until);
+
+          const { data, error } = await q
+            .order("recorded_at", { ascending: true })
+            .order("created_at", { ascending: true })
+            .range(from, from + READ_PAGE_SIZE - 1);
+
+          if (error) throw new Error(`Failed to load positions: ${error.message}`);
+          out.push(...((data ?? []) as any[]).map(toPosition));
+          if (!data || data.length < READ_PAGE_SIZE) break;
+        }
+      }
+      return out;
+    },
+
+    async lastPosition(sharkId) {
+      const [latest] = await repository.latestPositions([sharkId]);
+      return latest ?? null;
+    },
+
+    async listPositionsCreatedSince(since, limit) {
+      const { data, error } = await db()
+        .from("shark_positions")
+        .select(POSITION_COLUMNS)
+        .gt("created_at", since)
+        .order("created_at", { ascending: true })
+        .limit(limit);
+
+      if (error) throw new Error(`Failed to load new positions: ${error.message}`);
+      return ((data ?? []) as any[]).map(toPosition);
+    },
+
+    async listMarinePending(limit) {
+      const { data, error } = await db()
+        .from("shark_positions")
+        .select("id, shark_id, lat, lng, recorded_at")
+        .is("marine_fetched_at", null)
+        .not("recorded_at", "is", null)
+        .order("recorded_at", { ascending: false })
+        .limit(limit);
+
+      if (error) throw new Error(`Failed to load positions to enrich: ${error.message}`);
+      return ((data ?? []) as any[]).map((row) => ({
+        id: Number(row.id),
+        shark_id: Number(row.shark_id),
+        lat: Number(row.lat),
+        lng: Number(row.lng),
+        recorded_at: String(row.recorded_at),
+      }));
+    },
+
+    async updatePositionMarine(rows) {
+      for (const part of chunk(rows, UPDATE_CONCURRENCY)) {
+        await Promise.all(
+          part.map(async ({ id, ...marine }) => {
+            const { error } = await db().from("shark_positions").update(marine).eq("id", id);
+            if (error) throw new Error(`Failed to store ocean conditions: ${error.message}`);
+          })
+        );
+      }
+    },
+
+    async listSharkConditions(sharkIds) {
+      const out: SharkConditionsRecord[] = [];
+      for (const part of chunk(sharkIds, ID_FILTER_CHUNK_SIZE)) {
+        const { data, error } = await db()
+          .from("shark_conditions")
+          .select(CONDITIONS_COLUMNS)
+          .in("shark_id", part);
+
+        if (error) throw new Error(`Failed to load ocean conditions: ${error.message}`);
+        for (const row of (data ?? []) as any[]) {
+          out.push({
+            shark_id: Number(row.shark_id),
+            lat: Number(row.lat),
+            lng: Number(row.lng),
+            sst: row.sst ?? null,
+            wave_height: row.wave_height ?? null,
+            fetched_at: String(row.fetched_at),
+          });
+        }
+      }
+      return out;
+    },
+
+    async upsertSharkConditions(rows) {
+      for (const part of chunk(rows, WRITE_CHUNK_SIZE)) {
+        const { error } = await db()
+          .from("shark_conditions")
+          .upsert(part, { onConflict: "shark_id" });
+        if (error) throw new Error(`Failed to store ocean conditions: ${error.message}`);
+      }
+    },
+
+    async getMarineCache(key) {
+      const { data, error } = await db()
+        .from("marine_cache")
+        .select("key, value, expires_at")
+        .eq("key", key)
+        .gt("expires_at", new Date().toISOString())
+        .maybeSingle();
+
+      if (error) throw new Error(`Failed to read marine cache: ${error.message}`);
+      if (!data) return null;
+      const row = data as any;
+      return { key: String(row.key), value: row.value ?? null, expires_at: String(row.expires_at) };
+    },
+
+    async putMarineCache(entry) {
+      const { error } = await db().from("marine_cache").upsert(entry, { onConflict: "key" });
+      if (error) throw new Error(`Failed to write marine cache: ${error.message}`);
+    },
+
+    async deleteExpiredMarineCache() {
+      const { data, error } = await db()
+        .from("marine_cache")
+        .delete()
+        .lt("expires_at", new Date().toISOString())
+        .select("key");
+
+      if (error) throw new Error(`Failed to prune marine cache: ${error.message}`);
+      return (data ?? []).length;
+    },
+
+    async existingTimestamps(sharkIds, timestamps) {
+      const out: { shark_id: number; source_timestamp: string }[] = [];
+      for (const table of ["shark_positions", "quarantined_positions"]) {
+        for (const idPart of chunk(sharkIds, ID_FILTER_CHUNK_SIZE)) {
+          for (const tsPart of chunk(timestamps, ID_FILTER_CHUNK_SIZE)) {
+            // 200 sharks x 200 timestamps can match far more than one page
+            for (let from = 0; ; from += READ_PAGE_SIZE) {
+              const { data, error } = await db()
+                .from(table)
+                .select("shark_id, source_timestamp")
+                .in("shark_id", idPart)
+                .in("source_timestamp", tsPart)
+                .order("shark_id", { ascending: true })
+                .order("source_timestamp", { ascending: true })
+                .range(from, from + READ_PAGE_SIZE - 1);
+
+              if (error) throw new Error(`Failed to fetch stored pings: ${error.message}`);
+              for (const row of (data ?? []) as any[]) {
+                out.push({
+                  shark_id: Number(row.shark_id),
+                  source_timestamp: String(row.source_timestamp),
+                });
+              }
+              if (!data || data.length < READ_PAGE_SIZE) break;
+            }
+          }
+        }
+      }
+      return out;
+    },
+
+    async quarantinedUntimed(sharkIds) {
+      const out: { shark_id: number; lat: number; lng: number }[] = [];
+      for (const part of chunk(sharkIds, ID_FILTER_CHUNK_SIZE)) {
+        for (let from = 0; ; from += READ_PAGE_SIZE) {
+          const { data, error } = await db()
+            .from("quarantined_positions")
+            .select("shark_id, lat, lng")
+            .in("shark_id", part)
+            .is("source_timestamp", null)
+            .order("id", { ascending: true })
+            .range(from, from + READ_PAGE_SIZE - 1);
+
+          if (error) throw new Error(`Failed to fetch quarantined pings: ${error.message}`);
+          for (const row of (data ?? []) as any[]) {
+            out.push({ shark_id: Number(row.shark_id), lat: Number(row.lat), lng: Number(row.lng) });
+          }
+          if (!data || data.length < READ_PAGE_SIZE) break;
+        }
+      }
+      return out;
+    },
+
+    async latestPositions(sharkIds) {
+      const out: LatestPosition[] = [];
+      for (const part of chunk(sharkIds, ID_FILTER_CHUNK_SIZE)) {
+        const { data, error } = await db()
+          .from("shark_latest_positions")
+          .select("shark_id, lat, lng, recorded_at")
+          .in("shark_id", part);
+
+        if (error) throw new Error(`Failed to fetch last positions: ${error.message}`);
+        for (const row of (data ?? []) as any[]) {
+          out.push({
+            shark_id: Number(row.shark_id),
+            lat: Number(row.lat),
+            lng: Number(row.lng),
+            recorded_at: row.recorded_at ?? null,
+          });
+        }
+      }
+      return out;
+    },
+
+    // a ping stored meanwhile (e.g. by a CLI import) is skipped, not an
+    // error; needs the index from sql/014
+    async insertPositions(rows) {
+      for (const part of chunk(rows, WRITE_CHUNK_SIZE)) {
+        const { error } = await db()
+          .from("shark_positions")
+          .upsert(part, { onConflict: "shark_id,source_timestamp", ignoreDuplicates: true });
+        if (error) throw new Error(`Failed to insert positions: ${error.message}`);
+      }
+    },
+
+    async quarantinePositions(rows) {
+      for (const part of chunk(rows, WRITE_CHUNK_SIZE)) {
+        const { error } = await db().from("quarantined_positions").insert(part);
+        if (error) throw new Error(`Failed to quarantine positions: ${error.message}`);
+      }
+    },
+
+    async markHistoryBackfilled(externalIds) {
+      for (const part of chunk(externalIds, ID_FILTER_CHUNK_SIZE)) {
+        const { error } = await db()
+          .from("sharks")
+          .update({ history_backfilled_at: new Date().toISOString() })
+          .in("external_id", part);
+        if (error) throw new Error(`Failed to mark history backfilled: ${error.message}`);
+      }
+    },
+
+    async listQuarantined(options) {
+      let q = db()
+        .from("quarantined_positions")
+        .select(QUARANTINE_COLUMNS)
+        .order("created_at", { ascending: false })
+        .limit(options.limit);
+
+      if (options.sharkId != null) {
+        q = q.eq("shark_id", options.sharkId);
+      }
+
+      const { data, error } = await q;
+      if (error) throw new Error(error.message);
+      return ((data ?? []) as any[]).map(toQuarantine);
+    },
+
+    async getQuarantined(id) {
+      const { data, error } = await db()
+        .from("quarantined_positions")
+        .select(QUARANTINE_COLUMNS)
+        .eq("id", id)
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+      return data ? toQuarantine(data) : null;
+    },
+
+    async deleteQuarantined(id) {
+      const { data, error } = await db()
+        .from("quarantined_positions")
+        .delete()
+        .eq("id", id)
+        .select("id");
+
+      if (error) throw new Error(error.message);
+      return (data ?? []).length > 0;
+    },
+
+    async releaseQuarantined(id) {
+      const { data, error } = await db().rpc("release_quarantined_position", {
+        quarantined_id: id,
+      });
+
+      // unique_violation: the ping is already in shark_positions
+      if (error?.code === "23505") return { status: "duplicate" };
+      if (error) throw new Error(`Failed to release position: ${error.message}`);
+      const rows = (data ?? []) as any[];
+      return rows.length > 0
+        ? { status: "released", row: toQuarantine(rows[0]) }
+        : { status: "not_found" };
+    },
+
+    async insertSyncRun(row) {
+      const { error } = await db().from("sync_runs").insert(row);
+      if (error) throw new Error(`Failed to record sync run: ${error.message}`);
+    },
+
+    async listSyncRuns(limit) {
+      const { data, error } = await db()
+        .from("sync_runs")
+        .select(SYNC_RUN_COLUMNS)
+        .order("started_at", { ascending: false })
+        .limit(limit);
+
+      if (error) throw new Error(error.message);
+      return ((data ?? []) as any[]).map(
+        (row): SyncRunRecord => ({
+          ...row,
+          points_quarantined: row.points_quarantined ?? 0,
+          providers: row.providers ?? [],
+          error: row.error ?? null,
+        })
+      );
+    },
+
+    async insertAuditEntry(row) {
+      const { error } = await db().from("admin_audit_log").insert(row);
+      if (error) throw new Error(`Failed to write admin audit log: ${error.message}`);
+    },
+
+    async dataVersion() {
+      const [positions, sharks, marine, conditions] = await Promise.all([
+        db()
+          .from("shark_positions")
+          .select("created_at")
+          .order("created_at", { ascending: false })
+          .limit(1),
+        db()
+          .from("sharks")
+          .select("updated_at")
+          .order("updated_at", { ascending: false, nullsFirst: false })
+          .limit(1),
+        db()
+          .from("shark_positions")
+          .select("marine_fetched_at")
+          .order("marine_fetched_at", { ascending: false, nullsFirst: false })
+          .limit(1),
+        db()
+          .from("shark_conditions")
+          .select("fetched_at")
+          .order("fetched_at", { ascending: false })
+          .limit(1),
+      ]);
+
+      if (positions.error) {
+        throw new Error(`Failed to read data version: ${positions.error.message}`);
+      }
+      if (sharks.error) throw new Error(`Failed to read data version: ${sharks.error.message}`);
+      if (marine.error) throw new Error(`Failed to read data version: ${marine.error.message}`);
+      if (conditions.error) {
+        throw new Error(`Failed to read data version: ${conditions.error.message}`);
+      }
+
+      const marineTimes = [
+        (marine.data?.[0] as any)?.marine_fetched_at,
+        (conditions.data?.[0] as any)?.fetched_at,
+      ].filter((value): value is string => value != null);
+      return {
+        lastPositionAt: (positions.data?.[0] as any)?.created_at ?? null,
+        lastSharkUpdateAt: (sharks.data?.[0] as any)?.updated_at ?? null,
+        lastMarineFetchAt:
+          marineTimes.sort((a, b) => Date.parse(b) - Date.parse(a))[0] ?? null,
+      };
+    },
+  };
+
+  return repository;
+}
@@ -0,0 +1,179 @@
+// src/repositories/types.ts
+// Storage operations used by the API, the sync and the admin routes.
+// Row shapes mirror the Supabase tables (snake_case) so both drivers return
+// the same records.
+import type { LatestPosition, SharkUpsert, SyncStore } from "../services/syncStore";
+
+export type SharkRecord = {
+  id: number;
+  external_id: string;
+  name: string | null;
+  species: string | null;
+  image_url: string | null;
+  meta: Record<string, any> | null;
+  updated_at: string | null;
+  history_backfilled_at: string | null;
+};
+
+export type PositionRecord = {
+  shark_id: number;
+  lat: number;
+  lng: number;
+  source_timestamp: string | null;
+  recorded_at: string | null;
+  created_at: string | null;
+  /** Stored by a history backfill rather than the live feed (sql/015). */
+  backfilled?: boolean;
+} & Partial<PositionMarine>;
+
+/** Ocean conditions at the time of a ping (sql/010). */
+export type PositionMarine = {
+  /** Sea surface temperature, °C. */
+  sst: number | null;
+  /** Significant wave height, m. */
+  wave_height: number | null;
+  /** Archive hour the values refer to. */
+  marine_time: string | null;
+  /** When the lookup ran; null until it has. */
+  marine_fetched_at: string | null;
+};
+
+/** A ping still waiting for its ocean-condition lookup. */
+export type MarinePendingPosition = {
+  id: number; // shark_positions.id (sql/016)
+  shark_id: number;
+  lat: number;
+  lng: number;
+  recorded_at: string;
+};
+
+/** Current ocean conditions at a shark's latest position (sql/011). */
+export type SharkConditionsRecord = {
+  shark_id: number;
+  /** Position the values were fetched for. */
+  lat: number;
+  lng: number;
+  sst: number | null;
+  wave_height: number | null;
+  fetched_at: string;
+};
+
+/** A cached Open-Meteo response (sql/012); `value` is the parsed body, null for a 4xx. */
+export type MarineCacheEntry = {
+  key: string;
+  value: unknown;
+  expires_at: string;
+};
+
+export type QuarantineRecord = {
+  id: number;
+  shark_id: number;
+  lat: number;
+  lng: number;
+  source_timestamp: string | null;
+  recorded_at: string;
+  reason: string;
+  created_at: string;
+};
+
+/** Outcome of moving a quarantined ping into shark_positions. */
+export type QuarantineReleaseResult =
+  | { status: "released"; row: QuarantineRecord }
+  | { status: "not_found" }
+  /** shark_positions already has a ping of this shark at this source_timestamp. */
+  | { status: "duplicate" };
+
+export type SyncRunRecord = {
+  started_at: string;
+  finished_at: string;
+  status: string;
+  features_processed: number;
+  points_inserted: number;
+  points_skipped: number;
+  points_quarantined: number;
+  providers: unknown[];
+  error: string | null;
+};
+
+export type AuditLogRecord = {
+  actor: string;
+  ip: string | null;
+  method: string;
+  path: string;
+  status: number;
+  user_agent: string | null;
+};
+
+export type DataVersion = {
+  lastPositionAt: string | null;
+  lastSharkUpdateAt: string | null;
+  /** Newest ocean-condition lookup, per ping or per shark. */
+  lastMarineFetchAt: string | null;
+};
+
+export type TrackQuery = {
+  /** Only pings with recorded_at >= since (ISO). */
+  since?: string | null;
+  /** Only pings with recorded_at <= until (ISO). */
+  until?: string | null;
+};
+
+/**
+ * Everything the backend reads or writes. Extends the bulk sync operations
+ * (SyncStore) with the per-shark reads of the API and the admin tables.
+ * Implementations throw an Error on storage failures.
+ */
+export interface Repository extends SyncStore {
+  /** All sharks, ordered by id. */
+  listSharks(): Promise<SharkRecord[]>;
+  getShark(id: number): Promise<SharkRecord | null>;
+  getSharkByExternalId(externalId: string): Promise<SharkRecord | null>;
+  upsertShark(row: SharkUpsert): Promise<{ id: number; external_id: string }>;
+
+  /** Pings of one shark, oldest first (recorded_at, then created_at). */
+  getTrack(sharkId: number, query?: TrackQuery): Promise<PositionRecord[]>;
+  /** Pings of several sharks, oldest first. */
+  getTracks(sharkIds: number[], query?: TrackQuery): Promise<PositionRecord[]>;
+  lastPosition(sharkId: number): Promise<LatestPosition | null>;
+  /** Pings written after `since` (created_at), in write order. */
+  listPositionsCreatedSince(since: string, limit: number): Promise<PositionRecord[]>;
+  /** Pings with no ocean-condition lookup yet, newest first. */
+  listMarinePending(limit: number): Promise<MarinePendingPosition[]>;
+  updatePositionMarine(rows: ({ id: number } & PositionMarine)[]): Promise<void>;
+
+  listSharkConditions(sharkIds: number[]): Promise<SharkConditionsRecord[]>;
+  /** Upserts on shark_id. */
+  upsertSharkConditions(rows: SharkConditionsRecord[]): Promise<void>;
+
+  /** Null when missing or expired. */
+  getMarineCache(key: string): Promise<MarineCacheEntry | null>;
+  /** Upserts on key. */
+  putMarineCache(entry: MarineCacheEntry): Promise<void>;
+  /** Returns the number of entries removed. */
+  deleteExpiredMarineCache(): Promise<number>;
+
+  /** Newest first. */
+  listQuarantined(options: { limit: number; sharkId?: number }): Promise<QuarantineRecord[]>;
+  getQuarantined(id: number): Promise<QuarantineRecord | null>;
+  /** Returns false when no such row exists. */
+  deleteQuarantined(id: number): Promise<boolean>;
+  /**
+   * Inserts the ping into shark_positions and deletes the quarantined row
+   * as one step: either both happen or neither does.
+   */
+  releaseQuarantined(id: number): Promise<QuarantineReleaseResult>;
+
+  insertSyncRun(row: SyncRunRecord): Promise<void>;
+  /** Newest first. */
+  listSyncRuns(limit: number): Promise<SyncRunRecord[]>;
+
+  insertAuditEntry(row: AuditLogRecord): Promise<void>;
+
+  /**
+   * Newest shark_positions.created_at, sharks.updated_at and ocean-condition
+   * lookup (shark_positions.marine_fetched_at, shark_conditions.fetched_at):
+   * changes whenever a sync, import or enrichment writes anything the API
+   * serves.
+   */
+  dataVersion(): Promise<DataVersion>;
+}
@@ -0,0 +1,51 @@
+// src/services/auditLog.ts
+import type { NextFunction, Request, Response } from "express";
+import { getRepository } from "../repositories";
+
+export type AdminAuditEntry = {
+  actor: string;
+  ip: string | null;
+  method: string;
+  path: string;
+  status: number;
+  userAgent: string | null;
+};
+
+export async function recordAdminAction(entry: AdminAuditEntry): Promise<void> {
+  console.log(
+    `[audit] ${entry.actor} ${entry.method} ${entry.path} -> ${entry.status} (ip ${entry.ip ?? "?"})`
+  );
+
+  try {
+    await getRepository().insertAuditEntry({
+      actor: entry.actor,
+      ip: entry.ip,
+      method: entry.method,
+      path: entry.path,
+      status: entry.status,
+      user_agent: entry.userAgent,
+    });
+  } catch (err) {
+    console.error("Failed to write admin audit log", err);
+  }
+}
+
+/**
+ * Writes one audit entry per admin request once the response is sent,
+ * including rejected attempts (401, and 429 from per-route limits), which
+ * are logged as "anonymous". Mounted after the router-wide rate limiter, so
+ * requests over that limit are not audited.
+ */
+export function auditAdminRequests(req: Request, res: Response, next: NextFunction) {
+  res.on("finish", () => {
+    void recordAdminAction({
+      actor: res.locals.adminActor ?? "anonymous",
+      ip: req.ip ?? null,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      userAgent: req.get("user-agent") ?? null,
+    });
+  });
+  next();
+}
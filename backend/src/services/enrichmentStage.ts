@@ -0,0 +1,94 @@
+// src/services/enrichmentStage.ts
+// Background stage after each sync: stores ocean conditions for new pings
+// and refreshes each shark's current conditions (see marineEnrichment.ts).
+// Requests never wait for it; the API only reads what it stored.
+//
+// One stage runs at a time. A sync that finishes while it runs asks for
+// another pass, which starts as soon as the current one is done.
+import { getRepository } from "../repositories";
+import { enrichPositionMarine, refreshSharkConditions } from "./marineEnrichment";
+
+// archive batches per stage run; older pings are left to `npm run backfill:marine`
+const MAX_PING_BATCHES = 5;
+
+export type EnrichmentRun = {
+  startedAt: string;
+  finishedAt: string | null;
+  pingsLookedUp: number;
+  pingsWithValues: number;
+  sharksUpdated: number;
+  sharksDue: number;
+  /** Open-Meteo failed (e.g. 429) and the rest was left for the next run. */
+  interrupted: boolean;
+  error: string | null;
+};
+
+let activeRun: Promise<void> | null = null;
+let rerunRequested = false;
+let lastRun: EnrichmentRun | null = null;
+
+async function runStage(): Promise<void> {
+  const run: EnrichmentRun = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    pingsLookedUp: 0,
+    pingsWithValues: 0,
+    sharksUpdated: 0,
+    sharksDue: 0,
+    interrupted: false,
+    error: null,
+  };
+  lastRun = run;
+
+  try {
+    for (let batch = 0; batch < MAX_PING_BATCHES && !run.interrupted; batch++) {
+      const pings = await enrichPositionMarine();
+      run.pingsLookedUp += pings.lookedUp;
+      run.pingsWithValues += pings.withValues;
+      run.interrupted = pings.interrupted;
+      if (pings.lookedUp === 0) break;
+    }
+
+    if (!run.interrupted) {
+      const conditions = await refreshSharkConditions();
+      run.sharksUpdated = conditions.sharksUpdated;
+      run.sharksDue = conditions.sharksDue;
+      run.interrupted = conditions.interrupted;
+    }
+
+    // the marine cache only needs pruning now and then; after each run will do
+    await getRepository().deleteExpiredMarineCache();
+  } catch (err) {
+    console.error("Enrichment stage failed", err);
+    run.error = (err as Error).message ?? String(err);
+  }
+
+  run.finishedAt = new Date().toISOString();
+  console.log(
+    `enrichment: ${run.pingsLookedUp} pings looked up (${run.pingsWithValues} with values), ${run.sharksUpdated} sharks' current conditions refreshed${run.interrupted ? " (interrupted)" : ""}`
+  );
+}
+
+/**
+ * Starts the stage in the background, or queues one more pass when it is
+ * already running. Never throws; progress is in getEnrichmentStatus().
+ */
+export function scheduleEnrichment(): void {
+  if (activeRun) {
+    rerunRequested = true;
+    return;
+  }
+
+  activeRun = (async () => {
+    do {
+      rerunRequested = false;
+      await runStage();
+    } while (rerunRequested);
+  })().finally(() => {
+    activeRun = null;
+  });
+}
+
+export function getEnrichmentStatus() {
+  return { running: activeRun !== null, queued: rerunRequested, lastRun };
+}
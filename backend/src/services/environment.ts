@@ -0,0 +1,94 @@
+// src/services/environment.ts
+// The environment providers in use and the lookup that runs them all for one
+// position. Providers are in lib/environmentProviders.ts, except Open-Meteo
+// marine, which goes through the shared marine client (cache, rate limit).
+import {
+  bathymetryProvider,
+  chlorophyllProvider,
+  coastlineProvider,
+  moonPhaseProvider,
+  toEnvironmentValues,
+  type EnvironmentProvider,
+  type EnvironmentQuery,
+  type EnvironmentValue,
+  type EnvironmentVariable,
+} from "../lib/environmentProviders";
+import { getMarineClient } from "./marineClient";
+
+// closer to now than this, the live "current" values stand in for the archive
+const CURRENT_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+const OPEN_METEO = {
+  source: "Open-Meteo Marine API",
+  sourceUrl: "https://open-meteo.com/en/docs/marine-weather-api",
+};
+
+const MARINE_VARIABLES: EnvironmentVariable[] = [
+  { variable: "sst", label: "Sea surface temperature", units: "°C", ...OPEN_METEO },
+  { variable: "waveHeight", label: "Wave height", units: "m", ...OPEN_METEO },
+  { variable: "currentSpeed", label: "Current speed", units: "m/s", ...OPEN_METEO },
+  { variable: "currentDirection", label: "Current direction", units: "°", ...OPEN_METEO },
+];
+
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+// Open-Meteo gives the direction the current flows towards
+function flowDescription(degrees: number | null): string | null {
+  if (degrees == null) return null;
+  return `towards ${COMPASS_POINTS[Math.round((degrees % 360) / 45) % 8]}`;
+}
+
+export const marineProvider: EnvironmentProvider = {
+  id: "open-meteo-marine",
+  variables: MARINE_VARIABLES,
+  async lookup({ lat, lng, time }) {
+    const client = getMarineClient();
+    const recent = Math.abs(Date.now() - Date.parse(time)) < CURRENT_WINDOW_MS;
+    const conditions = recent
+      ? { ...(await client.current(lat, lng)), time: null }
+      : await client.at(lat, lng, time);
+
+    const observedAt = conditions.time;
+    return toEnvironmentValues(MARINE_VARIABLES, [
+      { value: conditions.sst, observedAt },
+      { value: conditions.waveHeight, observedAt },
+      { value: conditions.currentSpeed, observedAt },
+      {
+        value: conditions.currentDirection,
+        description: flowDescription(conditions.currentDirection),
+        observedAt,
+      },
+    ]);
+  },
+};
+
+/** In display order. */
+export const ENVIRONMENT_PROVIDERS: EnvironmentProvider[] = [
+  marineProvider,
+  chlorophyllProvider,
+  bathymetryProvider,
+  coastlineProvider,
+  moonPhaseProvider,
+];
+
+/**
+ * Every provider's values at one position. A failing source does not fail
+ * the lookup: its variables come back with value null and the error.
+ */
+export async function lookupEnvironment(query: EnvironmentQuery): Promise<EnvironmentValue[]> {
+  const results = await Promise.all(
+    ENVIRONMENT_PROVIDERS.map(async (provider) => {
+      try {
+        return await provider.lookup(query);
+      } catch (err) {
+        const message = (err as Error).message ?? String(err);
+        console.warn(`Environment provider ${provider.id} failed:`, message);
+        return toEnvironmentValues(provider.variables, []).map((value) => ({
+          ...value,
+          error: message,
+        }));
+      }
+    })
+  );
+  return results.flat();
+}
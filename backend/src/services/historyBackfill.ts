@@ -0,0 +1,22 @@
+// src/services/historyBackfill.ts
+// Pulls an animal's full recorded track from its provider's history source
+// and merges it into shark_positions through the normal ingest rules
+// (dedup on source timestamp + validation).
+import { readHistoryPositions, type TrackingProviderConfig } from "./providers";
+import { ingestProviderPositions, type IngestResult } from "./positionIngest";
+import type { SyncStore } from "./syncStore";
+
+export async function backfillSharkHistory(
+  store: SyncStore,
+  provider: TrackingProviderConfig,
+  sourceId: string
+): Promise<IngestResult> {
+  const positions = await readHistoryPositions(provider, sourceId);
+  const result = await ingestProviderPositions(store, provider.id, positions, {
+    updateSharks: false,
+    backfilled: true,
+  });
+
+  await store.markHistoryBackfilled([`${provider.id}:${sourceId}`]);
+  return result;
+}
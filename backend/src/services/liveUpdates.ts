@@ -0,0 +1,150 @@
+// src/services/liveUpdates.ts
+// Fan-out of newly stored pings to live clients (GET /api/live). Pings
+// written by this process arrive through onPositionsInserted; while anyone
+// is listening, a slow poll on created_at also picks up pings written by
+// other processes (tag imports run from the CLI; the file driver re-reads
+// its file when another process changed it). A shark seen for the first
+// time is announced before its pings.
+import { onPositionsInserted } from "../lib/events";
+import { safeIso } from "../lib/time";
+import { getRepository, type PositionRecord, type SharkRecord } from "../repositories";
+import { toTrack, type TrackPoint } from "./trackStats";
+
+export type LiveUpdate =
+  | { type: "shark"; shark: SharkRecord }
+  | { type: "positions"; shark: SharkRecord; points: TrackPoint[] };
+
+type Listener = (update: LiveUpdate) => void;
+type NewPosition = Pick<PositionRecord, "shark_id" | "lat" | "lng" | "recorded_at">;
+
+const DEFAULT_POLL_INTERVAL_SECONDS = 30;
+const POLL_BATCH_SIZE = 1000;
+// pings seen through both the event and the poll are sent once
+const RECENT_KEYS_MAX = 5000;
+
+const listeners = new Set<Listener>();
+const recentKeys = new Set<string>();
+// sharks that existed when the first client connected, plus those announced since
+let knownSharks: Promise<Map<number, SharkRecord>> | null = null;
+let pollCursor: string | null = null;
+let pollTimer: NodeJS.Timeout | null = null;
+// updates are processed one batch at a time so clients see them in order
+let queue: Promise<void> = Promise.resolve();
+
+/** LIVE_POLL_INTERVAL_SECONDS; 0 turns the cross-process poll off. */
+function pollIntervalMs(): number {
+  const value = Number(process.env.LIVE_POLL_INTERVAL_SECONDS);
+  const seconds =
+    process.env.LIVE_POLL_INTERVAL_SECONDS != null && Number.isFinite(value) && value >= 0
+      ? value
+      : DEFAULT_POLL_INTERVAL_SECONDS;
+  return seconds * 1000;
+}
+
+function positionKey(row: NewPosition): string {
+  return `${row.shark_id}|${safeIso(row.recorded_at)}|${Number(row.lat)}|${Number(row.lng)}`;
+}
+
+function publish(update: LiveUpdate) {
+  for (const listener of listeners) {
+    try {
+      listener(update);
+    } catch (err) {
+      console.error("Live update listener failed", err);
+    }
+  }
+}
+
+async function dispatch(rows: NewPosition[]) {
+  const fresh = rows.filter((row) => {
+    const key = positionKey(row);
+    if (recentKeys.has(key)) return false;
+    recentKeys.add(key);
+    return true;
+  });
+  // Set keeps insertion order, so the first keys are the oldest
+  for (const key of recentKeys) {
+    if (recentKeys.size <= RECENT_KEYS_MAX) break;
+    recentKeys.delete(key);
+  }
+  if (fresh.length === 0 || !knownSharks) return;
+
+  const sharks = await knownSharks;
+  const rowsByShark = new Map<number, PositionRecord[]>();
+  for (const row of fresh) {
+    const list = rowsByShark.get(row.shark_id) ?? [];
+    list.push({ ...row, source_timestamp: null, created_at: null });
+    rowsByShark.set(row.shark_id, list);
+  }
+
+  for (const [sharkId, sharkRows] of rowsByShark) {
+    let shark = sharks.get(sharkId);
+    if (!shark) {
+      shark = (await getRepository().getShark(sharkId)) ?? undefined;
+      if (!shark) continue;
+      sharks.set(sharkId, shark);
+      publish({ type: "shark", shark });
+    }
+
+    const points = toTrack(sharkRows).sort((a, b) => a.time.localeCompare(b.time));
+    if (points.length > 0) publish({ type: "positions", shark, points });
+  }
+}
+
+function enqueue(rows: NewPosition[]) {
+  queue = queue
+    .then(() => dispatch(rows))
+    .catch((err) => console.error("Failed to publish live update", err));
+}
+
+onPositionsInserted((rows) => {
+  if (listeners.size > 0) enqueue(rows);
+});
+
+function schedulePoll() {
+  const intervalMs = pollIntervalMs();
+  if (intervalMs === 0) return;
+
+  pollTimer = setTimeout(async () => {
+    pollTimer = null;
+    try {
+      const rows = await getRepository().listPositionsCreatedSince(pollCursor!, POLL_BATCH_SIZE);
+      const last = rows[rows.length - 1];
+      if (last?.created_at) pollCursor = last.created_at;
+      if (rows.length > 0) enqueue(rows);
+    } catch (err) {
+      console.error("Live update poll failed", err);
+    }
+    // a client may have reconnected (and restarted the poll) meanwhile
+    if (listeners.size > 0 && !pollTimer) schedulePoll();
+  }, intervalMs);
+  pollTimer.unref();
+}
+
+function start() {
+  pollCursor = new Date().toISOString();
+  knownSharks = getRepository()
+    .listSharks()
+    .then((rows) => new Map(rows.map((row) => [row.id, row])))
+    .catch((err) => {
+      // every shark is then announced once, which clients tolerate
+      console.error("Failed to load sharks for live updates", err);
+      return new Map<number, SharkRecord>();
+    });
+  if (!pollTimer) schedulePoll();
+}
+
+function stop() {
+  if (pollTimer) clearTimeout(pollTimer);
+  pollTimer = null;
+  knownSharks = null;
+}
+
+/** Subscribes to new sharks and pings; returns the unsubscribe function. */
+export function subscribeLiveUpdates(listener: Listener): () => void {
+  listeners.add(listener);
+  if (listeners.size === 1) start();
+  return () => {
+    if (listeners.delete(listener) && listeners.size === 0) stop();
+  };
+}
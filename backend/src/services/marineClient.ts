@@ -0,0 +1,303 @@
+// src/services/marineClient.ts
+// Open-Meteo marine lookups as the backend makes them: cached in memory and
+// in a durable store (the repository's marine_cache, so restarts don't
+// refetch), one upstream request per cache key at a time, sent through a
+// token bucket, and retried with backoff on 429, 5xx, network errors and
+// timeouts.
+// URLs and parsing are in lib/sstClient.ts.
+import {
+  DEFAULT_MARINE_API_URL,
+  MARINE_REQUEST_TIMEOUT_MS,
+  MARINE_VARIABLES,
+  archiveDayUrl,
+  currentConditionsUrl,
+  nearestArchiveHour,
+  parseArchiveDay,
+  parseCurrentConditions,
+  requestMarine,
+  type MarineConditions,
+  type MarineSnapshot,
+} from "../lib/sstClient";
+import { createTokenBucket } from "../lib/tokenBucket";
+import { getRepository, type MarineCacheEntry, type Repository } from "../repositories";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// archive days this old no longer change
+const SETTLED_AFTER_MS = 2 * DAY_MS;
+const SETTLED_TTL_MS = 30 * DAY_MS;
+const RECENT_TTL_MS = HOUR_MS;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+/** Where responses outlive the process. */
+export type MarineCacheStore = {
+  get(key: string): Promise<MarineCacheEntry | null>;
+  set(entry: MarineCacheEntry): Promise<void>;
+};
+
+type MarineClientOptions = {
+  store: MarineCacheStore;
+  baseUrl?: string;
+  /** Average upstream requests per second. */
+  ratePerSecond?: number;
+  /** Requests allowed back to back before the rate applies. */
+  burst?: number;
+  /** Retries after the first attempt. */
+  maxRetries?: number;
+  /** First backoff delay; doubles per retry (plus jitter). */
+  retryBaseMs?: number;
+  /** Per upstream attempt; an attempt that takes longer is retried. */
+  requestTimeoutMs?: number;
+  /** Entries kept in memory (least recently used are dropped). */
+  memoryEntries?: number;
+};
+
+export type MarineClientMetrics = {
+  /** current() and at() calls. */
+  requests: number;
+  memoryHits: number;
+  storeHits: number;
+  /** Requests that joined a lookup already in flight. */
+  coalesced: number;
+  /** Coalesced requests whose shared lookup was answered by the store. */
+  coalescedStoreHits: number;
+  upstreamCalls: number;
+  retries: number;
+  /** 429 responses. */
+  rateLimited: number;
+  /** 5xx responses, network errors and timeouts. */
+  upstreamErrors: number;
+  /** Total time requests waited for the token bucket. */
+  throttledMs: number;
+  /**
+   * Share of requests answered without an upstream call:
+   * (memoryHits + storeHits + coalescedStoreHits) / requests.
+   */
+  hitRate: number;
+};
+
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ~1 km: finer than the marine model grid, so neighbouring pings share entries
+function roundCoord(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function archiveTtl(day: string, now: number): number {
+  const dayEnd = Date.parse(`${day}T00:00:00Z`) + DAY_MS;
+  return now - dayEnd > SETTLED_AFTER_MS ? SETTLED_TTL_MS : RECENT_TTL_MS;
+}
+
+export function createRepositoryCacheStore(repository: Repository): MarineCacheStore {
+  return {
+    get: (key) => repository.getMarineCache(key),
+    set: (entry) => repository.putMarineCache(entry),
+  };
+}
+
+export function createMarineClient({
+  store,
+  baseUrl = DEFAULT_MARINE_API_URL,
+  ratePerSecond = 1,
+  burst = 5,
+  maxRetries = 3,
+  retryBaseMs = 1000,
+  requestTimeoutMs = MARINE_REQUEST_TIMEOUT_MS,
+  memoryEntries = 1000,
+}: MarineClientOptions) {
+  const bucket = createTokenBucket({ capacity: burst, refillPerSecond: ratePerSecond });
+  // Map iteration order is insertion order: re-inserting on a hit keeps it LRU
+  const memory = new Map<string, { value: unknown; expiresAt: number }>();
+  // lookup.fromStore: the store answered, so requests that joined were hits too
+  type Lookup = { fromStore: boolean };
+  const inFlight = new Map<string, { request: Promise<unknown>; lookup: Lookup }>();
+  const counts = {
+    requests: 0,
+    memoryHits: 0,
+    storeHits: 0,
+    coalesced: 0,
+    coalescedStoreHits: 0,
+    upstreamCalls: 0,
+    retries: 0,
+    rateLimited: 0,
+    upstreamErrors: 0,
+    throttledMs: 0,
+  };
+
+  function remember(key: string, value: unknown, expiresAt: number) {
+    memory.delete(key);
+    memory.set(key, { value, expiresAt });
+    if (memory.size > memoryEntries) {
+      memory.delete(memory.keys().next().value as string);
+    }
+  }
+
+  function backoff(attempt: number): number {
+    const delay = retryBaseMs * 2 ** attempt + Math.random() * retryBaseMs;
+    return Math.min(delay, MAX_RETRY_DELAY_MS);
+  }
+
+  // The parsed body, or null when the API rejected the request (4xx other
+  // than 429), which is cached like an answer. Throws once retries run out.
+  async function fetchUpstream(url: string): Promise<unknown> {
+    let lastError = "";
+    for (let attempt = 0; ; attempt++) {
+      counts.throttledMs += await bucket.take();
+      counts.upstreamCalls++;
+
+      let delay = backoff(attempt);
+      try {
+        const res = await requestMarine(url, requestTimeoutMs);
+        if (res.status < 300) return res.body;
+
+        lastError = `HTTP ${res.status}`;
+        if (res.retryAfterMs != null) delay = Math.min(res.retryAfterMs, MAX_RETRY_DELAY_MS);
+        if (res.status === 429) {
+          counts.rateLimited++;
+          // holds back every caller, not just this one
+          bucket.pause(delay);
+          delay = 0;
+        } else if (res.status < 500) {
+          return null;
+        } else {
+          counts.upstreamErrors++;
+        }
+      } catch (err) {
+        lastError = (err as Error).message ?? String(err);
+        counts.upstreamErrors++;
+      }
+
+      if (attempt >= maxRetries) {
+        throw new Error(`Open-Meteo marine request failed: ${lastError}`);
+      }
+      counts.retries++;
+      if (delay > 0) await sleep(delay);
+    }
+  }
+
+  async function load(
+    key: string,
+    url: string,
+    expiresAt: (now: number) => number,
+    lookup: Lookup
+  ) {
+    const stored = await store.get(key).catch((err) => {
+      console.warn("Marine cache read failed:", (err as Error).message);
+      return null;
+    });
+    if (stored && Date.parse(stored.expires_at) > Date.now()) {
+      counts.storeHits++;
+      lookup.fromStore = true;
+      remember(key, stored.value, Date.parse(stored.expires_at));
+      return stored.value;
+    }
+
+    const value = await fetchUpstream(url);
+    const expires = expiresAt(Date.now());
+    remember(key, value, expires);
+    await store
+      .set({ key, value, expires_at: new Date(expires).toISOString() })
+      .catch((err) => console.warn("Marine cache write failed:", (err as Error).message));
+    return value;
+  }
+
+  function cached(key: string, url: string, expiresAt: (now: number) => number) {
+    counts.requests++;
+
+    const hit = memory.get(key);
+    if (hit && hit.expiresAt > Date.now()) {
+      counts.memoryHits++;
+      remember(key, hit.value, hit.expiresAt);
+      return Promise.resolve(hit.value);
+    }
+
+    const pending = inFlight.get(key);
+    if (pending) {
+      counts.coalesced++;
+      return pending.request.then((value) => {
+        if (pending.lookup.fromStore) counts.coalescedStoreHits++;
+        return value;
+      });
+    }
+
+    const lookup = { fromStore: false };
+    const request = load(key, url, expiresAt, lookup).finally(() => inFlight.delete(key));
+    inFlight.set(key, { request, lookup });
+    return request;
+  }
+
+  return {
+    /** Conditions now; cached until the end of the current UTC hour. */
+    async current(latitude: number, longitude: number): Promise<MarineSnapshot> {
+      const lat = roundCoord(latitude);
+      const lng = roundCoord(longitude);
+      const hour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+      const body = await cached(
+        `current:${MARINE_VARIABLES}:${lat},${lng},${new Date(hour).toISOString().slice(0, 13)}`,
+        currentConditionsUrl(baseUrl, lat, lng),
+        () => hour + HOUR_MS
+      );
+      return parseCurrentConditions(body);
+    },
+
+    /**
+     * Archived conditions at `time` (ISO). One request per point and UTC
+     * day; days older than two days are cached for 30 days, newer ones for
+     * an hour since the archive still fills in.
+     */
+    async at(latitude: number, longitude: number, time: string): Promise<MarineConditions> {
+      const t = Date.parse(time);
+      if (Number.isNaN(t)) return nearestArchiveHour(null, time);
+
+      const lat = roundCoord(latitude);
+      const lng = roundCoord(longitude);
+      const day = new Date(t).toISOString().slice(0, 10);
+      const body = await cached(
+        `day:${MARINE_VARIABLES}:${lat},${lng},${day}`,
+        archiveDayUrl(baseUrl, lat, lng, day),
+        (now) => now + archiveTtl(day, now)
+      );
+      return nearestArchiveHour(body ? parseArchiveDay(body) : null, time);
+    },
+
+    metrics(): MarineClientMetrics {
+      const hits = counts.memoryHits + counts.storeHits + counts.coalescedStoreHits;
+      return {
+        ...counts,
+        throttledMs: Math.round(counts.throttledMs),
+        hitRate: counts.requests > 0 ? hits / counts.requests : 0,
+      };
+    },
+  };
+}
+
+export type MarineClient = ReturnType<typeof createMarineClient>;
+
+// a positive number from the environment (or zero, with allowZero), else fallback
+function envNumber(name: string, fallback: number, allowZero = false): number {
+  const value = Number(process.env[name]);
+  const inRange = allowZero ? value >= 0 : value > 0;
+  return process.env[name] && Number.isFinite(value) && inRange ? value : fallback;
+}
+
+let defaultClient: MarineClient | null = null;
+
+/**
+ * The process-wide client, cached in the repository. Configured by
+ * MARINE_API_URL, MARINE_RATE_PER_SECOND (default 1), MARINE_RATE_BURST (5)
+ * and MARINE_MAX_RETRIES (3; 0 turns retries off).
+ */
+export function getMarineClient(): MarineClient {
+  if (!defaultClient) {
+    defaultClient = createMarineClient({
+      store: createRepositoryCacheStore(getRepository()),
+      baseUrl: process.env.MARINE_API_URL || DEFAULT_MARINE_API_URL,
+      ratePerSecond: envNumber("MARINE_RATE_PER_SECOND", 1),
+      burst: envNumber("MARINE_RATE_BURST", 5),
+      maxRetries: Math.floor(envNumber("MARINE_MAX_RETRIES", 3, true)),
+    });
+  }
+  return defaultClient;
+}
@@ -0,0 +1,139 @@
+// src/services/marineEnrichment.ts
+// Ocean-condition lookups stored for the API (run by enrichmentStage.ts):
+//  - per ping: the SST and wave height each ping was recorded in, from the
+//    Open-Meteo marine archive, on its shark_positions row, so tracks show
+//    the water the shark was in rather than today's
+//  - per shark: current conditions at its latest position (shark_conditions)
+import { emitMarineUpdated } from "../lib/events";
+import {
+  getRepository,
+  type PositionMarine,
+  type Repository,
+  type SharkConditionsRecord,
+} from "../repositories";
+import { getMarineClient } from "./marineClient";
+
+// one archive request per point and day (cached), sent one at a time
+export const MARINE_BATCH_SIZE = 200;
+
+export type MarineEnrichmentResult = {
+  lookedUp: number;
+  withValues: number;
+  /** True when the archive failed and the rest was left for the next run. */
+  interrupted: boolean;
+};
+
+/**
+ * Looks up pings that have no ocean conditions yet, newest first, and
+ * stores what the archive has (nulls included, so a ping is looked up
+ * once). Stops at the first archive failure (retries exhausted); the
+ * remaining pings stay pending for the next run.
+ */
+export async function enrichPositionMarine(
+  options: { limit?: number; repository?: Repository } = {}
+): Promise<MarineEnrichmentResult> {
+  const { limit = MARINE_BATCH_SIZE, repository = getRepository() } = options;
+  const pending = await repository.listMarinePending(limit);
+
+  const updates: ({ id: number } & PositionMarine)[] = [];
+  const sharkIds = new Set<number>();
+  let interrupted = false;
+  for (const row of pending) {
+    try {
+      const conditions = await getMarineClient().at(row.lat, row.lng, row.recorded_at);
+      updates.push({
+        id: row.id,
+        sst: conditions.sst,
+        wave_height: conditions.waveHeight,
+        marine_time: conditions.time,
+        marine_fetched_at: new Date().toISOString(),
+      });
+      sharkIds.add(row.shark_id);
+    } catch (err) {
+      console.warn("Marine lookup interrupted:", (err as Error).message);
+      interrupted = true;
+      break;
+    }
+  }
+
+  if (updates.length > 0) {
+    await repository.updatePositionMarine(updates);
+    emitMarineUpdated(Array.from(sharkIds));
+  }
+
+  return {
+    lookedUp: updates.length,
+    withValues: updates.filter((row) => row.marine_time != null).length,
+    interrupted,
+  };
+}
+
+// current conditions change slowly; refetch a shark's after this long
+const CONDITIONS_MAX_AGE_MS = 3 * 60 * 60 * 1000;
+export const CONDITIONS_BATCH_SIZE = 100;
+
+export type ConditionsRefreshResult = {
+  sharksUpdated: number;
+  /** Sharks still due after this run (batch limit or interruption). */
+  sharksDue: number;
+  interrupted: boolean;
+};
+
+/**
+ * Refreshes the current conditions of sharks whose latest position moved
+ * or whose stored values are older than CONDITIONS_MAX_AGE_MS, never
+ * fetched first. Stops at the first Open-Meteo failure; stored values are
+ * kept until a fetch succeeds.
+ */
+export async function refreshSharkConditions(
+  options: { limit?: number; repository?: Repository } = {}
+): Promise<ConditionsRefreshResult> {
+  const { limit = CONDITIONS_BATCH_SIZE, repository = getRepository() } = options;
+  const sharkIds = (await repository.listSharks()).map((shark) => shark.id);
+  const stored = new Map(
+    (await repository.listSharkConditions(sharkIds)).map((row) => [row.shark_id, row])
+  );
+
+  const now = Date.now();
+  const due = (await repository.latestPositions(sharkIds))
+    .map((position) => ({ position, previous: stored.get(position.shark_id) }))
+    .filter(
+      ({ position, previous }) =>
+        !previous ||
+        previous.lat !== position.lat ||
+        previous.lng !== position.lng ||
+        now - Date.parse(previous.fetched_at) > CONDITIONS_MAX_AGE_MS
+    )
+    .sort(
+      (a, b) =>
+        (a.previous ? Date.parse(a.previous.fetched_at) : 0) -
+        (b.previous ? Date.parse(b.previous.fetched_at) : 0)
+    );
+
+  const updates: SharkConditionsRecord[] = [];
+  let interrupted = false;
+  for (const { position } of due.slice(0, limit)) {
+    try {
+      const snapshot = await getMarineClient().current(position.lat, position.lng);
+      updates.push({
+        shark_id: position.shark_id,
+        lat: position.lat,
+        lng: position.lng,
+        sst: snapshot.sst,
+        wave_height: snapshot.waveHeight,
+        fetched_at: new Date().toISOString(),
+      });
+    } catch (err) {
+      console.warn("Current conditions lookup interrupted:", (err as Error).message);
+      interrupted = true;
+      break;
+    }
+  }
+
+  if (updates.length > 0) {
+    await repository.upsertSharkConditions(updates);
+    emitMarineUpdated(updates.map((row) => row.shark_id));
+  }
+
+  return { sharksUpdated: updates.length, sharksDue: due.length - updates.length, interrupted };
+}
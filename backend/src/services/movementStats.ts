@@ -0,0 +1,176 @@
+// src/services/movementStats.ts
+// Movement analytics per shark (distance, speed, displacement, residency),
+// computed from shark_positions. Results are cached per shark and time range
+// and dropped as soon as the sync stores new pings for that shark.
+import { regionOf } from "../config/marineRegions";
+import { onPositionsInserted } from "../lib/events";
+import { haversineKm } from "../lib/geo";
+import { getRepository } from "../repositories";
+import { toTrack, type TrackPoint } from "./trackStats";
+
+export type MovementLeg = {
+  from: string;
+  to: string;
+  distanceKm: number;
+  hours: number;
+  /** null when both pings share a timestamp */
+  speedKmh: number | null;
+};
+
+export type RegionResidency = {
+  region: string;
+  /** Time between a ping in this region and the next ping. */
+  hours: number;
+  pingCount: number;
+};
+
+export type MovementStats = {
+  since: string | null;
+  until: string | null;
+  pingCount: number;
+  firstPing: TrackPoint | null;
+  lastPing: TrackPoint | null;
+  distanceKm: number;
+  maxSpeedKmh: number | null;
+  medianSpeedKmh: number | null;
+  legs: MovementLeg[];
+  /** First ping ever recorded, regardless of the time range. */
+  taggingLocation: TrackPoint | null;
+  /** Great-circle distance from the tagging location to the last ping. */
+  netDisplacementKm: number | null;
+  regions: RegionResidency[];
+  daysSinceLastPing: number | null;
+};
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+// Safety net for writes made by other processes (CLI imports), which this
+// process gets no event for
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+
+function round(value: number, digits: number): number {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function median(values: number[]): number | null {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Stats for `track` (oldest first). `taggingLocation` is the shark's first
+ * ping overall, which lies before `track` when a time range is applied.
+ * daysSinceLastPing is left to the caller, since it changes with the clock.
+ */
+export function computeMovementStats(
+  track: TrackPoint[],
+  taggingLocation: TrackPoint | null
+): Omit<MovementStats, "since" | "until" | "daysSinceLastPing"> {
+  const legs: MovementLeg[] = [];
+  const residency = new Map<string, RegionResidency>();
+  let distanceKm = 0;
+
+  track.forEach((point, i) => {
+    const region = regionOf(point.lat, point.lng);
+    const entry = residency.get(region) ?? { region, hours: 0, pingCount: 0 };
+    entry.pingCount++;
+    residency.set(region, entry);
+
+    const next = track[i + 1];
+    if (!next) return;
+
+    const legKm = haversineKm(point, next);
+    const hours = (new Date(next.time).getTime() - new Date(point.time).getTime()) / MS_PER_HOUR;
+    distanceKm += legKm;
+    entry.hours += Math.max(0, hours);
+    legs.push({
+      from: point.time,
+      to: next.time,
+      distanceKm: round(legKm, 2),
+      hours: round(hours, 2),
+      speedKmh: hours > 0 ? round(legKm / hours, 2) : null,
+    });
+  });
+
+  const speeds = legs
+    .map((leg) => leg.speedKmh)
+    .filter((speed): speed is number => speed != null);
+  const lastPing = track[track.length - 1] ?? null;
+  const medianSpeed = median(speeds);
+
+  return {
+    pingCount: track.length,
+    firstPing: track[0] ?? null,
+    lastPing,
+    distanceKm: round(distanceKm, 1),
+    maxSpeedKmh: speeds.length ? Math.max(...speeds) : null,
+    medianSpeedKmh: medianSpeed != null ? round(medianSpeed, 2) : null,
+    legs,
+    taggingLocation,
+    netDisplacementKm:
+      taggingLocation && lastPing ? round(haversineKm(taggingLocation, lastPing), 1) : null,
+    regions: Array.from(residency.values())
+      .map((entry) => ({ ...entry, hours: round(entry.hours, 1) }))
+      .sort((a, b) => b.hours - a.hours),
+  };
+}
+
+type CacheEntry = {
+  sharkId: number;
+  expiresAt: number;
+  stats: Omit<MovementStats, "daysSinceLastPing">;
+};
+
+const cache = new Map<string, CacheEntry>();
+
+onPositionsInserted((rows) => {
+  const sharkIds = new Set(rows.map((row) => row.shark_id));
+  for (const [key, entry] of cache) {
+    if (sharkIds.has(entry.sharkId)) cache.delete(key);
+  }
+});
+
+/** Movement stats of one shark (internal id), optionally for a time range. */
+export async function getMovementStats(
+  sharkId: number,
+  range: { since: string | null; until: string | null }
+): Promise<MovementStats> {
+  const key = `${sharkId}|${range.since ?? ""}|${range.until ?? ""}`;
+  let entry = cache.get(key);
+
+  if (!entry || entry.expiresAt < Date.now()) {
+    // the full track is needed anyway for the tagging location
+    const fullTrack = toTrack(await getRepository().getTrack(sharkId));
+    const sinceMs = range.since ? new Date(range.since).getTime() : -Infinity;
+    const untilMs = range.until ? new Date(range.until).getTime() : Infinity;
+    const track = fullTrack.filter((point) => {
+      const t = new Date(point.time).getTime();
+      return t >= sinceMs && t <= untilMs;
+    });
+
+    entry = {
+      sharkId,
+      expiresAt: Date.now() + CACHE_TTL_MS,
+      stats: { ...range, ...computeMovementStats(track, fullTrack[0] ?? null) },
+    };
+    cache.delete(key);
+    cache.set(key, entry);
+    // Map keeps insertion order, so the first key is the oldest entry
+    if (cache.size > CACHE_MAX_ENTRIES) {
+      cache.delete(cache.keys().next().value!);
+    }
+  }
+
+  const lastPing = entry.stats.lastPing;
+  return {
+    ...entry.stats,
+    daysSinceLastPing: lastPing
+      ? round((Date.now() - new Date(lastPing.time).getTime()) / MS_PER_DAY, 1)
+      : null,
+  };
+}
@@ -0,0 +1,237 @@
+// src/services/positionIngest.ts
+// Storage-agnostic part of the sync: decides which provider positions become
+// new shark_positions rows. Only types are imported from syncStore so this
+// module can run against any SyncStore (see scripts/benchmarkSync.ts).
+import { emitPositionsInserted, emitSharksUpdated } from "../lib/events";
+import { safeIso } from "../lib/time";
+import type { ProviderPosition } from "./providers";
+import { getValidationRules, validatePing, type ValidationRules } from "./positionValidation";
+import { normalizeSpecies } from "./speciesCatalogue";
+import type {
+  PositionInsert,
+  QuarantineInsert,
+  SharkUpsert,
+  SyncStore,
+} from "./syncStore";
+
+function pingKey(sharkId: number, sourceIso: string): string {
+  return `${sharkId}|${sourceIso}`;
+}
+
+function spotKey(sharkId: number, lat: number, lng: number): string {
+  return `${sharkId}|${lat}|${lng}`;
+}
+
+// avoid tiny float noise: 5 decimals ≈ 1m
+export function roundCoord(value: number): number {
+  return Math.round(value * 1e5) / 1e5;
+}
+
+export type IngestResult = {
+  pointsInserted: number;
+  pointsSkipped: number;
+  pointsQuarantined: number;
+  /** Source ids of sharks that had no stored position before this batch. */
+  firstSightSourceIds: string[];
+};
+
+export type IngestOptions = {
+  rules?: ValidationRules;
+  /**
+   * false: only attach positions to sharks that already exist and leave
+   * their profile alone (history backfills, whose records carry per-ping
+   * properties rather than the animal profile).
+   */
+  updateSharks?: boolean;
+  /** Marks the stored pings as backfilled (sql/015) rather than live. */
+  backfilled?: boolean;
+};
+
+/**
+ * Writes one provider's positions in batched steps:
+ *   1) bulk upsert of every shark in the batch
+ *   2) one query for stored rows that already carry the incoming source
+ *      timestamps, one for the spots of quarantined untimed pings (only
+ *      when the batch has untimed ones), and one for the latest stored
+ *      position per shark
+ *   3) validation (see positionValidation.ts), then bulk insert of the new
+ *      points and of the quarantined ones
+ *
+ * Dedup rule: a ping is identified by (shark, source_timestamp), so a second
+ * ping from the same spot is kept and a re-sent old ping is dropped even if
+ * it arrives at a new spot. Only when the provider gives no timestamp do we
+ * fall back to "store if the rounded lat/lng differs from the latest point
+ * and is not already in quarantine".
+ * recorded_at carries the ping time, so late pings sort into place.
+ */
+export async function ingestProviderPositions(
+  store: SyncStore,
+  providerId: string,
+  positions: ProviderPosition[],
+  options: IngestOptions = {}
+): Promise<IngestResult> {
+  const { rules = getValidationRules(), updateSharks = true, backfilled = false } = options;
+  if (positions.length === 0) {
+    return { pointsInserted: 0, pointsSkipped: 0, pointsQuarantined: 0, firstSightSourceIds: [] };
+  }
+
+  // 1) Upsert sharks (one row per external_id; the last feature wins, as
+  //    it did with sequential upserts), species under its canonical name
+  const now = new Date().toISOString();
+  const sharkRows = new Map<string, SharkUpsert>();
+  for (const position of positions) {
+    const externalId = `${providerId}:${position.sourceId}`;
+    const { species, meta: speciesMeta } = normalizeSpecies(position.species);
+    sharkRows.set(externalId, {
+      external_id: externalId,
+      name: position.name,
+      species,
+      meta: {
+        ...position.meta,
+        ...speciesMeta,
+        source_provider: providerId,
+        source_id: position.sourceId,
+      },
+      updated_at: now,
+    });
+  }
+
+  const upserted = updateSharks
+    ? await store.upsertSharks(Array.from(sharkRows.values()))
+    : await store.findSharks(Array.from(sharkRows.keys()));
+  const sharkIdByExternal = new Map(upserted.map((row) => [row.external_id, row.id]));
+  const sharkIds = Array.from(new Set(sharkIdByExternal.values()));
+  if (updateSharks) emitSharksUpdated(sharkIds);
+
+  // 2a) Which (shark, source_timestamp) pairs are already stored or
+  //     quarantined (so a rejected ping is not re-quarantined every poll)
+  const incomingTimestamps = Array.from(
+    new Set(
+      positions
+        .map((position) => safeIso(position.sourceTimestamp))
+        .filter((iso): iso is string => iso !== null)
+    )
+  );
+
+  const seen = new Set<string>();
+  if (incomingTimestamps.length > 0) {
+    const existing = await store.existingTimestamps(sharkIds, incomingTimestamps);
+    for (const row of existing) {
+      const iso = safeIso(row.source_timestamp);
+      if (iso) seen.add(pingKey(row.shark_id, iso));
+    }
+  }
+
+  // 2b) Untimed pings are identified by their spot instead: the ones
+  //     already quarantined are not quarantined again every poll
+  const quarantinedSpots = new Set<string>();
+  if (positions.some((position) => safeIso(position.sourceTimestamp) === null)) {
+    for (const row of await store.quarantinedUntimed(sharkIds)) {
+      quarantinedSpots.add(spotKey(row.shark_id, roundCoord(row.lat), roundCoord(row.lng)));
+    }
+  }
+
+  // 2c) Latest stored ping per shark: movement fallback for providers
+  //     without timestamps, and the baseline for the speed check
+  const lastBySharkId = new Map<number, { lat: number; lng: number; time: string | null }>();
+  for (const row of await store.latestPositions(sharkIds)) {
+    lastBySharkId.set(row.shark_id, {
+      lat: roundCoord(row.lat),
+      lng: roundCoord(row.lng),
+      time: safeIso(row.recorded_at),
+    });
+  }
+
+  // 3) Collect new points, oldest first so each ping is validated against
+  //    the one before it (untimed positions keep feed order, at the end)
+  const ordered = positions
+    .map((position, index) => ({ position, index, iso: safeIso(position.sourceTimestamp) }))
+    .sort((a, b) => {
+      if (a.iso && b.iso && a.iso !== b.iso) return a.iso < b.iso ? -1 : 1;
+      if (!a.iso !== !b.iso) return a.iso ? -1 : 1;
+      return a.index - b.index;
+    });
+
+  const inserts: PositionInsert[] = [];
+  const quarantined: QuarantineInsert[] = [];
+  let pointsSkipped = 0;
+
+  const firstSight = new Set<string>();
+  const prevInBatch = new Map<number, { lat: number; lng: number; time: string }>();
+
+  for (const { position, iso: sourceIso } of ordered) {
+    const externalId = `${providerId}:${position.sourceId}`;
+    const sharkId = sharkIdByExternal.get(externalId);
+    if (sharkId == null) {
+      if (updateSharks) console.error("Failed to upsert shark", externalId);
+      pointsSkipped++;
+      continue;
+    }
+
+    const lat = roundCoord(position.lat);
+    const lng = roundCoord(position.lng);
+    const last = lastBySharkId.get(sharkId);
+    if (!last) firstSight.add(position.sourceId);
+
+    if (sourceIso) {
+      const key = pingKey(sharkId, sourceIso);
+      if (seen.has(key)) {
+        pointsSkipped++;
+        continue;
+      }
+      seen.add(key);
+    } else {
+      const hasMoved = !last || last.lat !== lat || last.lng !== lng;
+      if (!hasMoved || quarantinedSpots.has(spotKey(sharkId, lat, lng))) {
+        pointsSkipped++;
+        continue;
+      }
+    }
+
+    const row: PositionInsert = {
+      shark_id: sharkId,
+      lat,
+      lng,
+      source_timestamp: sourceIso,
+      recorded_at: sourceIso ?? now,
+    };
+
+    // speed is checked against the latest known ping before this one: the
+    // previous accepted ping of this batch or the latest stored one,
+    // whichever is later (a late ping older than all of them has none)
+    const candidates = [
+      prevInBatch.get(sharkId),
+      last?.time ? { lat: last.lat, lng: last.lng, time: last.time } : undefined,
+    ].filter(
+      (p): p is { lat: number; lng: number; time: string } =>
+        !!p && p.time < row.recorded_at
+    );
+    const previous = candidates.sort((a, b) => (a.time < b.time ? 1 : -1))[0] ?? null;
+    const reason = validatePing({ lat, lng, time: row.recorded_at }, previous, rules);
+
+    if (reason) {
+      quarantined.push({ ...row, reason });
+      if (!sourceIso) quarantinedSpots.add(spotKey(sharkId, lat, lng));
+      continue;
+    }
+
+    inserts.push({ ...row, backfilled });
+    if (sourceIso) prevInBatch.set(sharkId, { lat, lng, time: row.recorded_at });
+    if (!last?.time || row.recorded_at >= last.time) {
+      lastBySharkId.set(sharkId, { lat, lng, time: row.recorded_at });
+    }
+  }
+
+  await store.insertPositions(inserts);
+  emitPositionsInserted(inserts);
+  if (quarantined.length > 0) {
+    await store.quarantinePositions(quarantined);
+  }
+
+  return {
+    pointsInserted: inserts.length,
+    pointsSkipped,
+    pointsQuarantined: quarantined.length,
+    firstSightSourceIds: Array.from(firstSight),
+  };
+}
@@ -0,0 +1,82 @@
+// src/services/positionValidation.ts
+// Plausibility checks applied to every new ping before it is stored.
+// Failing pings go to quarantined_positions with the reason instead.
+import { haversineKm } from "../lib/geo";
+import { distanceToCoastKm, isOnLand } from "../lib/landMask";
+
+export type ValidationRules = {
+  /** Max speed implied between consecutive pings (km/h). */
+  maxSpeedKmh: number;
+  /** How far in the future a ping timestamp may be (clock skew), minutes. */
+  maxFutureMinutes: number;
+  /** Pings before this date are rejected (tags did not exist / bad clock). */
+  minTimestamp: string;
+  landMask: boolean;
+  /**
+   * Points on land but within this distance of the coastline are accepted:
+   * the 1:50m coastline is coarse, and sharks do come right up to shore.
+   */
+  landBufferKm: number;
+};
+
+export type CandidatePing = { lat: number; lng: number; time: string };
+
+function numberFromEnv(name: string, fallback: number): number {
+  const value = Number(process.env[name]);
+  return process.env[name] != null && Number.isFinite(value) ? value : fallback;
+}
+
+/** Rules from the environment, with defaults tuned for satellite tags. */
+export function getValidationRules(): ValidationRules {
+  return {
+    maxSpeedKmh: numberFromEnv("VALIDATION_MAX_SPEED_KMH", 40),
+    maxFutureMinutes: numberFromEnv("VALIDATION_MAX_FUTURE_MINUTES", 60),
+    minTimestamp: process.env.VALIDATION_MIN_TIMESTAMP ?? "1990-01-01T00:00:00Z",
+    landMask: process.env.VALIDATION_LAND_MASK !== "false",
+    landBufferKm: numberFromEnv("VALIDATION_LAND_BUFFER_KM", 5),
+  };
+}
+
+/**
+ * Returns the reason a ping is implausible, or null if it passes.
+ * `previous` is the shark's ping just before this one in time, if known;
+ * the speed rule is skipped without it.
+ */
+export function validatePing(
+  ping: CandidatePing,
+  previous: CandidatePing | null,
+  rules: ValidationRules
+): string | null {
+  if (
+    !Number.isFinite(ping.lat) ||
+    !Number.isFinite(ping.lng) ||
+    Math.abs(ping.lat) > 90 ||
+    Math.abs(ping.lng) > 180
+  ) {
+    return "invalid_coordinates";
+  }
+
+  const t = new Date(ping.time).getTime();
+  if (t > Date.now() + rules.maxFutureMinutes * 60 * 1000) {
+    return "timestamp_in_future";
+  }
+  if (t < new Date(rules.minTimestamp).getTime()) {
+    return "timestamp_too_old";
+  }
+
+  if (previous) {
+    const hours = (t - new Date(previous.time).getTime()) / (60 * 60 * 1000);
+    if (hours > 0) {
+      const speed = haversineKm(previous, ping) / hours;
+      if (speed > rules.maxSpeedKmh) {
+        return `implausible_speed:${Math.round(speed)}km/h`;
+      }
+    }
+  }
+
+  if (rules.landMask && isOnLand(ping) && distanceToCoastKm(ping) > rules.landBufferKm) {
+    return "on_land";
+  }
+
+  return null;
+}
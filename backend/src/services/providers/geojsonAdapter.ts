@@ -0,0 +1,92 @@
+// src/services/providers/geojsonAdapter.ts
+import { fetchProviderJson } from "./http";
+import type { ProviderAdapter } from "./types";
+
+type GeoJsonFeature = {
+  properties?: Record<string, any> | null;
+  geometry?: { type?: string; coordinates?: unknown } | null;
+};
+
+/**
+ * Which feature properties hold which field, checked in order.
+ * The defaults match the Mapotic POI feed.
+ */
+export type GeoJsonAdapterOptions = {
+  idProps?: string[];
+  nameProps?: string[];
+  speciesProps?: string[];
+  timeProps?: string[];
+};
+
+const MAPOTIC_DEFAULTS: Required<GeoJsonAdapterOptions> = {
+  idProps: ["id", "slug", "name"],
+  nameProps: ["name"],
+  speciesProps: ["species"],
+  timeProps: ["last_ping", "last_update"],
+};
+
+function stringList(value: unknown, fallback: string[]): string[] {
+  return Array.isArray(value) && value.every((v) => typeof v === "string")
+    ? value
+    : fallback;
+}
+
+// first property that is not null or undefined, like `props.id ?? props.slug`
+// (an empty id is kept, and the feature is then skipped)
+function firstProp(props: Record<string, any>, keys: string[]): string | null {
+  for (const key of keys) {
+    const value = props[key];
+    if (value != null) return String(value);
+  }
+  return null;
+}
+
+// first truthy property, like `props.last_ping || props.last_update`: an
+// empty or zero ping time falls through to the next property
+function firstTruthyProp(props: Record<string, any>, keys: string[]): string | null {
+  for (const key of keys) {
+    const value = props[key];
+    if (value) return String(value);
+  }
+  return null;
+}
+
+export function createGeoJsonAdapter(
+  options: Record<string, unknown> = {}
+): ProviderAdapter<GeoJsonFeature> {
+  const idProps = stringList(options.idProps, MAPOTIC_DEFAULTS.idProps);
+  const nameProps = stringList(options.nameProps, MAPOTIC_DEFAULTS.nameProps);
+  const speciesProps = stringList(options.speciesProps, MAPOTIC_DEFAULTS.speciesProps);
+  const timeProps = stringList(options.timeProps, MAPOTIC_DEFAULTS.timeProps);
+
+  const propsOf = (feature: GeoJsonFeature) => feature.properties || {};
+
+  return {
+    fetch: fetchProviderJson,
+
+    parse(payload, provider) {
+      const features = (payload as any)?.features;
+      if (!Array.isArray(features)) {
+        throw new Error(
+          `Unexpected GeoJSON format for provider ${provider.id}: no features array`
+        );
+      }
+      return features;
+    },
+
+    coordinates(feature) {
+      if (feature.geometry?.type && feature.geometry.type !== "Point") return null;
+      const coords = feature.geometry?.coordinates as [number, number] | undefined;
+      if (!Array.isArray(coords)) return null;
+
+      const [lng, lat] = coords.map(Number);
+      return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+    },
+
+    identity: (feature) => firstProp(propsOf(feature), idProps),
+    name: (feature) => firstProp(propsOf(feature), nameProps),
+    species: (feature) => firstProp(propsOf(feature), speciesProps),
+    time: (feature) => firstTruthyProp(propsOf(feature), timeProps),
+    meta: (feature) => ({ ...propsOf(feature) }),
+  };
+}
@@ -0,0 +1,26 @@
+// src/services/providers/http.ts
+import type { TrackingProviderConfig } from "./types";
+
+async function fetchOk(provider: TrackingProviderConfig) {
+  const res = await fetch(provider.url);
+  if (!res.ok) {
+    throw new Error(
+      `Failed to fetch feed for provider ${provider.id}: ${res.status} ${res.statusText}`
+    );
+  }
+  return res;
+}
+
+export async function fetchProviderJson(
+  provider: TrackingProviderConfig
+): Promise<unknown> {
+  const res = await fetchOk(provider);
+  return res.json();
+}
+
+export async function fetchProviderText(
+  provider: TrackingProviderConfig
+): Promise<string> {
+  const res = await fetchOk(provider);
+  return res.text();
+}
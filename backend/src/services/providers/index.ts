@@ -0,0 +1,99 @@
+// src/services/providers/index.ts
+import { createGeoJsonAdapter } from "./geojsonAdapter";
+import { createMovebankCsvAdapter } from "./movebankCsvAdapter";
+import { createOcearchAdapter } from "./ocearchAdapter";
+import type {
+  ProviderAdapter,
+  ProviderAdapterFactory,
+  ProviderPosition,
+  TrackingProviderConfig,
+} from "./types";
+
+export type {
+  ProviderAdapter,
+  ProviderHistoryConfig,
+  ProviderPosition,
+  TrackingProviderConfig,
+} from "./types";
+
+/**
+ * Adapter names usable in the `adapter` field of a provider config.
+ * "mapotic" is the plain GeoJSON adapter with its default property names.
+ */
+const ADAPTER_FACTORIES: Record<string, ProviderAdapterFactory> = {
+  mapotic: () => createGeoJsonAdapter(),
+  geojson: createGeoJsonAdapter,
+  "movebank-csv": createMovebankCsvAdapter,
+  ocearch: createOcearchAdapter,
+};
+
+export function getProviderAdapter(provider: TrackingProviderConfig): ProviderAdapter {
+  const factory = ADAPTER_FACTORIES[provider.adapter];
+  if (!factory) {
+    throw new Error(
+      `Unknown adapter "${provider.adapter}" for provider ${provider.id}`
+    );
+  }
+  return factory(provider.options ?? {});
+}
+
+async function readPositions(
+  provider: TrackingProviderConfig,
+  fallbackSourceId: string | null
+): Promise<ProviderPosition[]> {
+  const adapter = getProviderAdapter(provider);
+  const payload = await adapter.fetch(provider);
+  const records = adapter.parse(payload, provider);
+
+  const positions: ProviderPosition[] = [];
+  for (const record of records) {
+    const coords = adapter.coordinates(record);
+    const sourceId = adapter.identity(record) ?? fallbackSourceId;
+    if (!coords || !sourceId) continue;
+
+    positions.push({
+      sourceId,
+      name: adapter.name(record),
+      species: adapter.species(record),
+      lat: coords.lat,
+      lng: coords.lng,
+      sourceTimestamp: adapter.time(record),
+      meta: adapter.meta(record),
+    });
+  }
+  return positions;
+}
+
+/**
+ * Fetches a provider feed and maps it to ProviderPosition[] using its adapter.
+ * Records without an identity or coordinates are dropped.
+ */
+export function readProviderPositions(
+  provider: TrackingProviderConfig
+): Promise<ProviderPosition[]> {
+  return readPositions(provider, null);
+}
+
+/**
+ * Fetches the full recorded track of one animal from the provider's history
+ * source (empty when the provider has none). Track records often carry no
+ * animal id of their own, so they are attributed to `sourceId`; records that
+ * do name a different animal (e.g. a whole-study export) are dropped.
+ */
+export async function readHistoryPositions(
+  provider: TrackingProviderConfig,
+  sourceId: string
+): Promise<ProviderPosition[]> {
+  const history = provider.history;
+  if (!history) return [];
+
+  const source: TrackingProviderConfig = {
+    id: provider.id,
+    adapter: history.adapter,
+    url: history.urlTemplate.replace(/\{sourceId\}/g, encodeURIComponent(sourceId)),
+    options: { ...history.options, allPings: true },
+  };
+
+  const positions = await readPositions(source, sourceId);
+  return positions.filter((position) => position.sourceId === sourceId);
+}
@@ -0,0 +1,71 @@
+// src/services/providers/movebankCsvAdapter.ts
+import { parseCsv, type CsvRow } from "../../lib/csv";
+import { utcIso } from "../../lib/time";
+import { fetchProviderText } from "./http";
+import type { ProviderAdapter } from "./types";
+
+// Column names used by Movebank "event" CSV exports.
+export const MOVEBANK_COLUMNS = {
+  id: "individual-local-identifier",
+  tag: "tag-local-identifier",
+  time: "timestamp",
+  lat: "location-lat",
+  lng: "location-long",
+  species: "individual-taxon-canonical-name",
+};
+
+/**
+ * Movebank timestamps are UTC without a zone marker
+ * ("2023-05-01 12:00:00.000").
+ */
+export function movebankTimeToIso(value: string | undefined): string | null {
+  return utcIso(value);
+}
+
+/**
+ * Movebank CSV feed: one row per fix. The live feed only needs the current
+ * position, so parse() keeps the newest row per individual unless
+ * `allPings: true` (history sources).
+ */
+export function createMovebankCsvAdapter(
+  options: Record<string, unknown> = {}
+): ProviderAdapter<CsvRow> {
+  const allPings = options.allPings === true;
+  const identity = (row: CsvRow) => row[MOVEBANK_COLUMNS.id] || row[MOVEBANK_COLUMNS.tag] || null;
+
+  return {
+    fetch: fetchProviderText,
+
+    parse(payload) {
+      const rows = parseCsv(String(payload ?? ""));
+      if (allPings) return rows;
+
+      const latest = new Map<string, { row: CsvRow; t: number }>();
+
+      for (const row of rows) {
+        const id = identity(row);
+        if (!id) continue;
+
+        const iso = movebankTimeToIso(row[MOVEBANK_COLUMNS.time]);
+        const t = iso ? new Date(iso).getTime() : -Infinity;
+        const prev = latest.get(id);
+        if (!prev || t >= prev.t) latest.set(id, { row, t });
+      }
+
+      return Array.from(latest.values()).map((entry) => entry.row);
+    },
+
+    coordinates(row) {
+      const lat = Number(row[MOVEBANK_COLUMNS.lat]);
+      const lng = Number(row[MOVEBANK_COLUMNS.lng]);
+      if (row[MOVEBANK_COLUMNS.lat] === "" || row[MOVEBANK_COLUMNS.lng] === "") return null;
+      return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+    },
+
+    identity,
+    name: (row) => row[MOVEBANK_COLUMNS.id] || null,
+    species: (row) => row[MOVEBANK_COLUMNS.species] || null,
+    time: (row) => movebankTimeToIso(row[MOVEBANK_COLUMNS.time]),
+    meta: (row) => ({ ...row }),
+  };
+}
@@ -0,0 +1,89 @@
+// src/services/providers/ocearchAdapter.ts
+import { utcIso } from "../../lib/time";
+import { fetchProviderJson } from "./http";
+import type { ProviderAdapter } from "./types";
+
+export type OcearchPing = {
+  datetime?: string;
+  tz_datetime?: string;
+  latitude?: string | number;
+  longitude?: string | number;
+};
+
+export type OcearchAnimal = {
+  id?: string | number;
+  name?: string;
+  species?: string;
+  pings?: OcearchPing[];
+  [key: string]: unknown;
+};
+
+// OCEARCH sends "2023-05-01 12:00:00" in UTC; tz_datetime carries an offset
+export function ocearchPingTime(ping: OcearchPing | undefined): string | null {
+  return utcIso(ping?.tz_datetime || ping?.datetime);
+}
+
+export function latestOcearchPing(animal: OcearchAnimal): OcearchPing | undefined {
+  let best: { ping: OcearchPing; t: number } | undefined;
+  for (const ping of animal.pings ?? []) {
+    const iso = ocearchPingTime(ping);
+    const t = iso ? new Date(iso).getTime() : -Infinity;
+    if (!best || t > best.t) best = { ping, t };
+  }
+  return best?.ping;
+}
+
+type OcearchRecord = {
+  animal: OcearchAnimal;
+  ping: OcearchPing | undefined;
+};
+
+/**
+ * OCEARCH-style JSON: an array of animals (or `{ sharks: [...] }`), each with
+ * its own `pings` list. The live feed uses the newest ping per animal;
+ * with `allPings: true` (history sources) every ping becomes a record.
+ */
+export function createOcearchAdapter(
+  options: Record<string, unknown> = {}
+): ProviderAdapter<OcearchRecord> {
+  const allPings = options.allPings === true;
+
+  return {
+    fetch: fetchProviderJson,
+
+    parse(payload, provider) {
+      const animals: OcearchAnimal[] | undefined = Array.isArray(payload)
+        ? payload
+        : (payload as any)?.sharks;
+      if (!Array.isArray(animals)) {
+        throw new Error(
+          `Unexpected OCEARCH format for provider ${provider.id}: expected an array of animals`
+        );
+      }
+
+      return animals.flatMap((animal) =>
+        allPings
+          ? (animal.pings ?? []).map((ping) => ({ animal, ping }))
+          : [{ animal, ping: latestOcearchPing(animal) }]
+      );
+    },
+
+    coordinates({ ping }) {
+      if (!ping || ping.latitude == null || ping.longitude == null) return null;
+      const lat = Number(ping.latitude);
+      const lng = Number(ping.longitude);
+      return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+    },
+
+    identity: ({ animal }) => (animal.id != null ? String(animal.id) : null),
+    name: ({ animal }) => animal.name || null,
+    species: ({ animal }) => animal.species || null,
+    time: ({ ping }) => ocearchPingTime(ping),
+
+    meta({ animal }) {
+      // pings can be thousands of entries; keep meta to the profile fields
+      const { pings: _pings, ...profile } = animal;
+      return profile;
+    },
+  };
+}
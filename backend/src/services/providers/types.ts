@@ -0,0 +1,66 @@
+// src/services/providers/types.ts
+
+/**
+ * One registered tracking feed, as declared in src/config/trackingProviders.ts.
+ *
+ * `id` becomes the prefix of sharks.external_id ("<id>:<sourceId>") and
+ * meta.source_provider, so it must stay stable once data has been synced.
+ */
+export type TrackingProviderConfig = {
+  id: string;
+  adapter: string; // key in ADAPTER_FACTORIES (src/services/providers/index.ts)
+  url: string;
+  options?: Record<string, unknown>;
+  /** Poll interval for the built-in scheduler (default SYNC_INTERVAL_MINUTES). */
+  intervalMinutes?: number;
+  /** Optional full-track source, see readHistoryPositions(). */
+  history?: ProviderHistoryConfig;
+};
+
+/**
+ * Where to get the full recorded track of one animal. `{sourceId}` in
+ * urlTemplate is replaced by the animal's id in the live feed. The adapter
+ * is created with `allPings: true` so it yields every ping, not just the
+ * latest one.
+ */
+export type ProviderHistoryConfig = {
+  adapter: string;
+  urlTemplate: string;
+  options?: Record<string, unknown>;
+};
+
+/**
+ * A single animal position after the adapter has mapped it into our shape.
+ */
+export type ProviderPosition = {
+  sourceId: string;
+  name: string | null;
+  species: string | null;
+  lat: number;
+  lng: number;
+  sourceTimestamp: string | null;
+  meta: Record<string, unknown>;
+};
+
+/**
+ * How to read one kind of feed.
+ *
+ * fetch() downloads the raw payload, parse() splits it into one record per
+ * position, and the remaining functions pull our fields out of a record.
+ * Mappers return null when a value is missing; records without identity or
+ * coordinates are skipped by readProviderPositions().
+ */
+export interface ProviderAdapter<TRecord = any> {
+  fetch(provider: TrackingProviderConfig): Promise<unknown>;
+  parse(payload: unknown, provider: TrackingProviderConfig): TRecord[];
+  coordinates(record: TRecord): { lat: number; lng: number } | null;
+  identity(record: TRecord): string | null;
+  time(record: TRecord): string | null;
+  species(record: TRecord): string | null;
+  name(record: TRecord): string | null;
+  meta(record: TRecord): Record<string, unknown>;
+}
+
+export type ProviderAdapterFactory = (
+  options: Record<string, unknown>
+) => ProviderAdapter;
@@ -0,0 +1,69 @@
+// src/services/quarantine.ts
+// Admin operations on pings held back by sync validation.
+import { emitPositionsInserted } from "../lib/events";
+import { getRepository, type QuarantineRecord } from "../repositories";
+
+export type QuarantinedPosition = {
+  id: number;
+  sharkId: number;
+  lat: number;
+  lng: number;
+  sourceTimestamp: string | null;
+  recordedAt: string;
+  reason: string;
+  createdAt: string;
+};
+
+function fromRow(row: QuarantineRecord): QuarantinedPosition {
+  return {
+    id: row.id,
+    sharkId: row.shark_id,
+    lat: row.lat,
+    lng: row.lng,
+    sourceTimestamp: row.source_timestamp,
+    recordedAt: row.recorded_at,
+    reason: row.reason,
+    createdAt: row.created_at,
+  };
+}
+
+export async function listQuarantinedPositions(options: {
+  limit: number;
+  sharkId?: number;
+}): Promise<QuarantinedPosition[]> {
+  const rows = await getRepository().listQuarantined(options);
+  return rows.map(fromRow);
+}
+
+/**
+ * Moves a quarantined ping into shark_positions (an admin judged it real),
+ * in one step. "duplicate" when the shark already has a ping at that
+ * source_timestamp; the quarantined row is kept then.
+ */
+export async function releaseQuarantinedPosition(
+  id: number
+): Promise<
+  | { status: "released"; position: QuarantinedPosition }
+  | { status: "not_found" }
+  | { status: "duplicate" }
+> {
+  const result = await getRepository().releaseQuarantined(id);
+  if (result.status !== "released") return result;
+
+  const position = fromRow(result.row);
+  emitPositionsInserted([
+    {
+      shark_id: position.sharkId,
+      lat: position.lat,
+      lng: position.lng,
+      source_timestamp: position.sourceTimestamp,
+      recorded_at: position.recordedAt,
+    },
+  ]);
+  return { status: "released", position };
+}
+
+/** Returns false when no such quarantined row exists. */
+export function deleteQuarantinedPosition(id: number): Promise<boolean> {
+  return getRepository().deleteQuarantined(id);
+}
@@ -0,0 +1,154 @@
+// src/services/responseCache.ts
+// Conditional requests (ETag / Last-Modified -> 304) and a server-side
+// response cache for the read API. Both are keyed on a data version, the
+// newest position insert, shark update and ocean-condition lookup, so a
+// sync makes every cached response and every ETag obsolete at once.
+import crypto from "crypto";
+import type { NextFunction, Request, Response } from "express";
+import { onMarineUpdated, onPositionsInserted, onSharksUpdated } from "../lib/events";
+import { getRepository } from "../repositories";
+
+// Writes by other processes (CLI imports) or instances emit no event here;
+// the version is re-read this often to notice them
+const VERSION_TTL_MS = 30 * 1000;
+// Some responses depend on the clock as well (freshness tiers, `hours`,
+// daysSinceLastPing), so nothing is served from cache for longer than this
+const RESPONSE_TTL_MS = 5 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 200;
+const CACHE_MAX_BYTES = 64 * 1024 * 1024;
+
+type Version = {
+  tag: string;
+  lastModified: Date | null;
+  fetchedAt: number;
+};
+
+type CachedResponse = {
+  etag: string;
+  status: number;
+  headers: Record<string, string | number | string[]>;
+  body: string | Buffer;
+  bytes: number;
+};
+
+let version: Version | null = null;
+let versionRequest: Promise<Version> | null = null;
+const cache = new Map<string, CachedResponse>();
+let cachedBytes = 0;
+
+function invalidate() {
+  version = null;
+  cache.clear();
+  cachedBytes = 0;
+}
+
+onPositionsInserted(invalidate);
+onSharksUpdated(invalidate);
+onMarineUpdated(invalidate);
+
+async function readVersion(): Promise<Version> {
+  const { lastPositionAt, lastSharkUpdateAt, lastMarineFetchAt } =
+    await getRepository().dataVersion();
+  const times = [lastPositionAt, lastSharkUpdateAt, lastMarineFetchAt]
+    .map((value) => (value ? Date.parse(value) : NaN))
+    .filter((t) => !Number.isNaN(t));
+
+  return {
+    tag: `${lastPositionAt ?? ""}|${lastSharkUpdateAt ?? ""}|${lastMarineFetchAt ?? ""}`,
+    lastModified: times.length > 0 ? new Date(Math.max(...times)) : null,
+    fetchedAt: Date.now(),
+  };
+}
+
+/** Current data version; concurrent callers share one storage read. */
+async function getDataVersion(): Promise<Version> {
+  if (version && Date.now() - version.fetchedAt < VERSION_TTL_MS) return version;
+
+  if (!versionRequest) {
+    versionRequest = readVersion()
+      .then((fresh) => (version = fresh))
+      .finally(() => {
+        versionRequest = null;
+      });
+  }
+  return versionRequest;
+}
+
+function store(key: string, entry: CachedResponse) {
+  if (entry.bytes > CACHE_MAX_BYTES / 4) return;
+
+  const previous = cache.get(key);
+  if (previous) {
+    cachedBytes -= previous.bytes;
+    cache.delete(key);
+  }
+  cache.set(key, entry);
+  cachedBytes += entry.bytes;
+
+  // Map keeps insertion order, so the first key is the oldest entry
+  while (cache.size > CACHE_MAX_ENTRIES || cachedBytes > CACHE_MAX_BYTES) {
+    const [oldestKey, oldest] = cache.entries().next().value!;
+    cache.delete(oldestKey);
+    cachedBytes -= oldest.bytes;
+  }
+}
+
+/**
+ * Middleware for GET routes whose response only depends on the URL and
+ * the stored data. Sets ETag / Last-Modified, answers 304 when the client
+ * copy is current and replays cached 200 responses. If the version can't
+ * be read the request is served normally, without caching.
+ */
+export async function cacheByDataVersion(req: Request, res: Response, next: NextFunction) {
+  let current: Version;
+  try {
+    current = await getDataVersion();
+  } catch (err) {
+    console.error("Failed to read data version", err);
+    return next();
+  }
+
+  const key = req.originalUrl;
+  const bucket = Math.floor(Date.now() / RESPONSE_TTL_MS);
+  const hash = crypto
+    .createHash("sha1")
+    .update(`${current.tag}|${bucket}|${key}`)
+    .digest("base64url")
+    .slice(0, 27);
+  const etag = `W/"${hash}"`;
+
+  // clients may keep a copy but must revalidate it on every use
+  res.set("Cache-Control", "no-cache");
+  res.set("ETag", etag);
+  // the start of the clock bucket counts as a change too, so a client that
+  // only sends If-Modified-Since revalidates as often as the ETag changes
+  const bucketStart = bucket * RESPONSE_TTL_MS;
+  const lastModified = Math.max(current.lastModified?.getTime() ?? 0, bucketStart);
+  res.set("Last-Modified", new Date(lastModified).toUTCString());
+
+  if (req.fresh) return res.status(304).end();
+
+  const cached = cache.get(key);
+  if (cached && cached.etag === etag) {
+    res.set(cached.headers);
+    return res.status(cached.status).send(cached.body);
+  }
+
+  // res.json() ends in res.send(), so this sees every response body
+  const send = res.send.bind(res);
+  res.send = (body?: any) => {
+    if (res.statusCode === 200 && (typeof body === "string" || Buffer.isBuffer(body))) {
+      const headers = { ...res.getHeaders() } as CachedResponse["headers"];
+      delete headers["content-length"];
+      store(key, {
+        etag,
+        status: res.statusCode,
+        headers,
+        body,
+        bytes: Buffer.byteLength(body),
+      });
+    }
+    return send(body);
+  };
+  next();
+}
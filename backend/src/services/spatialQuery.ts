@@ -0,0 +1,445 @@
+// src/services/spatialQuery.ts
+// "Which sharks came within X km of a point / inside an area between two
+// dates?" Positions between pings are interpolated along a straight line
+// (in a local km plane), so a shark crossing a bay between two distant
+// pings still counts. Long gaps are not interpolated: over days, the
+// straight line says little about where the animal actually went.
+// Each leg is tested on a plane around its own start, and legs far from the
+// area are skipped, so a leg on the other side of the globe (or across the
+// antimeridian) never projects onto a line through the area.
+import {
+  distanceToSegmentKm,
+  haversineKm,
+  pointInRing,
+  toLocalKm,
+  wrapLngDelta,
+  type LatLng,
+} from "../lib/geo";
+import { getRepository, type PositionRecord, type SharkRecord } from "../repositories";
+import { toTrack, type TrackPoint } from "./trackStats";
+
+/** Pings further apart than this are not joined by interpolation. */
+export const MAX_INTERPOLATION_GAP_HOURS = 72;
+
+// Slack on the bounding circle test: the leg between two pings follows
+// lat/lng, not the great circle, and the local plane distorts a little
+const SKIP_MARGIN_KM = 100;
+
+type Vec = { x: number; y: number };
+
+export type SpatialArea =
+  | { kind: "circle"; center: LatLng; radiusKm: number }
+  | { kind: "polygons"; polygons: number[][][][] }; // GeoJSON [lng, lat] rings
+
+export type Visit = {
+  enteredAt: string;
+  exitedAt: string;
+};
+
+export type ClosestApproach = {
+  distanceKm: number;
+  time: string;
+  lat: number;
+  lng: number;
+};
+
+export type SpatialMatch = {
+  visits: Visit[];
+  closestApproach: ClosestApproach;
+  pingsInside: number;
+};
+
+type Leg = {
+  a: TrackPoint;
+  b: TrackPoint;
+  ta: number; // ms
+  tb: number;
+};
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+function round(value: number, digits: number): number {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function lerpPoint(leg: Leg, s: number): { lat: number; lng: number; t: number } {
+  return {
+    lat: leg.a.lat + s * (leg.b.lat - leg.a.lat),
+    lng: wrapLngDelta(leg.a.lng + s * wrapLngDelta(leg.b.lng - leg.a.lng)),
+    t: leg.ta + s * (leg.tb - leg.ta),
+  };
+}
+
+/** Cuts a leg to [fromMs, toMs]; null when it lies outside. */
+function clipLeg(leg: Leg, fromMs: number, toMs: number): Leg | null {
+  if (leg.tb < fromMs || leg.ta > toMs) return null;
+  const span = leg.tb - leg.ta;
+  const s0 = span > 0 ? Math.max(0, (fromMs - leg.ta) / span) : 0;
+  const s1 = span > 0 ? Math.min(1, (toMs - leg.ta) / span) : 1;
+  if (s0 === 0 && s1 === 1) return leg;
+
+  const p0 = lerpPoint(leg, s0);
+  const p1 = lerpPoint(leg, s1);
+  return {
+    a: { lat: p0.lat, lng: p0.lng, time: new Date(p0.t).toISOString() },
+    b: { lat: p1.lat, lng: p1.lng, time: new Date(p1.t).toISOString() },
+    ta: p0.t,
+    tb: p1.t,
+  };
+}
+
+// Parameter s along a -> b where it crosses segment c -> d (planar)
+function segmentCrossing(a: Vec, b: Vec, c: Vec, d: Vec): number | null {
+  const r = { x: b.x - a.x, y: b.y - a.y };
+  const q = { x: d.x - c.x, y: d.y - c.y };
+  const denom = r.x * q.y - r.y * q.x;
+  if (denom === 0) return null;
+  const s = ((c.x - a.x) * q.y - (c.y - a.y) * q.x) / denom;
+  const u = ((c.x - a.x) * r.y - (c.y - a.y) * r.x) / denom;
+  return s >= 0 && s <= 1 && u >= 0 && u <= 1 ? s : null;
+}
+
+/** Geometry of an area projected onto a local km plane. */
+type PlaneArea = {
+  /** Sub-ranges of s in [0,1] where the segment a -> b is inside. */
+  inside(a: Vec, b: Vec): [number, number][];
+  /**
+   * Closest distance (km) and where on a -> b it occurs: to the centre of a
+   * circle, to the outline of polygons (0 when inside).
+   */
+  closest(a: Vec, b: Vec): { distanceKm: number; s: number };
+};
+
+export type PreparedArea = {
+  /** A circle around the whole area. */
+  bounds: { center: LatLng; radiusKm: number };
+  /** The area on a local km plane centred on `origin`. */
+  project(origin: LatLng): PlaneArea;
+};
+
+function projectCircle(center: LatLng, radiusKm: number): PreparedArea {
+  return {
+    bounds: { center, radiusKm },
+    project: (origin) => circleOnPlane(toLocalKm(origin, center), radiusKm),
+  };
+}
+
+function circleOnPlane(center: Vec, radiusKm: number): PlaneArea {
+  return {
+    inside(a0, b0) {
+      // |a + s (b - a)|^2 = r^2, relative to the centre
+      const a = { x: a0.x - center.x, y: a0.y - center.y };
+      const b = { x: b0.x - center.x, y: b0.y - center.y };
+      const d = { x: b.x - a.x, y: b.y - a.y };
+      const qa = d.x * d.x + d.y * d.y;
+      const qb = 2 * (a.x * d.x + a.y * d.y);
+      const qc = a.x * a.x + a.y * a.y - radiusKm * radiusKm;
+      if (qa === 0) return qc <= 0 ? [[0, 1]] : [];
+      const disc = qb * qb - 4 * qa * qc;
+      if (disc < 0) return [];
+      const root = Math.sqrt(disc);
+      const s0 = Math.max(0, (-qb - root) / (2 * qa));
+      const s1 = Math.min(1, (-qb + root) / (2 * qa));
+      return s0 <= s1 ? [[s0, s1]] : [];
+    },
+    closest(a0, b0) {
+      const a = { x: a0.x - center.x, y: a0.y - center.y };
+      const b = { x: b0.x - center.x, y: b0.y - center.y };
+      const d = { x: b.x - a.x, y: b.y - a.y };
+      const lengthSq = d.x * d.x + d.y * d.y;
+      const s = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * d.x + a.y * d.y) / lengthSq));
+      // distance to the centre: "how close did it get to the point"
+      return { distanceKm: Math.hypot(a.x + s * d.x, a.y + s * d.y), s };
+    },
+  };
+}
+
+function projectPolygons(polygons: number[][][][]): PreparedArea {
+  // bounding box, with longitudes unwrapped around the first vertex
+  const [firstLng] = polygons[0][0][0];
+  const vertices = polygons.flat(2);
+  const lngs = vertices.map(([lng]) => firstLng + wrapLngDelta(lng - firstLng));
+  const lats = vertices.map(([, lat]) => lat);
+  const center = {
+    lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+    lng: wrapLngDelta((Math.min(...lngs) + Math.max(...lngs)) / 2),
+  };
+  const radiusKm = Math.max(...vertices.map(([lng, lat]) => haversineKm(center, { lat, lng })));
+
+  return {
+    bounds: { center, radiusKm },
+    project: (origin) => polygonsOnPlane(polygons, origin),
+  };
+}
+
+function polygonsOnPlane(polygons: number[][][][], origin: LatLng): PlaneArea {
+  const projected = polygons.map((rings) =>
+    rings.map((ring) =>
+      ring.map(([lng, lat]) => {
+        const p = toLocalKm(origin, { lat, lng });
+        return [p.x, p.y];
+      })
+    )
+  );
+  const edges: [Vec, Vec][] = projected.flatMap((rings) =>
+    rings.flatMap((ring) =>
+      ring.slice(1).map((point, i): [Vec, Vec] => [
+        { x: ring[i][0], y: ring[i][1] },
+        { x: point[0], y: point[1] },
+      ])
+    )
+  );
+
+  // pointInRing takes { lat, lng } against [lng, lat] rings; x/y map onto them
+  const contains = (p: Vec) =>
+    projected.some(
+      (rings) =>
+        pointInRing({ lat: p.y, lng: p.x }, rings[0]) &&
+        !rings.slice(1).some((hole) => pointInRing({ lat: p.y, lng: p.x }, hole))
+    );
+
+  const at = (a: Vec, b: Vec, s: number): Vec => ({
+    x: a.x + s * (b.x - a.x),
+    y: a.y + s * (b.y - a.y),
+  });
+
+  return {
+    inside(a, b) {
+      const cuts = [0, 1];
+      for (const [c, d] of edges) {
+        const s = segmentCrossing(a, b, c, d);
+        if (s != null) cuts.push(s);
+      }
+      cuts.sort((x, y) => x - y);
+
+      const out: [number, number][] = [];
+      for (let i = 1; i < cuts.length; i++) {
+        const [s0, s1] = [cuts[i - 1], cuts[i]];
+        if (!contains(at(a, b, (s0 + s1) / 2))) continue;
+        const previous = out[out.length - 1];
+        if (previous && previous[1] === s0) previous[1] = s1;
+        else out.push([s0, s1]);
+      }
+      // a leg of zero length (or only touching) still counts when inside
+      if (out.length === 0 && contains(a)) out.push([0, 0]);
+      return out;
+    },
+    closest(a, b) {
+      const inside = this.inside(a, b);
+      if (inside.length > 0) return { distanceKm: 0, s: inside[0][0] };
+
+      let best = { distanceKm: Infinity, s: 0 };
+      for (const [c, d] of edges) {
+        // segments don't cross, so the minimum is at one of the four ends
+        for (const s of [0, 1]) {
+          const p = at(a, b, s);
+          const distance = distanceToSegmentKm(
+            { x: c.x - p.x, y: c.y - p.y },
+            { x: d.x - p.x, y: d.y - p.y }
+          );
+          if (distance < best.distanceKm) best = { distanceKm: distance, s };
+        }
+        for (const vertex of [c, d]) {
+          const dx = b.x - a.x;
+          const dy = b.y - a.y;
+          const lengthSq = dx * dx + dy * dy;
+          const s =
+            lengthSq === 0
+              ? 0
+              : Math.max(0, Math.min(1, ((vertex.x - a.x) * dx + (vertex.y - a.y) * dy) / lengthSq));
+          const distance = Math.hypot(a.x + s * dx - vertex.x, a.y + s * dy - vertex.y);
+          if (distance < best.distanceKm) best = { distanceKm: distance, s };
+        }
+      }
+      return best;
+    },
+  };
+}
+
+function projectArea(area: SpatialArea): PreparedArea {
+  return area.kind === "circle"
+    ? projectCircle(area.center, area.radiusKm)
+    : projectPolygons(area.polygons);
+}
+
+/**
+ * Visits of one track (oldest first) to `area` between fromMs and toMs,
+ * or null when the shark never came inside.
+ */
+export function matchTrack(
+  track: TrackPoint[],
+  area: SpatialArea,
+  fromMs: number,
+  toMs: number,
+  projection: PreparedArea = projectArea(area)
+): SpatialMatch | null {
+  const maxGapMs = MAX_INTERPOLATION_GAP_HOURS * MS_PER_HOUR;
+  const { bounds } = projection;
+  // a lower bound on how close the leg a -> b gets to the area
+  const farFromArea = (a: LatLng, b: LatLng) =>
+    Math.min(haversineKm(a, bounds.center), haversineKm(b, bounds.center)) - haversineKm(a, b) >
+    bounds.radiusKm + SKIP_MARGIN_KM;
+
+  // Legs between consecutive pings; a ping without a usable neighbour
+  // becomes a zero-length leg so it is still tested on its own
+  const legs: Leg[] = [];
+  track.forEach((point, i) => {
+    const t = new Date(point.time).getTime();
+    const next = track[i + 1];
+    const tNext = next ? new Date(next.time).getTime() : NaN;
+    const previous = track[i - 1];
+    const tPrevious = previous ? new Date(previous.time).getTime() : NaN;
+
+    if (next && tNext - t <= maxGapMs) {
+      legs.push({ a: point, b: next, ta: t, tb: tNext });
+    } else if (!(previous && t - tPrevious <= maxGapMs)) {
+      legs.push({ a: point, b: point, ta: t, tb: t });
+    }
+  });
+
+  const visits: { enteredMs: number; exitedMs: number }[] = [];
+  let closest: ClosestApproach | null = null;
+  let pingsInside = 0;
+
+  for (const original of legs) {
+    const leg = clipLeg(original, fromMs, toMs);
+    if (!leg || farFromArea(leg.a, leg.b)) continue;
+
+    const plane = projection.project(leg.a);
+    const a = { x: 0, y: 0 };
+    const b = toLocalKm(leg.a, leg.b);
+
+    for (const [s0, s1] of plane.inside(a, b)) {
+      const enteredMs = leg.ta + s0 * (leg.tb - leg.ta);
+      const exitedMs = leg.ta + s1 * (leg.tb - leg.ta);
+      const last = visits[visits.length - 1];
+      // consecutive legs: leaving at a ping and re-entering there is one visit
+      if (last && enteredMs - last.exitedMs <= 1) last.exitedMs = Math.max(last.exitedMs, exitedMs);
+      else visits.push({ enteredMs, exitedMs });
+    }
+
+    const near = plane.closest(a, b);
+    if (!closest || near.distanceKm < closest.distanceKm) {
+      const p = lerpPoint(leg, near.s);
+      closest = {
+        distanceKm: round(near.distanceKm, 2),
+        time: new Date(p.t).toISOString(),
+        lat: round(p.lat, 5),
+        lng: round(p.lng, 5),
+      };
+    }
+  }
+
+  for (const point of track) {
+    const t = new Date(point.time).getTime();
+    if (t < fromMs || t > toMs || farFromArea(point, point)) continue;
+    const p = { x: 0, y: 0 };
+    if (projection.project(point).inside(p, p).length > 0) pingsInside++;
+  }
+
+  if (visits.length === 0 || !closest) return null;
+  return {
+    visits: visits.map((visit) => ({
+      enteredAt: new Date(visit.enteredMs).toISOString(),
+      exitedAt: new Date(visit.exitedMs).toISOString(),
+    })),
+    closestApproach: closest,
+    pingsInside,
+  };
+}
+
+/** Reusable projection for matching many tracks against one area. */
+export function prepareArea(area: SpatialArea): PreparedArea {
+  return projectArea(area);
+}
+
+/**
+ * Reads the polygons of a GeoJSON Polygon / MultiPolygon geometry, or of a
+ * Feature / FeatureCollection holding them. Returns a message for a 400.
+ */
+export function polygonsFromGeoJson(input: any): number[][][][] | string {
+  const geometries: any[] =
+    input?.type === "FeatureCollection"
+      ? (input.features ?? []).map((feature: any) => feature?.geometry)
+      : input?.type === "Feature"
+        ? [input.geometry]
+        : [input];
+
+  const polygons: number[][][][] = [];
+  for (const geometry of geometries) {
+    if (geometry?.type === "Polygon") polygons.push(geometry.coordinates);
+    else if (geometry?.type === "MultiPolygon") polygons.push(...geometry.coordinates);
+    else return "polygon must be a GeoJSON Polygon or MultiPolygon (or a Feature of one)";
+  }
+
+  const valid = polygons.every(
+    (rings) =>
+      Array.isArray(rings) &&
+      rings.length > 0 &&
+      rings.every(
+        (ring) =>
+          Array.isArray(ring) &&
+          ring.length >= 4 &&
+          ring.every(
+            (c) =>
+              Array.isArray(c) &&
+              Number.isFinite(c[0]) &&
+              Number.isFinite(c[1]) &&
+              Math.abs(c[1]) <= 90
+          )
+      )
+  );
+  if (polygons.length === 0 || !valid) {
+    return "polygon rings must be closed lists of at least 4 [lng, lat] positions";
+  }
+  return polygons;
+}
+
+export type SharkInArea = {
+  shark: SharkRecord;
+  match: SpatialMatch;
+};
+
+/**
+ * Every shark whose (interpolated) track enters `area` between the two
+ * instants (either may be open), earliest visit first.
+ */
+export async function findSharksInArea(
+  area: SpatialArea,
+  range: { from: string | null; to: string | null }
+): Promise<SharkInArea[]> {
+  const fromMs = range.from ? new Date(range.from).getTime() : -Infinity;
+  const toMs = range.to ? new Date(range.to).getTime() : Infinity;
+  // pings just outside the window still bound the legs that cross into it
+  const marginMs = MAX_INTERPOLATION_GAP_HOURS * MS_PER_HOUR;
+
+  const repository = getRepository();
+  const sharks = await repository.listSharks();
+  const positions = await repository.getTracks(
+    sharks.map((row) => row.id),
+    {
+      since: range.from ? new Date(fromMs - marginMs).toISOString() : null,
+      until: range.to ? new Date(toMs + marginMs).toISOString() : null,
+    }
+  );
+
+  const rowsByShark = new Map<number, PositionRecord[]>();
+  for (const row of positions) {
+    const list = rowsByShark.get(row.shark_id) ?? [];
+    list.push(row);
+    rowsByShark.set(row.shark_id, list);
+  }
+
+  const prepared = prepareArea(area);
+  const results: SharkInArea[] = [];
+  for (const shark of sharks) {
+    const track = toTrack(rowsByShark.get(shark.id) ?? []);
+    const match = matchTrack(track, area, fromMs, toMs, prepared);
+    if (match) results.push({ shark, match });
+  }
+
+  return results.sort((a, b) =>
+    a.match.visits[0].enteredAt.localeCompare(b.match.visits[0].enteredAt)
+  );
+}
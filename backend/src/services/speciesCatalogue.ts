@@ -0,0 +1,89 @@
+// src/services/speciesCatalogue.ts
+// Canonical species names. Feeds spell the same animal many ways ("Great
+// White", "white shark", "Carcharodon carcharias"), so the sync stores the
+// scientific name from data/species.json and keeps the feed's own string in
+// meta.species_reported. Loaded lazily on first use; sql/009_species.sql
+// mirrors the file in Supabase (`npm run seed:species`).
+import fs from "fs";
+import path from "path";
+
+const SPECIES_FILE = path.join(__dirname, "../../data/species.json");
+
+export type IucnStatus = "LC" | "NT" | "VU" | "EN" | "CR" | "EW" | "EX" | "DD";
+
+export type SpeciesEntry = {
+  scientificName: string;
+  commonNames: string[];
+  family: string;
+  iucnStatus: IucnStatus;
+  /** Extra spellings seen in feeds, matched like the names above. */
+  aliases: string[];
+};
+
+let catalogue: { entries: SpeciesEntry[]; byKey: Map<string, SpeciesEntry> } | null = null;
+
+// case, spacing and punctuation do not matter: "Great-White " == "great white"
+function lookupKey(name: string): string {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function loadCatalogue() {
+  if (catalogue) return catalogue;
+
+  const entries: SpeciesEntry[] = JSON.parse(fs.readFileSync(SPECIES_FILE, "utf8"));
+  const byKey = new Map<string, SpeciesEntry>();
+  for (const entry of entries) {
+    for (const name of [entry.scientificName, ...entry.commonNames, ...entry.aliases]) {
+      const key = lookupKey(name);
+      const taken = byKey.get(key);
+      if (taken && taken !== entry) {
+        throw new Error(
+          `species.json: "${name}" names both ${taken.scientificName} and ${entry.scientificName}`
+        );
+      }
+      byKey.set(key, entry);
+    }
+  }
+
+  catalogue = { entries, byKey };
+  return catalogue;
+}
+
+export function listSpeciesCatalogue(): SpeciesEntry[] {
+  return loadCatalogue().entries;
+}
+
+/** The catalogue entry for any known spelling, or null. */
+export function findSpecies(name: string | null | undefined): SpeciesEntry | null {
+  if (!name) return null;
+  return loadCatalogue().byKey.get(lookupKey(name)) ?? null;
+}
+
+/**
+ * Scientific name for a feed's species string. Unknown species keep the
+ * (trimmed) feed string, so nothing is lost before the catalogue learns it.
+ */
+export function canonicalSpecies(name: string | null | undefined): string | null {
+  const trimmed = name?.trim();
+  if (!trimmed) return null;
+  return findSpecies(trimmed)?.scientificName ?? trimmed;
+}
+
+/**
+ * The species fields of a shark upsert: the canonical name, plus the feed's
+ * spelling in meta when it differs.
+ */
+export function normalizeSpecies(reported: string | null): {
+  species: string | null;
+  meta: { species_reported?: string };
+} {
+  const species = canonicalSpecies(reported);
+  const trimmed = reported?.trim();
+  return {
+    species,
+    meta: trimmed && trimmed !== species ? { species_reported: trimmed } : {},
+  };
+}
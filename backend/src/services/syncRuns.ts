@@ -0,0 +1,91 @@
+// src/services/syncRuns.ts
+import { getRepository } from "../repositories";
+
+export type ProviderSyncResult = {
+  provider: string;
+  status: "ok" | "error";
+  startedAt: string;
+  finishedAt: string;
+  featuresProcessed: number;
+  pointsInserted: number;
+  pointsSkipped: number;
+  pointsQuarantined: number;
+  error: string | null;
+};
+
+export type SyncRunSummary = {
+  startedAt: string;
+  finishedAt: string;
+  status: "ok" | "partial" | "error";
+  featuresProcessed: number;
+  pointsInserted: number;
+  pointsSkipped: number;
+  pointsQuarantined: number;
+  providers: ProviderSyncResult[];
+  error: string | null;
+};
+
+/**
+ * Rolls per-provider results up into one run summary.
+ * A run is "partial" when some providers failed and "error" when all did.
+ */
+export function summarizeSyncRun(
+  startedAt: string,
+  providers: ProviderSyncResult[]
+): SyncRunSummary {
+  const failed = providers.filter((p) => p.status === "error");
+  const status =
+    failed.length === 0 ? "ok" : failed.length === providers.length ? "error" : "partial";
+
+  return {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    status,
+    featuresProcessed: providers.reduce((sum, p) => sum + p.featuresProcessed, 0),
+    pointsInserted: providers.reduce((sum, p) => sum + p.pointsInserted, 0),
+    pointsSkipped: providers.reduce((sum, p) => sum + p.pointsSkipped, 0),
+    pointsQuarantined: providers.reduce((sum, p) => sum + p.pointsQuarantined, 0),
+    providers,
+    error: failed.length
+      ? failed.map((p) => `${p.provider}: ${p.error}`).join("; ")
+      : null,
+  };
+}
+
+/**
+ * Persists a run to sync_runs. Failures are logged, not thrown, so a broken
+ * audit table never turns a successful sync into a failed one.
+ */
+export async function saveSyncRun(run: SyncRunSummary): Promise<void> {
+  try {
+    await getRepository().insertSyncRun({
+      started_at: run.startedAt,
+      finished_at: run.finishedAt,
+      status: run.status,
+      features_processed: run.featuresProcessed,
+      points_inserted: run.pointsInserted,
+      points_skipped: run.pointsSkipped,
+      points_quarantined: run.pointsQuarantined,
+      providers: run.providers,
+      error: run.error,
+    });
+  } catch (err) {
+    console.error("Failed to record sync run", err);
+  }
+}
+
+export async function listSyncRuns(limit: number): Promise<SyncRunSummary[]> {
+  const rows = await getRepository().listSyncRuns(limit);
+
+  return rows.map((row) => ({
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    status: row.status as SyncRunSummary["status"],
+    featuresProcessed: row.features_processed,
+    pointsInserted: row.points_inserted,
+    pointsSkipped: row.points_skipped,
+    pointsQuarantined: row.points_quarantined,
+    providers: row.providers as ProviderSyncResult[],
+    error: row.error,
+  }));
+}
@@ -0,0 +1,187 @@
+// src/services/syncScheduler.ts
+// In-process sync scheduler and run lock.
+//
+// Every sync (scheduled or manual) goes through triggerSync(), which allows
+// only one refreshSharkPositions() at a time. Each provider has its own
+// interval; after a failure the provider is retried with exponential backoff
+// (capped at its normal interval). All delays get +/-10% jitter so several
+// providers (or instances) don't hit upstream feeds in lockstep.
+//
+// A finished run hands over to the ocean-condition enrichment stage, which
+// runs in the background (see enrichmentStage.ts).
+import { getTrackingProviders } from "../config/trackingProviders";
+import { getEnrichmentStatus, scheduleEnrichment } from "./enrichmentStage";
+import { refreshSharkPositions } from "./sharkSync";
+import type { SyncRunSummary } from "./syncRuns";
+
+export type SyncTrigger = "manual" | "scheduler";
+
+type ProviderSchedule = {
+  providerId: string;
+  intervalMs: number;
+  nextRunAt: number;
+  consecutiveFailures: number;
+  lastStatus: "ok" | "error" | null;
+  lastFinishedAt: string | null;
+};
+
+const MINUTE_MS = 60 * 1000;
+const JITTER_RATIO = 0.1;
+const STARTUP_DELAY_MS = 30 * 1000;
+
+let activeRun: { trigger: SyncTrigger; startedAt: string; providerIds: string[] } | null =
+  null;
+const schedules = new Map<string, ProviderSchedule>();
+let timer: NodeJS.Timeout | null = null;
+let schedulerRunning = false;
+
+function minutesFromEnv(name: string, fallback: number): number {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function withJitter(ms: number): number {
+  const factor = 1 + (Math.random() * 2 - 1) * JITTER_RATIO;
+  return Math.round(ms * factor);
+}
+
+function retryDelayMs(schedule: ProviderSchedule): number {
+  const baseMs = minutesFromEnv("SYNC_RETRY_BASE_MINUTES", 5) * MINUTE_MS;
+  const backoff = baseMs * 2 ** Math.max(schedule.consecutiveFailures - 1, 0);
+  return Math.min(backoff, schedule.intervalMs);
+}
+
+function recordResults(run: SyncRunSummary) {
+  const now = Date.now();
+  for (const result of run.providers) {
+    const schedule = schedules.get(result.provider);
+    if (!schedule) continue;
+
+    schedule.lastStatus = result.status;
+    schedule.lastFinishedAt = result.finishedAt;
+    if (result.status === "ok") {
+      schedule.consecutiveFailures = 0;
+      schedule.nextRunAt = now + withJitter(schedule.intervalMs);
+    } else {
+      schedule.consecutiveFailures++;
+      schedule.nextRunAt = now + withJitter(retryDelayMs(schedule));
+    }
+  }
+}
+
+/**
+ * Runs the sync unless one is already in progress.
+ * Returns null (and does nothing) when another run holds the lock.
+ */
+export async function triggerSync(
+  trigger: SyncTrigger,
+  providerIds?: string[]
+): Promise<SyncRunSummary | null> {
+  if (activeRun) return null;
+
+  activeRun = {
+    trigger,
+    startedAt: new Date().toISOString(),
+    providerIds: providerIds ?? getTrackingProviders().map((p) => p.id),
+  };
+
+  try {
+    const run = await refreshSharkPositions({ providerIds });
+    recordResults(run);
+    scheduleEnrichment();
+    return run;
+  } finally {
+    activeRun = null;
+    // providers that came due while we held the lock run now
+    if (schedulerRunning) armTimer();
+  }
+}
+
+async function tick() {
+  timer = null;
+  if (activeRun) return; // re-armed when the active run finishes
+
+  const now = Date.now();
+  const due = Array.from(schedules.values())
+    .filter((schedule) => schedule.nextRunAt <= now)
+    .map((schedule) => schedule.providerId);
+
+  if (due.length === 0) {
+    armTimer();
+    return;
+  }
+
+  try {
+    await triggerSync("scheduler", due);
+  } catch (err) {
+    // refreshSharkPositions isolates provider errors; this is a bug guard
+    console.error("Scheduled sync failed", err);
+    for (const providerId of due) {
+      const schedule = schedules.get(providerId);
+      if (schedule) schedule.nextRunAt = Date.now() + withJitter(schedule.intervalMs);
+    }
+    armTimer();
+  }
+}
+
+function armTimer() {
+  if (timer) clearTimeout(timer);
+  if (schedules.size === 0) return;
+
+  const nextRunAt = Math.min(...Array.from(schedules.values()).map((s) => s.nextRunAt));
+  const delay = Math.max(nextRunAt - Date.now(), 1000);
+
+  timer = setTimeout(() => void tick(), delay);
+  timer.unref();
+}
+
+/**
+ * Starts polling every registered provider on its own interval.
+ * Interval: provider.intervalMinutes, else SYNC_INTERVAL_MINUTES (default 180).
+ */
+export function startSyncScheduler() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+
+  const defaultIntervalMin = minutesFromEnv("SYNC_INTERVAL_MINUTES", 180);
+  const startAt = Date.now() + withJitter(STARTUP_DELAY_MS);
+
+  for (const provider of getTrackingProviders()) {
+    schedules.set(provider.id, {
+      providerId: provider.id,
+      intervalMs: (provider.intervalMinutes ?? defaultIntervalMin) * MINUTE_MS,
+      nextRunAt: startAt,
+      consecutiveFailures: 0,
+      lastStatus: null,
+      lastFinishedAt: null,
+    });
+  }
+
+  armTimer();
+  console.log(
+    `Sync scheduler started for ${schedules.size} provider(s), default interval ${defaultIntervalMin} min`
+  );
+}
+
+export function stopSyncScheduler() {
+  schedulerRunning = false;
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+export function getSyncStatus() {
+  return {
+    running: activeRun,
+    enrichment: getEnrichmentStatus(),
+    scheduler: schedulerRunning
+      ? Array.from(schedules.values()).map((schedule) => ({
+          provider: schedule.providerId,
+          intervalMinutes: schedule.intervalMs / MINUTE_MS,
+          nextRunAt: new Date(schedule.nextRunAt).toISOString(),
+          consecutiveFailures: schedule.consecutiveFailures,
+          lastStatus: schedule.lastStatus,
+          lastFinishedAt: schedule.lastFinishedAt,
+        }))
+      : null,
+  };
+}
@@ -0,0 +1,59 @@
+// src/services/syncStore.ts
+// The bulk operations the sync pipeline needs from storage. Implemented by
+// every Repository (src/repositories), and by the in-memory store of
+// scripts/benchmarkSync.ts.
+
+export type SharkUpsert = {
+  external_id: string;
+  name: string | null;
+  species: string | null;
+  meta: Record<string, unknown>;
+  updated_at: string;
+};
+
+export type PositionInsert = {
+  shark_id: number;
+  lat: number;
+  lng: number;
+  source_timestamp: string | null;
+  recorded_at: string; // ping time: source_timestamp, else time of sync
+  backfilled?: boolean; // from a history backfill (sql/015); default false
+};
+
+export type QuarantineInsert = Omit<PositionInsert, "backfilled"> & {
+  reason: string;
+};
+
+export type LatestPosition = {
+  shark_id: number;
+  lat: number;
+  lng: number;
+  recorded_at: string | null;
+};
+
+export interface SyncStore {
+  /** Upserts on external_id and returns the id of every row. */
+  upsertSharks(rows: SharkUpsert[]): Promise<{ id: number; external_id: string }[]>;
+  /** Existing sharks with these external ids (no writes). */
+  findSharks(externalIds: string[]): Promise<{ id: number; external_id: string }[]>;
+  /**
+   * Stored or quarantined rows of these sharks whose source_timestamp is
+   * in `timestamps`.
+   */
+  existingTimestamps(
+    sharkIds: number[],
+    timestamps: string[]
+  ): Promise<{ shark_id: number; source_timestamp: string }[]>;
+  /**
+   * Spots of the quarantined rows of these sharks that have no
+   * source_timestamp (untimed pings that failed validation).
+   */
+  quarantinedUntimed(sharkIds: number[]): Promise<{ shark_id: number; lat: number; lng: number }[]>;
+  /** Newest stored position (by recorded_at) for each of the given sharks. */
+  latestPositions(sharkIds: number[]): Promise<LatestPosition[]>;
+  /** Skips rows whose (shark_id, source_timestamp) is already stored. */
+  insertPositions(rows: PositionInsert[]): Promise<void>;
+  quarantinePositions(rows: QuarantineInsert[]): Promise<void>;
+  /** Stamps sharks.history_backfilled_at (see sql/007). */
+  markHistoryBackfilled(externalIds: string[]): Promise<void>;
+}
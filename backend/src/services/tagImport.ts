@@ -0,0 +1,364 @@
+// src/services/tagImport.ts
+// Reads researcher tag files (CSV, Movebank export, GPX, GeoJSON, and
+// `{ pings: [...] }` JSON like frontend/public/data/luna_track.json) into
+// ProviderPosition[], and writes them through the sync ingest rules.
+import { parseCsv, type CsvRow } from "../lib/csv";
+import { emitSharksUpdated } from "../lib/events";
+import { utcIso } from "../lib/time";
+import { ingestProviderPositions, type IngestResult } from "./positionIngest";
+import { MOVEBANK_COLUMNS } from "./providers/movebankCsvAdapter";
+import type { ProviderPosition } from "./providers";
+import { normalizeSpecies } from "./speciesCatalogue";
+import type { SyncStore } from "./syncStore";
+
+export type TagFileFormat = "csv" | "movebank" | "gpx" | "geojson" | "json";
+
+export const TAG_FILE_FORMATS: TagFileFormat[] = ["csv", "movebank", "gpx", "geojson", "json"];
+
+/** Column (CSV) or property (GeoJSON/JSON) names, overriding auto-detection. */
+export type FieldMapping = {
+  id?: string;
+  time?: string;
+  lat?: string;
+  lng?: string;
+  name?: string;
+  species?: string;
+};
+
+/** Used when the file itself does not say (e.g. a single-tag GPX). */
+export type TagDefaults = {
+  sourceId?: string;
+  name?: string;
+  species?: string;
+};
+
+// Candidate names, matched case-insensitively, in priority order
+const FIELD_CANDIDATES: Record<keyof FieldMapping, string[]> = {
+  id: [
+    MOVEBANK_COLUMNS.id,
+    MOVEBANK_COLUMNS.tag,
+    "id",
+    "tag_id",
+    "tag",
+    "ptt",
+    "animal_id",
+    "shark_id",
+  ],
+  time: ["timestamp", "time", "datetime", "date_time", "ping_time", "last_ping", "date"],
+  lat: [MOVEBANK_COLUMNS.lat, "latitude", "lat", "y"],
+  lng: [MOVEBANK_COLUMNS.lng, "longitude", "lon", "long", "lng", "x"],
+  name: ["name", "animal_name", "nickname"],
+  species: [MOVEBANK_COLUMNS.species, "species", "taxon", "scientific_name"],
+};
+
+function pickKey(
+  keys: string[],
+  field: keyof FieldMapping,
+  mapping: FieldMapping
+): string | undefined {
+  if (mapping[field]) return mapping[field];
+  const lower = new Map(keys.map((key) => [key.toLowerCase(), key]));
+  for (const candidate of FIELD_CANDIDATES[field]) {
+    const hit = lower.get(candidate.toLowerCase());
+    if (hit) return hit;
+  }
+  return undefined;
+}
+
+function textOrNull(value: unknown): string | null {
+  return value == null || value === "" ? null : String(value);
+}
+
+function toPosition(
+  fields: {
+    id: unknown;
+    time: unknown;
+    lat: unknown;
+    lng: unknown;
+    name?: unknown;
+    species?: unknown;
+  },
+  defaults: TagDefaults,
+  meta: Record<string, unknown>
+): ProviderPosition | null {
+  const sourceId = textOrNull(fields.id) ?? defaults.sourceId ?? null;
+  const lat = Number(fields.lat);
+  const lng = Number(fields.lng);
+  if (!sourceId || fields.lat === "" || fields.lng === "") return null;
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  return {
+    sourceId,
+    name: textOrNull(fields.name) ?? defaults.name ?? null,
+    species: textOrNull(fields.species) ?? defaults.species ?? null,
+    lat,
+    lng,
+    sourceTimestamp: utcIso(fields.time),
+    meta,
+  };
+}
+
+/** Guesses the format from the file name, then from the content. */
+export function detectTagFileFormat(fileName: string, text: string): TagFileFormat {
+  const lowerName = fileName.toLowerCase();
+  const head = text.slice(0, 2000);
+
+  if (lowerName.endsWith(".gpx") || /<gpx[\s>]/.test(head)) return "gpx";
+  if (lowerName.endsWith(".geojson")) return "geojson";
+  if (lowerName.endsWith(".json") || /^\s*[[{]/.test(head)) {
+    return /"type"\s*:\s*"(FeatureCollection|Feature)"/.test(head) ? "geojson" : "json";
+  }
+  return head.includes(MOVEBANK_COLUMNS.lat) ? "movebank" : "csv";
+}
+
+function parseCsvPositions(
+  rows: CsvRow[],
+  mapping: FieldMapping,
+  defaults: TagDefaults,
+  meta: Record<string, unknown>
+): ProviderPosition[] {
+  if (rows.length === 0) return [];
+
+  const keys = Object.keys(rows[0]);
+  const columns = {
+    id: pickKey(keys, "id", mapping),
+    time: pickKey(keys, "time", mapping),
+    lat: pickKey(keys, "lat", mapping),
+    lng: pickKey(keys, "lng", mapping),
+    name: pickKey(keys, "name", mapping),
+    species: pickKey(keys, "species", mapping),
+  };
+  if (!columns.lat || !columns.lng) {
+    throw new Error(
+      `Could not find latitude/longitude columns in [${keys.join(", ")}]; use --lat-column/--lng-column`
+    );
+  }
+
+  const out: ProviderPosition[] = [];
+  for (const row of rows) {
+    const position = toPosition(
+      {
+        id: columns.id ? row[columns.id] : null,
+        time: columns.time ? row[columns.time] : null,
+        lat: row[columns.lat],
+        lng: row[columns.lng],
+        name: columns.name ? row[columns.name] : null,
+        species: columns.species ? row[columns.species] : null,
+      },
+      defaults,
+      meta
+    );
+    if (position) out.push(position);
+  }
+  return out;
+}
+
+function xmlText(xml: string, tag: string): string | null {
+  const match = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`).exec(xml);
+  if (!match) return null;
+  return match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1").trim() || null;
+}
+
+function xmlAttr(attrs: string, name: string): string | null {
+  const match = new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(attrs);
+  return match ? match[1] : null;
+}
+
+function parseGpxPositions(
+  text: string,
+  defaults: TagDefaults,
+  meta: Record<string, unknown>
+): ProviderPosition[] {
+  const trackName = xmlText(xmlText(text, "trk") ?? "", "name") ?? xmlText(text, "name");
+  const out: ProviderPosition[] = [];
+
+  const pointRe = /<(trkpt|rtept|wpt)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  for (let match = pointRe.exec(text); match; match = pointRe.exec(text)) {
+    const [, , attrs, body = ""] = match;
+    const position = toPosition(
+      {
+        id: null,
+        time: xmlText(body, "time"),
+        lat: xmlAttr(attrs, "lat"),
+        lng: xmlAttr(attrs, "lon"),
+        name: trackName,
+      },
+      defaults,
+      meta
+    );
+    if (position) out.push(position);
+  }
+  return out;
+}
+
+function parseGeoJsonPositions(
+  json: any,
+  mapping: FieldMapping,
+  defaults: TagDefaults,
+  meta: Record<string, unknown>
+): ProviderPosition[] {
+  const features: any[] =
+    json?.type === "FeatureCollection" ? json.features ?? [] : json?.type === "Feature" ? [json] : [];
+  const out: ProviderPosition[] = [];
+
+  for (const feature of features) {
+    const props = feature?.properties ?? {};
+    const keys = Object.keys(props);
+    const idKey = pickKey(keys, "id", mapping);
+    const timeKey = pickKey(keys, "time", mapping);
+    const nameKey = pickKey(keys, "name", mapping);
+    const speciesKey = pickKey(keys, "species", mapping);
+    const base = {
+      id: idKey ? props[idKey] : null,
+      name: nameKey ? props[nameKey] : null,
+      species: speciesKey ? props[speciesKey] : null,
+    };
+
+    const geometry = feature?.geometry;
+    if (geometry?.type === "Point") {
+      const [lng, lat] = geometry.coordinates ?? [];
+      const position = toPosition(
+        { ...base, time: timeKey ? props[timeKey] : null, lat, lng },
+        defaults,
+        meta
+      );
+      if (position) out.push(position);
+    } else if (geometry?.type === "LineString" || geometry?.type === "MultiPoint") {
+      // per-vertex times, as written by common GPX -> GeoJSON converters
+      const times: unknown[] =
+        props.coordTimes ?? props.coordinateProperties?.times ?? props.times ?? [];
+      (geometry.coordinates ?? []).forEach((coord: number[], index: number) => {
+        const position = toPosition(
+          { ...base, time: times[index] ?? null, lat: coord[1], lng: coord[0] },
+          defaults,
+          meta
+        );
+        if (position) out.push(position);
+      });
+    }
+  }
+  return out;
+}
+
+// `{ id, name, species, pings: [{ timestamp, latitude, longitude }] }`,
+// or an array of those (OCEARCH-style `datetime` also works)
+function parsePingsJsonPositions(
+  json: any,
+  mapping: FieldMapping,
+  defaults: TagDefaults,
+  meta: Record<string, unknown>
+): ProviderPosition[] {
+  const animals: any[] = Array.isArray(json) ? json : json?.sharks ?? [json];
+  const out: ProviderPosition[] = [];
+
+  for (const animal of animals) {
+    const pings: any[] = Array.isArray(animal?.pings) ? animal.pings : [];
+    const animalKeys = Object.keys(animal ?? {});
+    const idKey = pickKey(animalKeys, "id", mapping);
+    const nameKey = pickKey(animalKeys, "name", mapping);
+    const speciesKey = pickKey(animalKeys, "species", mapping);
+
+    for (const ping of pings) {
+      const keys = Object.keys(ping ?? {});
+      const timeKey = pickKey(keys, "time", mapping) ?? (ping?.datetime != null ? "datetime" : undefined);
+      const latKey = pickKey(keys, "lat", mapping);
+      const lngKey = pickKey(keys, "lng", mapping);
+      if (!latKey || !lngKey) continue;
+
+      const position = toPosition(
+        {
+          id: idKey ? animal[idKey] : null,
+          time: timeKey ? ping[timeKey] : null,
+          lat: ping[latKey],
+          lng: ping[lngKey],
+          name: nameKey ? animal[nameKey] : null,
+          species: speciesKey ? animal[speciesKey] : null,
+        },
+        defaults,
+        meta
+      );
+      if (position) out.push(position);
+    }
+  }
+  return out;
+}
+
+export function parseTagFile(
+  text: string,
+  format: TagFileFormat,
+  options: { mapping?: FieldMapping; defaults?: TagDefaults; meta?: Record<string, unknown> } = {}
+): ProviderPosition[] {
+  const { mapping = {}, defaults = {}, meta = {} } = options;
+
+  switch (format) {
+    case "csv":
+      return parseCsvPositions(parseCsv(text), mapping, defaults, meta);
+    case "movebank":
+      return parseCsvPositions(
+        parseCsv(text),
+        {
+          id: MOVEBANK_COLUMNS.id,
+          time: MOVEBANK_COLUMNS.time,
+          lat: MOVEBANK_COLUMNS.lat,
+          lng: MOVEBANK_COLUMNS.lng,
+          species: MOVEBANK_COLUMNS.species,
+          ...mapping,
+        },
+        defaults,
+        meta
+      );
+    case "gpx":
+      return parseGpxPositions(text, defaults, meta);
+    case "geojson":
+      return parseGeoJsonPositions(JSON.parse(text), mapping, defaults, meta);
+    case "json":
+      return parsePingsJsonPositions(JSON.parse(text), mapping, defaults, meta);
+  }
+}
+
+/**
+ * Writes imported positions. Sharks that don't exist yet are created with
+ * the profile from the file; existing sharks keep their profile (an import
+ * for "mapotic:123" must not overwrite what the live feed maintains).
+ * Positions then go through the same dedup and validation as the sync.
+ */
+export async function importTagPositions(
+  store: SyncStore,
+  providerId: string,
+  positions: ProviderPosition[]
+): Promise<IngestResult> {
+  const firstBySourceId = new Map<string, ProviderPosition>();
+  for (const position of positions) {
+    if (!firstBySourceId.has(position.sourceId)) firstBySourceId.set(position.sourceId, position);
+  }
+
+  const externalIds = Array.from(firstBySourceId.keys()).map((id) => `${providerId}:${id}`);
+  const existing = new Set((await store.findSharks(externalIds)).map((row) => row.external_id));
+
+  const now = new Date().toISOString();
+  const missing = Array.from(firstBySourceId.values()).filter(
+    (position) => !existing.has(`${providerId}:${position.sourceId}`)
+  );
+  if (missing.length > 0) {
+    const created = await store.upsertSharks(
+      missing.map((position) => {
+        const { species, meta: speciesMeta } = normalizeSpecies(position.species);
+        return {
+          external_id: `${providerId}:${position.sourceId}`,
+          name: position.name,
+          species,
+          meta: {
+            ...position.meta,
+            ...speciesMeta,
+            source_provider: providerId,
+            source_id: position.sourceId,
+          },
+          updated_at: now,
+        };
+      })
+    );
+    emitSharksUpdated(created.map((row) => row.id));
+  }
+
+  return ingestProviderPositions(store, providerId, positions, { updateSharks: false });
+}
@@ -0,0 +1,170 @@
+// src/services/trackExport.ts
+// Renders shark tracks as files for GIS tools: GeoJSON (QGIS), GPX,
+// KML (Google Earth) and CSV (R / spreadsheets).
+import { formatCsvRow } from "../lib/csv";
+import type { TrackPoint } from "./trackStats";
+
+export type ExportFormat = "geojson" | "gpx" | "kml" | "csv";
+
+export const EXPORT_FORMATS: Record<ExportFormat, { contentType: string }> = {
+  geojson: { contentType: "application/geo+json" },
+  gpx: { contentType: "application/gpx+xml" },
+  kml: { contentType: "application/vnd.google-earth.kml+xml" },
+  csv: { contentType: "text/csv; charset=utf-8" },
+};
+
+export function isExportFormat(value: string): value is ExportFormat {
+  return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, value);
+}
+
+export type ExportTrack = {
+  id: number; // API id (see GET /api/sharks)
+  externalId: string;
+  name: string;
+  species: string;
+  provider: string;
+  points: TrackPoint[];
+};
+
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// One Point feature per ping so every point carries its own properties
+function toGeoJson(tracks: ExportTrack[]): string {
+  const features = tracks.flatMap((track) =>
+    track.points.map((point) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [point.lng, point.lat] },
+      properties: {
+        shark_id: track.id,
+        external_id: track.externalId,
+        name: track.name,
+        species: track.species,
+        provider: track.provider,
+        time: point.time,
+      },
+    }))
+  );
+  return JSON.stringify({ type: "FeatureCollection", features });
+}
+
+function toGpx(tracks: ExportTrack[]): string {
+  const trks = tracks.map((track) => {
+    const desc = `${track.species} (${track.provider})`;
+    const points = track.points
+      .map(
+        (point) =>
+          `      <trkpt lat="${point.lat}" lon="${point.lng}"><time>${point.time}</time><desc>${escapeXml(desc)}</desc></trkpt>`
+      )
+      .join("\n");
+
+    return [
+      "  <trk>",
+      `    <name>${escapeXml(track.name)}</name>`,
+      `    <desc>${escapeXml(desc)}</desc>`,
+      `    <src>${escapeXml(track.provider)}</src>`,
+      `    <type>${escapeXml(track.species)}</type>`,
+      "    <trkseg>",
+      points,
+      "    </trkseg>",
+      "  </trk>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="shark-backend" xmlns="http://www.topografix.com/GPX/1/1">',
+    ...trks,
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+// A folder per shark: the path as a LineString, then one time-stamped
+// placemark per ping so Google Earth's time slider can animate it
+function toKml(tracks: ExportTrack[]): string {
+  const folders = tracks.map((track) => {
+    const data = (time: string | null) =>
+      [
+        "<ExtendedData>",
+        `<Data name="species"><value>${escapeXml(track.species)}</value></Data>`,
+        `<Data name="provider"><value>${escapeXml(track.provider)}</value></Data>`,
+        time ? `<Data name="time"><value>${time}</value></Data>` : "",
+        "</ExtendedData>",
+      ].join("");
+
+    const line = track.points.map((point) => `${point.lng},${point.lat}`).join(" ");
+    const pings = track.points
+      .map(
+        (point) =>
+          `      <Placemark><TimeStamp><when>${point.time}</when></TimeStamp>${data(point.time)}<Point><coordinates>${point.lng},${point.lat}</coordinates></Point></Placemark>`
+      )
+      .join("\n");
+
+    return [
+      "    <Folder>",
+      `      <name>${escapeXml(track.name)}</name>`,
+      `      <Placemark><name>${escapeXml(track.name)} track</name>${data(null)}<LineString><tessellate>1</tessellate><coordinates>${line}</coordinates></LineString></Placemark>`,
+      pings,
+      "    </Folder>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    ...folders,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+function toCsv(tracks: ExportTrack[]): string {
+  const lines = [
+    formatCsvRow(["shark_id", "external_id", "name", "species", "provider", "time", "lat", "lng"]),
+  ];
+  for (const track of tracks) {
+    for (const point of track.points) {
+      lines.push(
+        formatCsvRow([
+          track.id,
+          track.externalId,
+          track.name,
+          track.species,
+          track.provider,
+          point.time,
+          point.lat,
+          point.lng,
+        ])
+      );
+    }
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+export function renderTracks(format: ExportFormat, tracks: ExportTrack[]): string {
+  switch (format) {
+    case "geojson":
+      return toGeoJson(tracks);
+    case "gpx":
+      return toGpx(tracks);
+    case "kml":
+      return toKml(tracks);
+    case "csv":
+      return toCsv(tracks);
+  }
+}
+
+/** File-system safe download name, e.g. "shark-mapotic-123-track.gpx". */
+export function exportFileName(base: string, format: ExportFormat): string {
+  const safe = base.replace(/[^A-Za-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "");
+  return `${safe || "export"}.${format}`;
+}
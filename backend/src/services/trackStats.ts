@@ -0,0 +1,100 @@
+// src/services/trackStats.ts
+// Track points as the API serves them, and figures derived from a shark's
+// track (oldest point first).
+import { haversineKm } from "../lib/geo";
+import { safeIso } from "../lib/time";
+import type { PositionRecord } from "../repositories";
+
+export type TrackPoint = {
+  lat: number;
+  lng: number;
+  time: string; // ISO string
+  /**
+   * Ocean conditions at the ping (see services/marineEnrichment.ts), only
+   * on pings the archive had values for. conditionsTime is the archive hour
+   * they refer to, which can be up to 3 hours from `time`.
+   */
+  sst?: number | null;
+  waveHeight?: number | null;
+  conditionsTime?: string;
+};
+
+/**
+ * Time of a stored ping: recorded_at (ping time, see sql/004), falling back
+ * to the source timestamp and finally the insert time for rows written
+ * before recorded_at existed.
+ */
+export function positionTime(row: PositionRecord): string | null {
+  return safeIso(row.recorded_at) ?? safeIso(row.source_timestamp) ?? safeIso(row.created_at);
+}
+
+/** The one point shape used by every route; null for unusable rows. */
+/**
+ * Whether simplification has to keep this ping: live pings are, backfilled
+ * history (sql/015) may be thinned out like any other line.
+ */
+export function isLivePing(row: PositionRecord): boolean {
+  return row.backfilled !== true;
+}
+
+export function toTrackPoint(row: PositionRecord): TrackPoint | null {
+  const lat = Number(row.lat);
+  const lng = Number(row.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  const time = positionTime(row);
+  if (!time) return null;
+
+  const conditionsTime = safeIso(row.marine_time);
+  return conditionsTime
+    ? {
+        lat,
+        lng,
+        time,
+        sst: row.sst ?? null,
+        waveHeight: row.wave_height ?? null,
+        conditionsTime,
+      }
+    : { lat, lng, time };
+}
+
+export function toTrack(rows: PositionRecord[]): TrackPoint[] {
+  return rows.map(toTrackPoint).filter((p): p is TrackPoint => p !== null);
+}
+
+export type TrackSummary = {
+  firstPing: TrackPoint | null;
+  lastPing: TrackPoint | null;
+  pingCount: number;
+  /** Sum of great-circle distances between consecutive pings. */
+  totalDistanceKm: number;
+  /** Days between the first and the last ping. */
+  daysTracked: number;
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function round(value: number, digits: number): number {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export function summarizeTrack(track: TrackPoint[]): TrackSummary {
+  let distanceKm = 0;
+  for (let i = 1; i < track.length; i++) {
+    distanceKm += haversineKm(track[i - 1], track[i]);
+  }
+
+  const first = track[0] ?? null;
+  const last = track[track.length - 1] ?? null;
+  const spanMs =
+    first && last ? new Date(last.time).getTime() - new Date(first.time).getTime() : 0;
+
+  return {
+    firstPing: first,
+    lastPing: last,
+    pingCount: track.length,
+    totalDistanceKm: round(distanceKm, 1),
+    daysTracked: round(Math.max(0, spanMs) / MS_PER_DAY, 1),
+  };
+}
@@ -1,12 +1,54 @@
 // backend/src/sharks.ts
 import express from "express";
-import { supabaseAdmin } from "./lib/supabaseAdmin";
-import { fetchSeaSurfaceTemperature, fetchWaveHeight } from "./lib/sstClient";
+import { createRateLimiter } from "./lib/rateLimit";
+import { simplifyTrack, zoomToleranceKm } from "./lib/simplify";
+import { safeIso } from "./lib/time";
+import {
+  addIssue,
+  readEnum,
+  readIsoDate,
+  readList,
+  readNumber,
+  sendValidationError,
+  type Params,
+  type ValidationIssue,
+} from "./lib/validation";
+import { getTrackingProviders } from "./config/trackingProviders";
+import { getRepository, type PositionRecord, type SharkRecord } from "./repositories";
+import {
+  EXPORT_FORMATS,
+  exportFileName,
+  isExportFormat,
+  renderTracks,
+  type ExportFormat,
+  type ExportTrack,
+} from "./services/trackExport";
+import { subscribeLiveUpdates } from "./services/liveUpdates";
+import { getMovementStats } from "./services/movementStats";
+import { lookupEnvironment } from "./services/environment";
+import { cacheByDataVersion } from "./services/responseCache";
+import { canonicalSpecies, findSpecies } from "./services/speciesCatalogue";
+import {
+  findSharksInArea,
+  polygonsFromGeoJson,
+  type SharkInArea,
+  type SpatialArea,
+} from "./services/spatialQuery";
+import {
+  isLivePing,
+  summarizeTrack,
+  toTrack,
+  toTrackPoint,
+  type TrackSummary,
+} from "./services/trackStats";
 
 export interface SharkTrackPoint {
   lat: number;
   lng: number;
   time: string; // ISO string
+  sst?: number | null; // °C, in the archive hour `conditionsTime` (see trackStats.ts)
+  waveHeight?: number | null; // m
+  conditionsTime?: string;
 }
 
 export interface Shark {
@@ -20,149 +62,355 @@ export interface Shark {
   last_update?: string | null;
   approxSst?: number | null;
   approxWaveHeight?: number | null;
+  conditionsFetchedAt?: string | null; // when approxSst / approxWaveHeight were fetched
   sourceProvider?: string;
   track?: SharkTrackPoint[];
+  trackPointCount?: number; // stored points, when `track` is simplified
+}
+
+export interface SharkDetail extends TrackSummary {
+  id: number;
+  external_id: string;
+  name: string;
+  species: string;
+  imageUrl: string | null;
+  sourceProvider: string;
+  meta: Record<string, unknown>;
 }
 
 const router = express.Router();
 
+// external_id is TEXT in your schema; exposed as the id when it is numeric
+function apiIdOf(row: SharkRecord): number {
+  const externalIdNum = row.external_id != null ? Number(row.external_id) : NaN;
+  return Number.isFinite(externalIdNum) ? externalIdNum : row.id;
+}
+
+// A shark id is a numeric id the API hands out or a full external id
+// ("mapotic:123", "import:luna"). Providers choose the part after the
+// colon (Mapotic ids can hold spaces), so any text is looked up; only
+// control characters and overlong values are refused.
+const SHARK_ID_MAX_LENGTH = 200;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+function isSharkId(value: string): boolean {
+  return (
+    value.length > 0 && value.length <= SHARK_ID_MAX_LENGTH && !CONTROL_CHARACTERS.test(value)
+  );
+}
+
+/** Route :id, with an issue for values that can never match a shark. */
+function parseSharkId(idParam: string, issues: ValidationIssue[]): string | null {
+  if (isSharkId(idParam)) return idParam;
+  return addIssue(
+    issues,
+    "path",
+    "id",
+    "id must be a shark id (integer) or an external id like mapotic:123"
+  );
+}
+
 /**
- * Adds approximate SST in °C for each shark using a cached helper.
- * Runs sequentially to avoid rate limiting (429).
+ * Resolves a route :id the way the API hands ids out: external_id first
+ * (stored as TEXT), then the internal sharks.id.
  */
-async function addApproxOceanConditionsToSharks(sharks: Shark[]): Promise<Shark[]> {
-  const out: Shark[] = [];
-  for (const s of sharks) {
-    try {
-      const [sst, waveHeight] = await Promise.all([
-        fetchSeaSurfaceTemperature(s.latitude, s.longitude),
-        fetchWaveHeight(s.latitude, s.longitude),
-      ]);
-      out.push({ ...s, approxSst: sst ?? null, approxWaveHeight: waveHeight ?? null });
-    } catch {
-      out.push({ ...s, approxSst: null, approxWaveHeight: null });
-    }
+async function resolveShark(idParam: string): Promise<SharkRecord | null> {
+  const repository = getRepository();
+
+  const byExternal = await repository.getSharkByExternalId(idParam);
+  if (byExternal) return byExternal;
+
+  const asNum = Number(idParam);
+  return Number.isInteger(asNum) ? repository.getShark(asNum) : null;
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+type Freshness = "fresh" | "recent" | "stale" | "unknown";
+
+const FRESHNESS_TIERS: Freshness[] = ["fresh", "recent", "stale", "unknown"];
+
+/** Same tiers as the map legend: fresh ≤ 7 days, recent ≤ 30 days. */
+function freshnessTier(lastUpdateIso: string | null | undefined): Freshness {
+  const t = lastUpdateIso ? new Date(lastUpdateIso).getTime() : NaN;
+  if (Number.isNaN(t)) return "unknown";
+
+  const ageDays = (Date.now() - t) / MS_PER_DAY;
+  if (ageDays <= 7) return "fresh";
+  if (ageDays <= 30) return "recent";
+  return "stale";
+}
+
+type Bbox = { minLng: number; minLat: number; maxLng: number; maxLat: number };
+
+// minLng > maxLng means the box crosses the antimeridian
+function inBbox(bbox: Bbox, lat: number, lng: number): boolean {
+  if (lat < bbox.minLat || lat > bbox.maxLat) return false;
+  return bbox.minLng <= bbox.maxLng
+    ? lng >= bbox.minLng && lng <= bbox.maxLng
+    : lng >= bbox.minLng || lng <= bbox.maxLng;
+}
+
+type TimeRange = { since: string | null; until: string | null };
+
+/**
+ * `since` / `until` (ISO dates) and the older `hours` (last N hours);
+ * an explicit `since` wins over `hours`.
+ */
+function parseTimeRange(query: Params, issues: ValidationIssue[]): TimeRange {
+  let since = readIsoDate(issues, "query", query, "since");
+  const until = readIsoDate(issues, "query", query, "until");
+  const hours = readNumber(issues, "query", query, "hours", { above: 0 });
+  if (!since && hours != null) {
+    since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
   }
-  return out;
+
+  if (since && until && Date.parse(since) > Date.parse(until)) {
+    addIssue(issues, "query", "until", "until must not be before since");
+  }
+  return { since, until };
+}
+
+const MAX_ZOOM = 24;
+
+/**
+ * Simplification tolerance in km from `tolerance` (km) or `zoom` (Web
+ * Mercator level, about one pixel); null means full resolution, which
+ * stays the default.
+ */
+function parseSimplifyTolerance(query: Params, issues: ValidationIssue[]): number | null {
+  if (query.tolerance != null) {
+    const tolerance = readNumber(issues, "query", query, "tolerance", { min: 0 });
+    return tolerance || null;
+  }
+  const zoom = readNumber(issues, "query", query, "zoom", { min: 0, max: MAX_ZOOM });
+  return zoom != null ? zoomToleranceKm(zoom) : null;
+}
+
+const UNKNOWN_SPECIES = "Unknown species";
+
+/** Canonical species name (also for rows stored before the catalogue knew it). */
+function speciesOf(row: SharkRecord): string {
+  return canonicalSpecies(row.species) ?? UNKNOWN_SPECIES;
 }
 
-function safeIso(value: any): string | null {
-  if (!value) return null;
-  const d = new Date(value);
-  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+/** `species` filter: any catalogued spelling selects the canonical species. */
+function parseSpeciesFilter(query: Params, issues: ValidationIssue[]): string[] | null {
+  const names = readList(issues, "query", query, "species");
+  return names?.map((name) => (canonicalSpecies(name) ?? name).toLowerCase()) ?? null;
 }
 
-function pickMostRecentIso(primary: any, fallback: any): string | null {
-  const primaryIso = safeIso(primary);
-  const fallbackIso = safeIso(fallback);
+function matchesSpecies(filter: string[] | null, row: SharkRecord): boolean {
+  return !filter || filter.includes(speciesOf(row).toLowerCase());
+}
+
+type SharkListQuery = {
+  since: string | null;
+  until: string | null;
+  toleranceKm: number | null;
+  bbox: Bbox | null;
+  providers: string[] | null;
+  species: string[] | null;
+  freshness: Freshness[] | null;
+  include: "track" | "latest";
+};
+
+/** Parses the /api/sharks query string. */
+function parseSharkListQuery(query: Params, issues: ValidationIssue[]): SharkListQuery {
+  const range = parseTimeRange(query, issues);
+  const toleranceKm = parseSimplifyTolerance(query, issues);
+
+  let bbox: Bbox | null = null;
+  const bboxParts = readList(issues, "query", query, "bbox");
+  if (bboxParts) {
+    const parts = bboxParts.map(Number);
+    const [minLng, minLat, maxLng, maxLat] = parts;
+    if (
+      parts.length !== 4 ||
+      parts.some((n) => !Number.isFinite(n)) ||
+      minLat > maxLat ||
+      Math.abs(minLat) > 90 ||
+      Math.abs(maxLat) > 90
+    ) {
+      addIssue(issues, "query", "bbox", "bbox must be minLng,minLat,maxLng,maxLat");
+    } else {
+      bbox = { minLng, minLat, maxLng, maxLat };
+    }
+  }
 
-  if (primaryIso && fallbackIso) {
-    return new Date(primaryIso).getTime() >= new Date(fallbackIso).getTime()
-      ? primaryIso
-      : fallbackIso;
+  const freshness = readList(issues, "query", query, "freshness");
+  if (freshness?.some((tier) => !FRESHNESS_TIERS.includes(tier as Freshness))) {
+    const allowed = FRESHNESS_TIERS.join(", ");
+    addIssue(issues, "query", "freshness", `freshness must be one of ${allowed}`);
   }
 
-  return primaryIso ?? fallbackIso;
+  return {
+    ...range,
+    toleranceKm,
+    bbox,
+    providers: readList(issues, "query", query, "provider"),
+    species: parseSpeciesFilter(query, issues),
+    freshness: freshness as Freshness[] | null,
+    include: readEnum(issues, "query", query, "include", ["track", "latest"] as const, "track"),
+  };
+}
+
+function sourceProviderOf(row: SharkRecord): string {
+  return row.meta?.source_provider ?? "mapotic";
+}
+
+function toExportTrack(row: SharkRecord, points: SharkTrackPoint[]): ExportTrack {
+  return {
+    id: apiIdOf(row),
+    externalId: row.external_id,
+    name: row.name ?? `Shark ${row.external_id ?? row.id}`,
+    species: speciesOf(row),
+    provider: sourceProviderOf(row),
+    points,
+  };
+}
+
+function sendExport(
+  res: express.Response,
+  format: ExportFormat,
+  fileBase: string,
+  tracks: ExportTrack[]
+) {
+  res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${exportFileName(fileBase, format)}"`
+  );
+  return res.send(renderTracks(format, tracks));
+}
+
+/** `:format` of the export routes; null (with an issue) when unknown. */
+function parseExportFormat(format: string, issues: ValidationIssue[]): ExportFormat | null {
+  if (isExportFormat(format)) return format;
+  const allowed = Object.keys(EXPORT_FORMATS).join(", ");
+  return addIssue(issues, "path", "format", `format must be one of ${allowed}`);
 }
 
 /**
  * GET /api/sharks
  *
- * Returns sharks + full historical track data from Supabase.
+ * Returns sharks with their track (or only their latest position) from storage.
+ *
+ * Query (all optional):
+ *  - since, until        ISO dates; track points outside the window are dropped,
+ *                        and sharks with no ping in it are left out
+ *  - bbox                minLng,minLat,maxLng,maxLat of the latest position
+ *  - provider, species   comma-separated; species takes scientific or common
+ *                        names and aliases, case-insensitive
+ *  - freshness           fresh | recent | stale | unknown (comma-separated)
+ *  - include             track (default) | latest (summary: no track arrays)
+ *  - tolerance | zoom    simplify each track (Douglas-Peucker) to this many km,
+ *                        or to about one pixel at this map zoom, keeping
+ *                        every live ping (backfilled history is thinned);
+ *                        without either, tracks are full resolution
  *
  * Tables:
  *  - sharks(id, external_id(TEXT), name, species, image_url, updated_at, ...)
- *  - shark_positions(shark_id, lat, lng, source_timestamp, created_at)
+ *  - shark_positions(shark_id, lat, lng, source_timestamp, recorded_at, created_at)
  */
-router.get("/sharks", async (_req, res) => {
-  try {
-    // 1) Load all sharks
-    const { data: sharkRows, error: sharkError } = await supabaseAdmin
-      .from("sharks")
-      .select("id, external_id, name, species, image_url, updated_at, meta")
-      .order("id", { ascending: true });
-
-    if (sharkError) {
-      console.error("Supabase sharks error:", sharkError);
-      return res.status(500).json({ error: sharkError.message });
-    }
+router.get("/sharks", cacheByDataVersion, async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const query = parseSharkListQuery(req.query, issues);
+  if (issues.length > 0) return sendValidationError(res, issues);
 
-    const sharksDb = sharkRows ?? [];
+  try {
+    const repository = getRepository();
+
+    // 1) Load sharks, filtered on profile fields first
+    const sharksDb = (await repository.listSharks()).filter(
+      (row) =>
+        (!query.providers || query.providers.includes(sourceProviderOf(row))) &&
+        matchesSpecies(query.species, row)
+    );
     if (sharksDb.length === 0) return res.json([]);
 
-    // 2) Load ALL positions for those sharks (NO TIME RESTRICTION)
-    const internalIds = sharksDb.map((s: any) => s.id);
-
-    const { data: posRows, error: posError } = await supabaseAdmin
-      .from("shark_positions")
-      .select("shark_id, lat, lng, source_timestamp, created_at")
-      .in("shark_id", internalIds)
-      .order("created_at", { ascending: true });
-
-    if (posError) {
-      console.error("Supabase shark_positions error:", posError);
-      return res.status(500).json({ error: posError.message });
+    const internalIds = sharksDb.map((s) => s.id);
+    const window = { since: query.since, until: query.until };
+
+    // 2) Positions: the whole window for tracks; for the summary the
+    //    latest-position view is enough unless `until` asks for an older state
+    let positions: PositionRecord[];
+    if (query.include === "latest" && !query.until) {
+      const sinceMs = query.since ? new Date(query.since).getTime() : -Infinity;
+      positions = (await repository.latestPositions(internalIds))
+        .filter((row) => row.recorded_at != null && new Date(row.recorded_at).getTime() >= sinceMs)
+        .map((row) => ({ ...row, source_timestamp: null, created_at: null }));
+    } else {
+      positions = await repository.getTracks(internalIds, window);
     }
 
-    const positions = posRows ?? [];
+    // Current ocean conditions, stored by the enrichment stage after each
+    // sync (services/enrichmentStage.ts); this request never fetches them
+    const conditionsByShark = new Map(
+      (await repository.listSharkConditions(internalIds)).map((row) => [row.shark_id, row])
+    );
 
-    // 3) Group positions by internal shark_id -> track[]
+    // 3) Group positions by internal shark_id -> track[]; live pings are
+    //    kept by simplification
     const trackByShark = new Map<number, SharkTrackPoint[]>();
+    const livePings = new Set<SharkTrackPoint>();
 
-    for (const row of positions as any[]) {
-      const sid = row.shark_id as number;
-      const lat = Number(row.lat);
-      const lng = Number(row.lng);
-
-      if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+    for (const row of positions) {
+      const point = toTrackPoint(row);
+      if (!point) continue;
+      if (isLivePing(row)) livePings.add(point);
 
-      const isoTime = pickMostRecentIso(row.source_timestamp, row.created_at);
-      if (!isoTime) continue;
-
-      const list = trackByShark.get(sid) ?? [];
-      list.push({ lat, lng, time: isoTime });
-      trackByShark.set(sid, list);
+      const list = trackByShark.get(row.shark_id) ?? [];
+      list.push(point);
+      trackByShark.set(row.shark_id, list);
     }
 
     const getLatest = (track: SharkTrackPoint[]) =>
       track.length ? track[track.length - 1] : null;
 
-    // 4) Build response
-    const sharks: Shark[] = (sharksDb as any[])
+    // 4) Build response, then apply the filters on the latest position
+    const sharks: Shark[] = sharksDb
       .map((row) => {
-        const internalId = Number(row.id);
-        const externalIdRaw = row.external_id as string | null | undefined;
-
-        // external_id is TEXT in your schema; convert if numeric
-        const externalIdNum =
-          externalIdRaw != null ? Number(externalIdRaw) : NaN;
-
-        const track = trackByShark.get(internalId) ?? [];
+        const track = trackByShark.get(row.id) ?? [];
         const latest = getLatest(track);
         if (!latest) return null; // cannot place on map if no positions exist
 
-        const apiId = Number.isFinite(externalIdNum) ? externalIdNum : internalId;
+        // only valid for the position they were fetched at (not for an older `until`)
+        const stored = conditionsByShark.get(row.id);
+        const conditions =
+          stored && stored.lat === latest.lat && stored.lng === latest.lng ? stored : null;
 
         const shark: Shark = {
-          id: apiId,
-          external_id: externalIdRaw ?? undefined,
-          name: row.name ?? `Shark ${externalIdRaw ?? internalId}`,
-          species: row.species ?? "Unknown species",
+          id: apiIdOf(row),
+          external_id: row.external_id,
+          name: row.name ?? `Shark ${row.external_id ?? row.id}`,
+          species: speciesOf(row),
           latitude: Number(latest.lat),
           longitude: Number(latest.lng),
           imageUrl: row.image_url ?? null,
           last_update: latest.time ?? safeIso(row.updated_at),
-          sourceProvider: row.meta?.source_provider ?? "mapotic",
-          track,
+          approxSst: conditions?.sst ?? null,
+          approxWaveHeight: conditions?.wave_height ?? null,
+          conditionsFetchedAt: conditions?.fetched_at ?? null,
+          sourceProvider: sourceProviderOf(row),
         };
+        if (query.include === "track") {
+          shark.track = query.toleranceKm
+            ? simplifyTrack(track, query.toleranceKm, (point) => livePings.has(point))
+            : track;
+          if (query.toleranceKm) shark.trackPointCount = track.length;
+        }
 
         return shark;
       })
-      .filter((s): s is Shark => s !== null);
-
-    // 5) Add approximate ocean conditions
-    const sharksWithOcean = await addApproxOceanConditionsToSharks(sharks);
-    return res.json(sharksWithOcean);
+      .filter((s): s is Shark => s !== null)
+      .filter(
+        (s) =>
+          (!query.bbox || inBbox(query.bbox, s.latitude, s.longitude)) &&
+          (!query.freshness || query.freshness.includes(freshnessTier(s.last_update)))
+      );
+
+    return res.json(sharks);
   } catch (err: any) {
     console.error("Error in GET /api/sharks:", err);
     return res
@@ -172,92 +420,487 @@ router.get("/sharks", async (_req, res) => {
 });
 
 /**
- * GET /api/sharks/:id/track?hours=24
+ * GET /api/providers
  *
- * :id can be:
- *   - external_id (numeric-like string, most common)
- *   - OR internal sharks.id (fallback)
+ * Tracking providers for the map's provider filter: every configured feed
+ * plus any provider that stored sharks came from (e.g. file imports).
+ */
+router.get("/providers", cacheByDataVersion, async (_req, res) => {
+  try {
+    const counts = new Map<string, number>(
+      getTrackingProviders().map((provider) => [provider.id, 0])
+    );
+    for (const row of await getRepository().listSharks()) {
+      const id = sourceProviderOf(row);
+      counts.set(id, (counts.get(id) ?? 0) + 1);
+    }
+
+    const providers = Array.from(counts, ([id, sharkCount]) => ({ id, sharkCount })).sort(
+      (a, b) => a.id.localeCompare(b.id)
+    );
+    return res.json(providers);
+  } catch (err: any) {
+    console.error("Error in GET /api/providers:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message ?? "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/species
  *
- * hours is OPTIONAL: how many hours back to return.
- * If omitted, returns full history.
+ * Species of the stored sharks for the map's species filter and legend,
+ * most tracked first, with catalogue data (data/species.json): common
+ * names, family and IUCN Red List status. Species the catalogue does not
+ * know (and "Unknown species") have null catalogue fields.
  */
-router.get("/sharks/:id/track", async (req, res) => {
+router.get("/species", cacheByDataVersion, async (_req, res) => {
   try {
-    const idParam = req.params.id; // could be external_id or internal id
-    const hoursRaw = req.query.hours as string | undefined;
+    const counts = new Map<string, number>();
+    for (const row of await getRepository().listSharks()) {
+      const species = speciesOf(row);
+      counts.set(species, (counts.get(species) ?? 0) + 1);
+    }
 
-    const hours = hoursRaw ? Number(hoursRaw) : null;
-    const sinceIso =
-      hours != null && Number.isFinite(hours) && hours > 0
-        ? new Date(Date.now() - hours * 60 * 60 * 1000).toISOString()
-        : null;
+    const species = Array.from(counts, ([scientificName, sharkCount]) => {
+      const entry = findSpecies(scientificName);
+      return {
+        scientificName,
+        commonName: entry?.commonNames[0] ?? null,
+        commonNames: entry?.commonNames ?? [],
+        family: entry?.family ?? null,
+        iucnStatus: entry?.iucnStatus ?? null,
+        sharkCount,
+      };
+    }).sort(
+      (a, b) => b.sharkCount - a.sharkCount || a.scientificName.localeCompare(b.scientificName)
+    );
+    return res.json(species);
+  } catch (err: any) {
+    console.error("Error in GET /api/species:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message ?? "Internal server error" });
+  }
+});
 
-    // 1) Resolve internal shark id
-    // First try external_id match (stored as TEXT)
-    let internalId: number | null = null;
-
-    const { data: byExternal, error: extErr } = await supabaseAdmin
-      .from("sharks")
-      .select("id")
-      .eq("external_id", idParam)
-      .maybeSingle();
-
-    if (extErr) {
-      console.error("Supabase sharks external_id lookup error:", extErr);
-      // continue to internal-id fallback
+// every uncached point costs requests to Open-Meteo and ERDDAP
+const conditionsRateLimit = createRateLimiter({ windowMs: 60 * 1000, max: 30 });
+
+/**
+ * GET /api/conditions?lat=&lng=&time=
+ *
+ * Environmental variables anywhere (SST, waves, currents, chlorophyll,
+ * depth, distance to shore, moon), for the map's click popup. `time`
+ * defaults to now; values come from the same providers and caches as
+ * /sharks/:id/environment.
+ */
+router.get("/conditions", conditionsRateLimit, async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const lat = readNumber(issues, "query", req.query, "lat", {
+    min: -90,
+    max: 90,
+    required: true,
+  });
+  const lng = readNumber(issues, "query", req.query, "lng", {
+    min: -180,
+    max: 180,
+    required: true,
+  });
+  const time = readIsoDate(issues, "query", req.query, "time") ?? new Date().toISOString();
+  if (lat == null || lng == null || issues.length > 0) {
+    return sendValidationError(res, issues);
+  }
+
+  try {
+    const values = await lookupEnvironment({ lat, lng, time });
+    return res.json({ lat, lng, time, values });
+  } catch (err: any) {
+    console.error("Error in GET /api/conditions:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message ?? "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/sharks/export.{geojson,gpx,kml,csv}
+ *
+ * Tracks of several sharks in one file.
+ *
+ * Query (all optional):
+ *  - ids                 comma-separated shark ids (as in GET /api/sharks)
+ *  - provider, species   comma-separated, as in GET /api/sharks
+ *  - since, until, hours time range of the exported points
+ *
+ * Registered before /sharks/:id so "export.csv" is not taken for an id.
+ */
+router.get("/sharks/export.:format", cacheByDataVersion, async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const format = parseExportFormat(req.params.format, issues);
+  const range = parseTimeRange(req.query, issues);
+  const ids = readList(issues, "query", req.query, "ids");
+  if (ids?.some((id) => !isSharkId(id))) {
+    addIssue(issues, "query", "ids", "ids must be comma-separated shark ids");
+  }
+  const providers = readList(issues, "query", req.query, "provider");
+  const species = parseSpeciesFilter(req.query, issues);
+  if (!format || issues.length > 0) return sendValidationError(res, issues);
+
+  try {
+    const repository = getRepository();
+
+    const sharksDb = (await repository.listSharks()).filter(
+      (row) =>
+        (!ids || ids.includes(String(apiIdOf(row))) || ids.includes(row.external_id)) &&
+        (!providers || providers.includes(sourceProviderOf(row))) &&
+        matchesSpecies(species, row)
+    );
+
+    const positions = await repository.getTracks(
+      sharksDb.map((row) => row.id),
+      range
+    );
+    const trackByShark = new Map<number, PositionRecord[]>();
+    for (const row of positions) {
+      const list = trackByShark.get(row.shark_id) ?? [];
+      list.push(row);
+      trackByShark.set(row.shark_id, list);
     }
 
-    if (byExternal?.id != null) {
-      internalId = Number(byExternal.id);
+    const tracks = sharksDb
+      .map((row) => toExportTrack(row, toTrack(trackByShark.get(row.id) ?? [])))
+      .filter((track) => track.points.length > 0);
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    return sendExport(res, format, `shark-tracks-${stamp}`, tracks);
+  } catch (err: any) {
+    console.error("Error in GET /api/sharks/export:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message ?? "Internal server error" });
+  }
+});
+
+// Comment line that keeps proxies (Render) from closing an idle stream
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * GET /api/live
+ *
+ * Server-Sent Events stream of what the sync and imports store:
+ *  - event "shark":     a shark seen for the first time (profile, no position)
+ *  - event "positions": { id, points } new points of one shark, oldest first
+ * Ids are the ones of GET /api/sharks.
+ */
+router.get("/live", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  // EventSource reconnects after this many ms if the connection drops
+  res.write("retry: 5000\n\n");
+
+  const send = (event: string, data: unknown) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = subscribeLiveUpdates((update) => {
+    const { shark } = update;
+    if (update.type === "shark") {
+      send("shark", {
+        id: apiIdOf(shark),
+        external_id: shark.external_id,
+        name: shark.name ?? `Shark ${shark.external_id ?? shark.id}`,
+        species: speciesOf(shark),
+        imageUrl: shark.image_url,
+        sourceProvider: sourceProviderOf(shark),
+      });
     } else {
-      // fallback: treat param as internal numeric id
-      const asNum = Number(idParam);
-      if (Number.isFinite(asNum)) {
-        const { data: byInternal, error: intErr } = await supabaseAdmin
-          .from("sharks")
-          .select("id")
-          .eq("id", asNum)
-          .maybeSingle();
-
-        if (intErr) {
-          console.error("Supabase sharks internal id lookup error:", intErr);
-        } else if (byInternal?.id != null) {
-          internalId = Number(byInternal.id);
-        }
-      }
+      send("positions", { id: apiIdOf(shark), points: update.points });
+    }
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), LIVE_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+type SpatialWindow = { from: string | null; to: string | null };
+
+/** `from` / `to` of the spatial queries (ISO dates, both optional). */
+function parseSpatialWindow(
+  source: Params,
+  location: ValidationIssue["in"],
+  issues: ValidationIssue[]
+): SpatialWindow {
+  const from = readIsoDate(issues, location, source, "from");
+  const to = readIsoDate(issues, location, source, "to");
+  if (from && to && Date.parse(from) > Date.parse(to)) {
+    addIssue(issues, location, "to", "to must not be before from");
+  }
+  return { from, to };
+}
+
+const MAX_RADIUS_KM = 5000;
+
+function toSpatialResponse(window: SpatialWindow, matches: SharkInArea[]) {
+  return {
+    ...window,
+    count: matches.length,
+    sharks: matches.map(({ shark, match }) => ({
+      id: apiIdOf(shark),
+      name: shark.name ?? `Shark ${shark.external_id ?? shark.id}`,
+      species: speciesOf(shark),
+      sourceProvider: sourceProviderOf(shark),
+      ...match,
+    })),
+  };
+}
+
+/**
+ * GET /api/sharks/near?lat=&lng=&radiusKm=&from=&to=
+ *
+ * Sharks whose track came within radiusKm of the point during [from, to].
+ * Positions between pings are interpolated, so each shark gets its
+ * entry/exit times and closest approach even between pings.
+ *
+ * Registered before /sharks/:id so "near" is not taken for an id.
+ */
+router.get("/sharks/near", cacheByDataVersion, async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const lat = readNumber(issues, "query", req.query, "lat", {
+    min: -90,
+    max: 90,
+    required: true,
+  });
+  const lng = readNumber(issues, "query", req.query, "lng", {
+    min: -180,
+    max: 180,
+    required: true,
+  });
+  const radiusKm = readNumber(issues, "query", req.query, "radiusKm", {
+    above: 0,
+    max: MAX_RADIUS_KM,
+    required: true,
+  });
+  const window = parseSpatialWindow(req.query, "query", issues);
+  if (lat == null || lng == null || radiusKm == null || issues.length > 0) {
+    return sendValidationError(res, issues);
+  }
+
+  try {
+    const area: SpatialArea = { kind: "circle", center: { lat, lng }, radiusKm };
+    const matches = await findSharksInArea(area, window);
+    return res.json({ center: { lat, lng }, radiusKm, ...toSpatialResponse(window, matches) });
+  } catch (err: any) {
+    console.error("Error in GET /api/sharks/near:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message ?? "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/sharks/within
+ *
+ * Body: { "polygon": <GeoJSON Polygon | MultiPolygon | Feature>, "from", "to" }
+ * (from / to may also be query parameters). Same result shape as
+ * /sharks/near; closestApproach is 0 km (where the shark first came inside).
+ */
+router.post("/sharks/within", express.json({ limit: "1mb" }), async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const body = req.body ?? {};
+  const polygons = polygonsFromGeoJson(body.polygon);
+  if (typeof polygons === "string") addIssue(issues, "body", "polygon", polygons);
+  const window =
+    body.from != null || body.to != null
+      ? parseSpatialWindow(body, "body", issues)
+      : parseSpatialWindow(req.query, "query", issues);
+  if (typeof polygons === "string" || issues.length > 0) {
+    return sendValidationError(res, issues);
+  }
+
+  try {
+    const matches = await findSharksInArea({ kind: "polygons", polygons }, window);
+    return res.json(toSpatialResponse(window, matches));
+  } catch (err: any) {
+    console.error("Error in POST /api/sharks/within:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message ?? "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/sharks/:id
+ *
+ * Profile, provider meta and track statistics of one shark.
+ * :id resolves like the track route; unknown ids are a 404.
+ */
+router.get("/sharks/:id", cacheByDataVersion, async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const id = parseSharkId(req.params.id, issues);
+  if (!id) return sendValidationError(res, issues);
+
+  try {
+    const row = await resolveShark(id);
+    if (!row) {
+      return res.status(404).json({ error: `Shark ${req.params.id} not found` });
     }
 
-    if (!internalId) {
-      return res.json([]);
+    const track = toTrack(await getRepository().getTrack(row.id));
+
+    const detail: SharkDetail = {
+      id: apiIdOf(row),
+      external_id: row.external_id,
+      name: row.name ?? `Shark ${row.external_id ?? row.id}`,
+      species: speciesOf(row),
+      imageUrl: row.image_url ?? null,
+      sourceProvider: sourceProviderOf(row),
+      meta: row.meta ?? {},
+      ...summarizeTrack(track),
+    };
+
+    return res.json(detail);
+  } catch (err: any) {
+    console.error("Error in GET /api/sharks/:id:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message ?? "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/sharks/:id/stats?since=&until=&hours=
+ *
+ * Movement analytics: distance travelled, speed per leg between pings,
+ * max and median speed, net displacement from the tagging location, time
+ * per region and days since the last ping. Cached until the next sync
+ * stores new pings for the shark.
+ */
+router.get("/sharks/:id/stats", cacheByDataVersion, async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const id = parseSharkId(req.params.id, issues);
+  const range = parseTimeRange(req.query, issues);
+  if (!id || issues.length > 0) return sendValidationError(res, issues);
+
+  try {
+    const row = await resolveShark(id);
+    if (!row) {
+      return res.status(404).json({ error: `Shark ${req.params.id} not found` });
     }
 
-    // 2) Fetch positions (optionally filtered)
-    let q = supabaseAdmin
-      .from("shark_positions")
-      .select("lat, lng, source_timestamp, created_at")
-      .eq("shark_id", internalId);
+    const stats = await getMovementStats(row.id, range);
+    return res.json({ id: apiIdOf(row), ...stats });
+  } catch (err: any) {
+    console.error("Error in GET /api/sharks/:id/stats:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message ?? "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/sharks/:id/environment
+ *
+ * Environmental variables at the shark's last ping (see
+ * services/environment.ts), each with units and source. Sources that fail
+ * give null values with an error instead of failing the request.
+ *
+ * Not cached by data version: the values come from outside sources, which
+ * are cached per source (marine client, chlorophyll client).
+ */
+router.get("/sharks/:id/environment", async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const id = parseSharkId(req.params.id, issues);
+  if (!id) return sendValidationError(res, issues);
 
-    if (sinceIso) {
-      q = q.gte("created_at", sinceIso);
+  try {
+    const row = await resolveShark(id);
+    if (!row) {
+      return res.status(404).json({ error: `Shark ${req.params.id} not found` });
     }
 
-    const { data: positions, error: posError } = await q.order("created_at", {
-      ascending: true,
-    });
+    const last = await getRepository().lastPosition(row.id);
+    if (!last) {
+      return res.status(404).json({ error: `Shark ${req.params.id} has no positions` });
+    }
 
-    if (posError) {
-      console.error("Supabase shark_positions error:", posError);
-      return res.status(500).json({ error: posError.message });
+    const time = safeIso(last.recorded_at) ?? new Date().toISOString();
+    const values = await lookupEnvironment({ lat: last.lat, lng: last.lng, time });
+    return res.json({ id: apiIdOf(row), lat: last.lat, lng: last.lng, time, values });
+  } catch (err: any) {
+    console.error("Error in GET /api/sharks/:id/environment:", err);
+    return res
+      .status(500)
+      .json({ error: err?.message ?? "Internal server error" });
+  }
+});
+
+const TRACK_ROUTES = ["/sharks/:id/track", "/sharks/:id/track.:format"];
+
+/**
+ * GET /api/sharks/:id/track?hours=24
+ * GET /api/sharks/:id/track.{geojson,gpx,kml,csv}?hours=24
+ *
+ * :id can be:
+ *   - external_id (numeric-like string, most common)
+ *   - OR internal sharks.id (fallback)
+ *
+ * hours is OPTIONAL: how many hours back to return.
+ * since / until (ISO dates) select any other time range.
+ * If omitted, returns full history.
+ *
+ * tolerance (km) or zoom simplify the JSON track like GET /api/sharks;
+ * X-Track-Point-Count then holds the stored point count. File exports
+ * are always full resolution.
+ *
+ * JSON points use the same { lat, lng, time } shape as the `track` arrays
+ * of GET /api/sharks; the file formats are downloads. Unknown ids are a 404.
+ */
+router.get(TRACK_ROUTES, cacheByDataVersion, async (req, res) => {
+  const issues: ValidationIssue[] = [];
+  const id = parseSharkId(req.params.id, issues);
+  const format = req.params.format != null ? parseExportFormat(req.params.format, issues) : null;
+  const range = parseTimeRange(req.query, issues);
+  const toleranceKm = parseSimplifyTolerance(req.query, issues);
+  if (!id || issues.length > 0) return sendValidationError(res, issues);
+
+  try {
+    // 1) Resolve internal shark id
+    const row = await resolveShark(id);
+    if (!row) {
+      return res.status(404).json({ error: `Shark ${req.params.id} not found` });
     }
 
-    const result =
-      (positions as any[] | null)?.map((row) => ({
-        latitude: row.lat,
-        longitude: row.lng,
-        timestamp: pickMostRecentIso(row.source_timestamp, row.created_at),
-      })) ?? [];
+    // 2) Fetch positions (optionally filtered); live pings are kept by
+    //    simplification
+    const track: SharkTrackPoint[] = [];
+    const livePings = new Set<SharkTrackPoint>();
+    for (const position of await getRepository().getTrack(row.id, range)) {
+      const point = toTrackPoint(position);
+      if (!point) continue;
+      track.push(point);
+      if (isLivePing(position)) livePings.add(point);
+    }
 
-    return res.json(result);
+    if (format != null) {
+      return sendExport(res, format, `shark-${row.external_id}-track`, [
+        toExportTrack(row, track),
+      ]);
+    }
+    if (toleranceKm) {
+      res.setHeader("X-Track-Point-Count", String(track.length));
+      return res.json(simplifyTrack(track, toleranceKm, (point) => livePings.has(point)));
+    }
+    return res.json(track);
   } catch (err: any) {
     console.error("Error in GET /api/sharks/:id/track:", err);
     return res
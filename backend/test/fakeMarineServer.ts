@@ -0,0 +1,120 @@
+// backend/test/fakeMarineServer.ts
+// A local stand-in for the Open-Meteo marine API that answers some requests
+// with 429 (Retry-After) or 503 and never answers others, and an in-memory
+// marine cache store. Used by test/marineClient.test.ts and
+// scripts/benchmarkMarine.ts.
+import http from "http";
+import type { MarineCacheEntry } from "../src/repositories";
+import type { MarineCacheStore } from "../src/services/marineClient";
+
+export type FakeMarineServerOptions = {
+  // every Nth upstream request fails, so each kind of failure shows up
+  rateLimitEvery?: number;
+  outageEvery?: number;
+  hangEvery?: number;
+};
+
+export function createFakeMarineServer({
+  rateLimitEvery = 13,
+  outageEvery = 17,
+  hangEvery = 19,
+}: FakeMarineServerOptions = {}) {
+  // successful answers per query string
+  const successes = new Map<string, number>();
+  let received = 0;
+  let hung = 0;
+
+  const server = http.createServer((req, res) => {
+    received++;
+    const url = new URL(req.url ?? "/", "http://localhost");
+    if (received % rateLimitEvery === 0) {
+      res.writeHead(429, { "Retry-After": "1", "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: true, reason: "Too many requests" }));
+      return;
+    }
+    if (received % outageEvery === 0) {
+      res.writeHead(503);
+      res.end("Service unavailable");
+      return;
+    }
+    if (received % hangEvery === 0) {
+      // keeps the connection open without answering; closed by close()
+      hung++;
+      return;
+    }
+
+    const lat = Number(url.searchParams.get("latitude"));
+    const lng = Number(url.searchParams.get("longitude"));
+    successes.set(url.search, (successes.get(url.search) ?? 0) + 1);
+
+    let body: unknown;
+    const day = url.searchParams.get("start_date");
+    if (day) {
+      const start = Date.parse(`${day}T00:00:00Z`) / 1000;
+      const time = Array.from({ length: 24 }, (_, hour) => start + hour * 3600);
+      body = {
+        hourly: {
+          time,
+          sea_surface_temperature: time.map(() => fakeSst(lat, lng)),
+          wave_height: time.map(() => 1.5),
+        },
+      };
+    } else {
+      body = { current: { sea_surface_temperature: fakeSst(lat, lng), wave_height: 1.5 } };
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+
+  return {
+    successes,
+    received: () => received,
+    hung: () => hung,
+    /** Listens on a free local port and returns the marine API base URL. */
+    async listen(): Promise<string> {
+      await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const { port } = server.address() as { port: number };
+      return `http://127.0.0.1:${port}/v1/marine`;
+    },
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/** The sea surface temperature the fake server reports at a point. */
+export function fakeSst(lat: number, lng: number): number {
+  return Math.round((20 + lat / 10 + lng / 100) * 10) / 10;
+}
+
+export function createMemoryStore(): MarineCacheStore & { size: () => number } {
+  const entries = new Map<string, MarineCacheEntry>();
+  return {
+    async get(key) {
+      return entries.get(key) ?? null;
+    },
+    async set(entry) {
+      entries.set(entry.key, entry);
+    },
+    size: () => entries.size,
+  };
+}
+
+/** `points` points along a line, each looked up on `days` days. */
+export function marineWorkload(points: number, days: number) {
+  const out: { lat: number; lng: number; time: string }[] = [];
+  for (let p = 0; p < points; p++) {
+    for (let d = 0; d < days; d++) {
+      out.push({
+        ...workloadPoint(p),
+        time: new Date(Date.UTC(2024, 0, 1 + d, 12)).toISOString(),
+      });
+    }
+  }
+  return out;
+}
+
+export function workloadPoint(p: number): { lat: number; lng: number } {
+  return { lat: -34 + p * 0.25, lng: 18 + p * 0.25 };
+}
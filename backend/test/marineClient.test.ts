@@ -0,0 +1,106 @@
+// backend/test/marineClient.test.ts
+// The marine client against the fake Open-Meteo server: concurrent lookups
+// of one key share an upstream call, 429s, 5xx and timeouts are retried,
+// and a client restarted on the same cache store makes no upstream calls.
+// scripts/benchmarkMarine.ts runs the same setup at a larger scale.
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { createMarineClient } from "../src/services/marineClient";
+import {
+  createFakeMarineServer,
+  createMemoryStore,
+  fakeSst,
+  marineWorkload,
+  workloadPoint,
+} from "./fakeMarineServer";
+
+const POINTS = 3;
+const DAYS = 2;
+const CALLERS_PER_KEY = 3;
+const KEYS = POINTS * DAYS + POINTS; // archive days plus current conditions
+
+// failures often enough to show up in this few requests
+const fake = createFakeMarineServer({ rateLimitEvery: 4, outageEvery: 6, hangEvery: 9 });
+let baseUrl: string;
+
+function clientOn(store: ReturnType<typeof createMemoryStore>) {
+  return createMarineClient({
+    store,
+    baseUrl,
+    ratePerSecond: 50,
+    burst: 10,
+    maxRetries: 4,
+    retryBaseMs: 20,
+    requestTimeoutMs: 300,
+  });
+}
+
+/** Every key looked up CALLERS_PER_KEY times at once; returns the sst values. */
+async function lookupAll(client: ReturnType<typeof createMarineClient>) {
+  const calls: Promise<{ sst: number | null }>[] = [];
+  for (let i = 0; i < CALLERS_PER_KEY; i++) {
+    for (const { lat, lng, time } of marineWorkload(POINTS, DAYS)) {
+      calls.push(client.at(lat, lng, time));
+    }
+    for (let p = 0; p < POINTS; p++) {
+      const { lat, lng } = workloadPoint(p);
+      calls.push(client.current(lat, lng));
+    }
+  }
+  return (await Promise.all(calls)).map((result) => result.sst);
+}
+
+function expectedSst() {
+  const values: number[] = [];
+  for (let i = 0; i < CALLERS_PER_KEY; i++) {
+    for (const { lat, lng } of marineWorkload(POINTS, DAYS)) values.push(fakeSst(lat, lng));
+    for (let p = 0; p < POINTS; p++) {
+      const { lat, lng } = workloadPoint(p);
+      values.push(fakeSst(lat, lng));
+    }
+  }
+  return values;
+}
+
+before(async () => {
+  baseUrl = await fake.listen();
+});
+
+after(async () => {
+  await fake.close();
+});
+
+describe("marine client", () => {
+  const store = createMemoryStore();
+
+  it("fetches each key once and retries failed requests", async () => {
+    const client = clientOn(store);
+
+    assert.deepEqual(await lookupAll(client), expectedSst());
+
+    const metrics = client.metrics();
+    assert.equal(metrics.requests, KEYS * CALLERS_PER_KEY);
+    assert.equal(fake.successes.size, KEYS);
+    assert.ok(
+      Array.from(fake.successes.values()).every((count) => count === 1),
+      "a key was fetched more than once"
+    );
+    assert.ok(metrics.coalesced > 0, "no concurrent lookup joined an upstream call");
+    assert.ok(metrics.rateLimited > 0, "no 429 was seen");
+    assert.ok(fake.hung() > 0, "no request timed out");
+    assert.ok(metrics.upstreamErrors > 0, "no 5xx or timeout was retried");
+    assert.equal(store.size(), KEYS);
+  });
+
+  it("answers from the store after a restart", async () => {
+    const received = fake.received();
+    const client = clientOn(store);
+
+    assert.deepEqual(await lookupAll(client), expectedSst());
+
+    const metrics = client.metrics();
+    assert.equal(metrics.hitRate, 1);
+    assert.equal(metrics.upstreamCalls, 0);
+    assert.equal(fake.received(), received);
+  });
+});
@@ -0,0 +1,310 @@
+// backend/test/sharks.test.ts
+// Response shapes of the shark routes, checked field by field against the
+// Shark, SharkDetail and SharkTrackPoint interfaces in src/sharks.ts. The
+// shape tables are typed with every key of the interface, so adding a field
+// there without describing it here fails the type-check.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import type { AddressInfo } from "node:net";
+import os from "node:os";
+import path from "node:path";
+import type { Server } from "node:http";
+import { after, before, describe, it } from "node:test";
+import app from "../src/app";
+import { getRepository } from "../src/repositories";
+import type { Shark, SharkDetail, SharkTrackPoint } from "../src/sharks";
+
+// a fresh file store; getRepository() reads these on first use
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "shark-test-"));
+process.env.STORAGE_DRIVER = "file";
+process.env.STORAGE_FILE = path.join(storeDir, "store.json");
+
+type Check = (value: unknown) => boolean;
+
+const number: Check = (value) => typeof value === "number" && Number.isFinite(value);
+const string: Check = (value) => typeof value === "string";
+const isoTime: Check = (value) =>
+  typeof value === "string" && new Date(value).toISOString() === value;
+const object: Check = (value) => typeof value === "object" && value !== null;
+const optional =
+  (check: Check): Check =>
+  (value) =>
+    value === undefined || check(value);
+const nullable =
+  (check: Check): Check =>
+  (value) =>
+    value === null || check(value);
+const arrayOf =
+  (check: Check): Check =>
+  (value) =>
+    Array.isArray(value) && value.every(check);
+
+// every key of T, optional ones included
+type Shape<T> = { [K in keyof Required<T>]: Check };
+
+function matches<T>(shape: Shape<T>): Check {
+  return (value) => {
+    if (!object(value)) return false;
+    const record = value as Record<string, unknown>;
+    const known = Object.keys(shape);
+    return (
+      Object.keys(record).every((key) => known.includes(key)) &&
+      known.every((key) => shape[key as keyof T](record[key]))
+    );
+  };
+}
+
+function assertShape<T>(value: unknown, shape: Shape<T>, what: string) {
+  for (const [key, check] of Object.entries<Check>(shape)) {
+    const field = (value as Record<string, unknown>)[key];
+    assert.ok(check(field), `${what}.${key} has an unexpected value: ${JSON.stringify(field)}`);
+  }
+  const extra = Object.keys(value as object).filter((key) => !(key in shape));
+  assert.deepEqual(extra, [], `${what} has fields its interface does not declare`);
+}
+
+const trackPointShape: Shape<SharkTrackPoint> = {
+  lat: number,
+  lng: number,
+  time: isoTime,
+  sst: optional(nullable(number)),
+  waveHeight: optional(nullable(number)),
+  conditionsTime: optional(isoTime),
+};
+
+const sharkShape: Shape<Shark> = {
+  id: number,
+  external_id: optional(string),
+  name: string,
+  species: string,
+  latitude: number,
+  longitude: number,
+  imageUrl: optional(nullable(string)),
+  last_update: optional(nullable(isoTime)),
+  approxSst: optional(nullable(number)),
+  approxWaveHeight: optional(nullable(number)),
+  conditionsFetchedAt: optional(nullable(isoTime)),
+  sourceProvider: optional(string),
+  track: optional(arrayOf(matches(trackPointShape))),
+  trackPointCount: optional(number),
+};
+
+const detailShape: Shape<SharkDetail> = {
+  id: number,
+  external_id: string,
+  name: string,
+  species: string,
+  imageUrl: nullable(string),
+  sourceProvider: string,
+  meta: object,
+  firstPing: nullable(matches(trackPointShape)),
+  lastPing: nullable(matches(trackPointShape)),
+  pingCount: number,
+  totalDistanceKm: number,
+  daysTracked: number,
+};
+
+let server: Server;
+let baseUrl: string;
+
+async function getJson(route: string): Promise<any> {
+  const res = await fetch(`${baseUrl}${route}`);
+  assert.equal(res.status, 200, `GET ${route} answered ${res.status}`);
+  return res.json();
+}
+
+before(async () => {
+  // "101" is exposed by its numeric external id; "import:luna" has no name
+  // or species and no ocean conditions, so the fallbacks are exercised
+  const repository = getRepository();
+  const updated_at = "2023-05-06T00:00:00.000Z";
+  const [tagged, luna, , backfilled] = await repository.upsertSharks([
+    {
+      external_id: "101",
+      name: "Mary Lee",
+      species: "White shark",
+      meta: { length: "4.9 m" },
+      updated_at,
+    },
+    {
+      external_id: "import:luna",
+      name: null,
+      species: null,
+      meta: { source_provider: "import" },
+      updated_at,
+    },
+    { external_id: "102", name: "No pings", species: null, meta: {}, updated_at },
+    { external_id: "103", name: "Backfilled", species: null, meta: {}, updated_at },
+    { external_id: "mapotic:Big Mama", name: "Big Mama", species: null, meta: {}, updated_at },
+  ]);
+
+  const ping = (sharkId: number, day: number, lat: number, lng: number) => {
+    const time = `2023-05-0${day}T12:00:00.000Z`;
+    return { shark_id: sharkId, lat, lng, source_timestamp: time, recorded_at: time };
+  };
+  await repository.insertPositions([
+    ping(tagged.id, 1, 40.1, -70.2),
+    ping(tagged.id, 2, 40.4, -70.0),
+    ping(tagged.id, 3, 40.9, -69.5),
+    ping(luna.id, 4, -33.9, 151.3),
+    ping(backfilled.id, 1, 10.0, 10.0),
+    ping(backfilled.id, 3, 10.0, 11.0),
+  ]);
+  // a backfilled ping between two live ones, just off their line
+  await repository.insertPositions([{ ...ping(backfilled.id, 2, 10.01, 10.5), backfilled: true }]);
+
+  // the oldest ping of shark 101 has ocean conditions, the others have none
+  const [oldest] = (await repository.listMarinePending(10)).filter(
+    (row) => row.shark_id === tagged.id && row.recorded_at.startsWith("2023-05-01")
+  );
+  await repository.updatePositionMarine([
+    {
+      id: oldest.id,
+      sst: 14.2,
+      wave_height: 1.1,
+      marine_time: "2023-05-01T12:00:00.000Z",
+      marine_fetched_at: updated_at,
+    },
+  ]);
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+describe("GET /api/sharks", () => {
+  it("returns Shark objects with SharkTrackPoint tracks", async () => {
+    const sharks = await getJson("/sharks");
+
+    assert.ok(Array.isArray(sharks));
+    // the shark without pings cannot be placed on the map
+    assert.deepEqual(sharks.map((shark: Shark) => shark.external_id).sort(), [
+      "101",
+      "103",
+      "import:luna",
+    ]);
+    for (const shark of sharks) assertShape(shark, sharkShape, `shark ${shark.external_id}`);
+
+    const tagged = sharks.find((shark: Shark) => shark.external_id === "101");
+    assert.equal(tagged.id, 101);
+    assert.equal(tagged.track.length, 3);
+    assert.equal(tagged.track[0].sst, 14.2);
+    assert.deepEqual([tagged.latitude, tagged.longitude], [40.9, -69.5]);
+
+    const luna = sharks.find((shark: Shark) => shark.external_id === "import:luna");
+    assert.equal(luna.name, "Shark import:luna");
+    assert.equal(luna.sourceProvider, "import");
+  });
+
+  it("leaves the track out with include=latest", async () => {
+    const sharks = await getJson("/sharks?include=latest");
+
+    for (const shark of sharks) {
+      assertShape(shark, sharkShape, `shark ${shark.external_id}`);
+      assert.equal(shark.track, undefined);
+    }
+  });
+});
+
+describe("GET /api/sharks/:id", () => {
+  it("returns a SharkDetail", async () => {
+    const detail = await getJson("/sharks/101");
+
+    assertShape(detail, detailShape, "shark 101");
+    assert.equal(detail.pingCount, 3);
+    assert.equal(detail.firstPing.time, "2023-05-01T12:00:00.000Z");
+    assert.deepEqual(detail.meta, { length: "4.9 m" });
+  });
+
+  it("resolves full external ids", async () => {
+    const detail = await getJson(`/sharks/${encodeURIComponent("import:luna")}`);
+
+    assertShape(detail, detailShape, "shark import:luna");
+    assert.equal(detail.pingCount, 1);
+  });
+
+  it("resolves external ids with spaces", async () => {
+    const id = encodeURIComponent("mapotic:Big Mama");
+    const detail = await getJson(`/sharks/${id}`);
+
+    assertShape(detail, detailShape, "shark mapotic:Big Mama");
+    assert.equal(detail.pingCount, 0);
+
+    const res = await fetch(`${baseUrl}/sharks/${id}/track.csv`);
+    assert.equal(res.status, 200);
+    assert.equal(
+      res.headers.get("content-disposition"),
+      'attachment; filename="shark-mapotic-Big-Mama-track.csv"'
+    );
+  });
+
+  it("answers 404 for an unknown shark", async () => {
+    const res = await fetch(`${baseUrl}/sharks/999`);
+    assert.equal(res.status, 404);
+    assert.equal(typeof (await res.json()).error, "string");
+  });
+});
+
+describe("GET /api/sharks/:id/track", () => {
+  it("returns SharkTrackPoints oldest first", async () => {
+    const track = await getJson("/sharks/101/track");
+
+    assert.equal(track.length, 3);
+    track.forEach((point: unknown, i: number) => assertShape(point, trackPointShape, `point ${i}`));
+    assert.deepEqual(
+      track.map((point: SharkTrackPoint) => point.time),
+      ["2023-05-01T12:00:00.000Z", "2023-05-02T12:00:00.000Z", "2023-05-03T12:00:00.000Z"]
+    );
+    assert.equal(track[0].conditionsTime, "2023-05-01T12:00:00.000Z");
+  });
+
+  it("filters by since and until", async () => {
+    const track = await getJson("/sharks/101/track?since=2023-05-02&until=2023-05-02T23:59:59Z");
+
+    assert.equal(track.length, 1);
+    assertShape(track[0], trackPointShape, "point 0");
+  });
+
+  it("keeps live pings and thins backfilled ones when simplifying", async () => {
+    const live = await fetch(`${baseUrl}/sharks/101/track?tolerance=1000`);
+    assert.equal((await live.json()).length, 3);
+
+    const res = await fetch(`${baseUrl}/sharks/103/track?tolerance=5`);
+    assert.equal(res.headers.get("x-track-point-count"), "3");
+    assert.deepEqual(
+      (await res.json()).map((point: SharkTrackPoint) => point.time),
+      ["2023-05-01T12:00:00.000Z", "2023-05-03T12:00:00.000Z"]
+    );
+  });
+
+  it("answers 400 for a since that is not an ISO 8601 date", async () => {
+    const res = await fetch(`${baseUrl}/sharks/101/track?since=1`);
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("conditional requests", () => {
+  it("answers 304 to a current If-Modified-Since", async () => {
+    const first = await fetch(`${baseUrl}/sharks`);
+    const lastModified = first.headers.get("last-modified");
+    assert.ok(lastModified);
+
+    // fetch adds "Cache-Control: no-cache" to conditional requests unless
+    // one is given, and Express never answers 304 to that
+    const res = await fetch(`${baseUrl}/sharks`, {
+      headers: { "If-Modified-Since": lastModified, "Cache-Control": "max-age=0" },
+    });
+    assert.equal(res.status, 304);
+  });
+
+  it("dates Last-Modified no earlier than the current 5-minute bucket", async () => {
+    const res = await fetch(`${baseUrl}/sharks`);
+    const bucketStart = Math.floor(Date.now() / 300_000) * 300_000;
+    assert.ok(Date.parse(res.headers.get("last-modified")!) >= bucketStart);
+  });
+});
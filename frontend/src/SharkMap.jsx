@@ -1,6 +1,13 @@
 // src/SharkMap.jsx
 import { useEffect, useState, useRef, useMemo } from "react";
-import { MapContainer, TileLayer, Marker, Popup, Polyline } from "react-leaflet";
+import {
+  MapContainer,
+  TileLayer,
+  Marker,
+  Popup,
+  Polyline,
+  useMapEvents,
+} from "react-leaflet";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import "leaflet-arrowheads";
@@ -21,8 +28,42 @@ const defaultIcon = new L.Icon({
 L.Marker.prototype.options.icon = defaultIcon;
 
 const DEFAULT_MONTHS_BACK = 6;
+const FILTER_DEBOUNCE_MS = 300; // wait for the months slider to settle before refetching
+// Background tracks are simplified server-side to about one pixel at this
+// zoom; the selected shark's track is fetched at full resolution.
+const BACKGROUND_TRACK_ZOOM = 8;
+const HOUR_MS = 1000 * 60 * 60;
 const MS_PER_DAY = 1000 * 60 * 60 * 24;
 const WEEK_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+// how long a shark's marker pulses after a live update brought a new ping
+const NEW_PING_HIGHLIGHT_MS = 60 * 1000;
+// batches list reloads for live pings of sharks the list does not have
+const LIVE_RELOAD_DELAY_MS = 2000;
+const DEFAULT_TRACK_COLOR = "#00bcd4";
+// background track colors, handed out by species in /api/species order
+// (most tracked first)
+const SPECIES_COLORS = [
+  "#00bcd4",
+  "#ff9800",
+  "#ab47bc",
+  "#8bc34a",
+  "#f06292",
+  "#ffeb3b",
+  "#4dd0e1",
+  "#ff7043",
+  "#9575cd",
+  "#aed581",
+];
+const IUCN_LABELS = {
+  LC: "Least Concern",
+  NT: "Near Threatened",
+  VU: "Vulnerable",
+  EN: "Endangered",
+  CR: "Critically Endangered",
+  EW: "Extinct in the Wild",
+  EX: "Extinct",
+  DD: "Data Deficient",
+};
 
 // 🌊 Environment layer URLs
 
@@ -64,24 +105,190 @@ function buildSstTileUrl(timelineTime) {
   return `${SST_BASE_URL}/${isoDate}/GoogleMapsCompatible_Level6/{z}/{y}/{x}.png`;
 }
 
-function isSharkWithinMonths(shark, months) {
-  const timestamp =
-    shark.last_update ||
-    shark.lastMove ||
-    shark.last_move ||
-    shark.last_update_time ||
-    null;
+// Start of the "last N months" window; month length is rounded to 30 days
+// and the time down to the hour, so repeat loads send the same URL and get
+// the API's cached response (or a 304)
+function monthsBackSince(monthsBack) {
+  const since = Date.now() - monthsBack * 30 * MS_PER_DAY;
+  return new Date(since - (since % HOUR_MS)).toISOString();
+}
 
-  if (!timestamp) return false;
+// The backend filters sharks by their last ping, so "active in the last N
+// months" becomes `since`
+function buildSharksQuery(monthsBack, providerFilter, speciesFilter, freshnessFilter) {
+  const params = new URLSearchParams();
+  params.set("since", monthsBackSince(monthsBack));
+  params.set("zoom", String(BACKGROUND_TRACK_ZOOM));
+  if (providerFilter !== "all") params.set("provider", providerFilter);
+  if (speciesFilter !== "all") params.set("species", speciesFilter);
+  if (freshnessFilter !== "all") params.set("freshness", freshnessFilter);
+  return params.toString();
+}
 
-  const lastUpdate = new Date(timestamp);
-  if (isNaN(lastUpdate.getTime())) return false; // bad date
+function formatSst(value) {
+  return value != null ? `${value.toFixed(1)} °C` : "n/a";
+}
 
-  const now = new Date();
-  const diffDays = (now.getTime() - lastUpdate.getTime()) / MS_PER_DAY;
-  const maxDays = months * 30; // rough month length is fine
+function formatWaveHeight(value) {
+  return value != null ? `${value.toFixed(1)} m` : "n/a";
+}
+
+// Ocean conditions stored with a track point, labelled with the archive
+// hour they refer to (nothing for points that have none)
+function PingConditions({ point }) {
+  if (!point?.conditionsTime) return null;
+  return (
+    <>
+      SST: {formatSst(point.sst)}, wave height: {formatWaveHeight(point.waveHeight)}
+      <br />
+      <span className="muted">
+        Conditions at {new Date(point.conditionsTime).toLocaleString()}
+      </span>
+      <br />
+    </>
+  );
+}
+
+// Current conditions at a shark's last position, as of the backend's last
+// background fetch
+function CurrentConditions({ shark }) {
+  if (!shark.conditionsFetchedAt) {
+    return (
+      <>
+        Current conditions: not fetched yet
+        <br />
+      </>
+    );
+  }
+  return (
+    <>
+      At last position: SST {formatSst(shark.approxSst)}, wave height{" "}
+      {formatWaveHeight(shark.approxWaveHeight)}
+      <br />
+      <span className="muted">
+        Fetched {new Date(shark.conditionsFetchedAt).toLocaleString()}
+      </span>
+      <br />
+    </>
+  );
+}
+
+// "0.457 mg/m³", "350° (towards N)"; "unavailable" when the source failed
+function formatEnvironmentValue(entry) {
+  if (entry.value == null) return entry.error ? "unavailable" : "n/a";
+  const number = entry.value.toLocaleString(undefined, { maximumFractionDigits: 3 });
+  const separator = /^[°%]/.test(entry.units) ? "" : " ";
+  const description = entry.description ? ` (${entry.description})` : "";
+  return `${number}${separator}${entry.units}${description}`;
+}
+
+// Values from /api/sharks/:id/environment, grouped by source so each
+// attribution is shown once
+function EnvironmentValues({ values }) {
+  const groups = [];
+  for (const entry of values) {
+    const group = groups.find((g) => g.source === entry.source);
+    if (group) group.entries.push(entry);
+    else groups.push({ source: entry.source, sourceUrl: entry.sourceUrl, entries: [entry] });
+  }
+
+  return groups.map((group) => {
+    const observedAt = group.entries.find((entry) => entry.observedAt)?.observedAt;
+    return (
+      <div key={group.source} className="environment-group">
+        {group.entries.map((entry) => (
+          <div key={entry.variable} title={entry.error ?? undefined}>
+            {entry.label}: {formatEnvironmentValue(entry)}
+          </div>
+        ))}
+        <div className="muted">
+          {group.sourceUrl ? (
+            <a href={group.sourceUrl} target="_blank" rel="noreferrer">
+              {group.source}
+            </a>
+          ) : (
+            group.source
+          )}
+          {observedAt && `, observed ${new Date(observedAt).toLocaleDateString()}`}
+        </div>
+      </div>
+    );
+  });
+}
+
+// Click on the map: environmental variables at that spot at `time` (the
+// global timeline time, now when there is none) from /api/conditions.
+// Marker clicks don't reach the map, so they keep their own popups.
+function ConditionsOnClick({ time }) {
+  // { lat, lng, position, time } of the last click; position is where it
+  // landed, lng wrapped to -180..180 for clicks on a copy of the world
+  const [query, setQuery] = useState(null);
+  // { query, values } (values null when the request failed)
+  const [result, setResult] = useState(null);
+
+  useMapEvents({
+    click(e) {
+      setQuery({
+        lat: e.latlng.lat,
+        lng: L.Util.wrapNum(e.latlng.lng, [-180, 180], true),
+        position: [e.latlng.lat, e.latlng.lng],
+        time: (time ?? new Date()).toISOString(),
+      });
+    },
+  });
+
+  useEffect(() => {
+    if (!query) return;
+    let cancelled = false;
+
+    async function fetchConditions() {
+      const params = new URLSearchParams({
+        lat: query.lat.toFixed(4),
+        lng: query.lng.toFixed(4),
+        time: query.time,
+      });
+      try {
+        const resp = await fetch(`${API_BASE_URL}/api/conditions?${params}`);
+        if (!resp.ok) {
+          throw new Error(`Conditions API error: ${resp.status} ${resp.statusText}`);
+        }
+        const data = await resp.json();
+        if (!cancelled) setResult({ query, values: data.values });
+      } catch (err) {
+        console.error("Failed to fetch conditions:", err);
+        if (!cancelled) setResult({ query, values: null });
+      }
+    }
 
-  return diffDays <= maxDays;
+    fetchConditions();
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
+
+  if (!query) return null;
+  const values = result?.query === query ? result.values : undefined;
+
+  return (
+    // a new popup per click, so one closed before reopens
+    <Popup key={`${query.position}|${query.time}`} position={query.position}>
+      <strong>
+        {query.lat.toFixed(3)}, {query.lng.toFixed(3)}
+      </strong>
+      <br />
+      <span className="muted">{new Date(query.time).toLocaleString()}</span>
+      <div className="conditions-popup">
+        {values === undefined && <span className="muted">Loading…</span>}
+        {values === null && <span className="muted">Conditions not available</span>}
+        {values && <EnvironmentValues values={values} />}
+      </div>
+    </Popup>
+  );
+}
+
+// "White shark (Carcharodon carcharias)"; uncatalogued species as sent
+function formatSpeciesLabel(info, species) {
+  return info?.commonName ? `${info.commonName} (${info.scientificName})` : species;
 }
 
 function formatMonthsLabel(months) {
@@ -105,7 +312,35 @@ function getFreshnessTier(lastUpdateIso) {
   return "stale";
 }
 
-function makeSharkMarkerIcon(freshnessTier) {
+// Adds live-update points to a track: sorted by time, one point per time
+function mergeTrackPoints(track, points) {
+  const byTime = new Map();
+  for (const p of [...(track || []), ...points]) byTime.set(p.time, p);
+  return Array.from(byTime.values()).sort(
+    (a, b) => new Date(a.time).getTime() - new Date(b.time).getTime()
+  );
+}
+
+// Shark from GET /api/sharks with live-update points applied
+function applyLivePoints(shark, points) {
+  const track = mergeTrackPoints(shark.track, points);
+  const latest = track[track.length - 1];
+  const isNewer =
+    !shark.last_update || new Date(latest.time).getTime() >= new Date(shark.last_update).getTime();
+
+  return {
+    ...shark,
+    track,
+    trackPointCount: (shark.trackPointCount ?? shark.track?.length ?? 0) + points.length,
+    ...(isNewer && {
+      latitude: latest.lat,
+      longitude: latest.lng,
+      last_update: latest.time,
+    }),
+  };
+}
+
+function makeSharkMarkerIcon(freshnessTier, hasNewPing = false) {
   const colorByTier = {
     fresh: "#22c55e",
     recent: "#f59e0b",
@@ -116,7 +351,7 @@ function makeSharkMarkerIcon(freshnessTier) {
 
   return L.divIcon({
     className: "freshness-marker-icon",
-    html: `<div class="freshness-marker-dot" style="background:${color}"></div>`,
+    html: `<div class="freshness-marker-dot${hasNewPing ? " new-ping" : ""}" style="background:${color}"></div>`,
     iconSize: [16, 16],
     iconAnchor: [8, 8],
     popupAnchor: [0, -10],
@@ -147,7 +382,18 @@ export default function SharkMap() {
   const [showSeamarks, setShowSeamarks] = useState(false);
 
   const [providerFilter, setProviderFilter] = useState("all");
+  const [speciesFilter, setSpeciesFilter] = useState("all");
   const [freshnessFilter, setFreshnessFilter] = useState("all");
+  const [availableProviders, setAvailableProviders] = useState(["all", "mapotic"]);
+  // /api/species: catalogue data and counts, most tracked first
+  const [availableSpecies, setAvailableSpecies] = useState([]);
+  // full-resolution track of the selected shark: { sharkId, track }
+  const [selectedFullTrack, setSelectedFullTrack] = useState(null);
+  // environmental variables at the selected shark's last ping:
+  // { sharkId, values } (values null when the request failed)
+  const [environment, setEnvironment] = useState(null);
+  // ids of sharks that just got a ping through the live stream
+  const [newPingSharkIds, setNewPingSharkIds] = useState(() => new Set());
 
   // 🌍 Global timeline state (for all animals / environment)
   const [timelineIndex, setTimelineIndex] = useState(0);
@@ -159,52 +405,209 @@ export default function SharkMap() {
   const [showExplorer, setShowExplorer] = useState(true);
   const [showDetails, setShowDetails] = useState(true);
 
-  // Remote sharks from your backend
+  // Remote sharks from your backend (time window, provider, species and
+  // freshness are filtered server-side; refetched when a filter changes)
   useEffect(() => {
+    let cancelled = false;
+
     async function fetchRemoteSharks() {
       try {
         setLoading(true);
         setError(null);
-        const resp = await fetch(`${API_BASE_URL}/api/sharks`);
+        const query = buildSharksQuery(
+          monthsBack,
+          providerFilter,
+          speciesFilter,
+          freshnessFilter
+        );
+        const resp = await fetch(`${API_BASE_URL}/api/sharks?${query}`);
         if (!resp.ok) {
           throw new Error(`Shark API error: ${resp.status} ${resp.statusText}`);
         }
 
         const data = await resp.json();
-        console.log("Remote sharks from backend:", data);
-        console.log("First remote shark:", data[0]);
+        if (cancelled) return;
         setRemoteSharks(data);
         setLoading(false);
       } catch (err) {
+        if (cancelled) return;
         console.error("Failed to fetch remote sharks:", err);
         setError(err.message || "Unknown error");
         setLoading(false);
       }
     }
 
-    fetchRemoteSharks();
-  }, []);
+    const timer = setTimeout(fetchRemoteSharks, FILTER_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [monthsBack, providerFilter, speciesFilter, freshnessFilter]);
 
-  const activeRemote = remoteSharks.filter((s) => {
-    const hasLocation = s.latitude != null && s.longitude != null;
-    const isInWindow = isSharkWithinMonths(s, monthsBack);
-    const matchesProvider =
-      providerFilter === "all" ? true : (s.sourceProvider || "mapotic") === providerFilter;
+  // ids in remoteSharks, for the live stream's handlers
+  const remoteSharkIdsRef = useRef(new Set());
+  useEffect(() => {
+    remoteSharkIdsRef.current = new Set(remoteSharks.map((s) => s.id));
+  }, [remoteSharks]);
 
-    const freshnessTier = getFreshnessTier(s.last_update || s.lastMove || s.last_move || null);
-    const matchesFreshness =
-      freshnessFilter === "all" ? true : freshnessTier === freshnessFilter;
+  // Live updates: new sharks and pings are merged into the list in place
+  useEffect(() => {
+    if (typeof EventSource === "undefined") return;
+
+    const source = new EventSource(`${API_BASE_URL}/api/live`);
+    // sharks announced by the stream; placed on the map by their first ping
+    const pendingSharks = new Map();
+    const highlightTimers = new Set();
+    // sharks the reloaded list still left out: the filters exclude them
+    const excludedSharkIds = new Set();
+    let reloadIds = new Set();
+    let reloadTimer = null;
+    let closed = false;
+
+    // A ping for a shark that is neither listed nor announced (e.g. it was
+    // quiet for longer than the time window, or the "shark" event came
+    // before a reconnect): reload the list, which applies every filter
+    function reloadForShark(id) {
+      reloadIds.add(id);
+      if (reloadTimer) return;
+      reloadTimer = setTimeout(async () => {
+        reloadTimer = null;
+        const ids = reloadIds;
+        reloadIds = new Set();
+        try {
+          const query = buildSharksQuery(
+            monthsBack,
+            providerFilter,
+            speciesFilter,
+            freshnessFilter
+          );
+          const resp = await fetch(`${API_BASE_URL}/api/sharks?${query}`);
+          if (!resp.ok) {
+            throw new Error(`Shark API error: ${resp.status} ${resp.statusText}`);
+          }
+          const data = await resp.json();
+          if (closed) return;
+          ids.forEach((sharkId) => {
+            if (!data.some((s) => s.id === sharkId)) excludedSharkIds.add(sharkId);
+          });
+          setRemoteSharks(data);
+        } catch (err) {
+          console.warn("Failed to reload sharks after a live update:", err);
+        }
+      }, LIVE_RELOAD_DELAY_MS);
+    }
 
-    return hasLocation && isInWindow && matchesProvider && matchesFreshness;
-  });
+    source.addEventListener("shark", (event) => {
+      const shark = JSON.parse(event.data);
+      if (providerFilter !== "all" && shark.sourceProvider !== providerFilter) return;
+      if (speciesFilter !== "all" && shark.species !== speciesFilter) return;
+      // a shark with its first ping right now can only be "fresh"
+      if (freshnessFilter !== "all" && freshnessFilter !== "fresh") return;
+      pendingSharks.set(shark.id, shark);
+    });
+
+    source.addEventListener("positions", (event) => {
+      const { id, points } = JSON.parse(event.data);
+      if (
+        !remoteSharkIdsRef.current.has(id) &&
+        !pendingSharks.has(id) &&
+        !excludedSharkIds.has(id)
+      ) {
+        reloadForShark(id);
+      }
 
-  const availableProviders = useMemo(() => {
-    const providers = new Set(["mapotic"]);
-    for (const shark of remoteSharks) {
-      if (shark.sourceProvider) providers.add(shark.sourceProvider);
+      setRemoteSharks((prev) => {
+        if (prev.some((s) => s.id === id)) {
+          return prev.map((s) => (s.id === id ? applyLivePoints(s, points) : s));
+        }
+        const pending = pendingSharks.get(id);
+        if (!pending) return prev;
+        return [...prev, applyLivePoints({ ...pending, track: [], trackPointCount: 0 }, points)];
+      });
+
+      setSelectedFullTrack((prev) =>
+        prev && prev.sharkId === id
+          ? { ...prev, track: mergeTrackPoints(prev.track, points) }
+          : prev
+      );
+
+      setNewPingSharkIds((prev) => new Set(prev).add(id));
+      const timer = setTimeout(() => {
+        highlightTimers.delete(timer);
+        setNewPingSharkIds((prev) => {
+          const next = new Set(prev);
+          next.delete(id);
+          return next;
+        });
+      }, NEW_PING_HIGHLIGHT_MS);
+      highlightTimers.add(timer);
+    });
+
+    source.onerror = () => {
+      // EventSource reconnects on its own; nothing to do but note it
+      console.warn("Live updates disconnected, reconnecting…");
+    };
+
+    return () => {
+      closed = true;
+      source.close();
+      highlightTimers.forEach(clearTimeout);
+      clearTimeout(reloadTimer);
+    };
+  }, [monthsBack, providerFilter, speciesFilter, freshnessFilter]);
+
+  // Provider list for the filter, independent of the current filter
+  useEffect(() => {
+    async function fetchProviders() {
+      try {
+        const resp = await fetch(`${API_BASE_URL}/api/providers`);
+        if (!resp.ok) {
+          throw new Error(`Providers API error: ${resp.status} ${resp.statusText}`);
+        }
+
+        const data = await resp.json();
+        setAvailableProviders(["all", ...data.map((provider) => provider.id)]);
+      } catch (err) {
+        console.error("Failed to fetch providers:", err);
+      }
     }
-    return ["all", ...Array.from(providers).sort()];
-  }, [remoteSharks]);
+
+    fetchProviders();
+  }, []);
+
+  // Species for the filter and legend, independent of the current filter
+  useEffect(() => {
+    async function fetchSpecies() {
+      try {
+        const resp = await fetch(`${API_BASE_URL}/api/species`);
+        if (!resp.ok) {
+          throw new Error(`Species API error: ${resp.status} ${resp.statusText}`);
+        }
+
+        setAvailableSpecies(await resp.json());
+      } catch (err) {
+        console.error("Failed to fetch species:", err);
+      }
+    }
+
+    fetchSpecies();
+  }, []);
+
+  // scientificName -> { ...species, color }
+  const speciesInfo = useMemo(
+    () =>
+      new Map(
+        availableSpecies.map((species, i) => [
+          species.scientificName,
+          { ...species, color: SPECIES_COLORS[i % SPECIES_COLORS.length] },
+        ])
+      ),
+    [availableSpecies]
+  );
+
+  const activeRemote = remoteSharks.filter(
+    (s) => s.latitude != null && s.longitude != null
+  );
 
   const now = new Date();
   const fromDate = new Date(now);
@@ -215,8 +618,74 @@ export default function SharkMap() {
     activeRemote.find((s) => s.id === selectedSharkId) ||
     (activeRemote.length > 0 ? activeRemote[0] : null);
 
-  // FULL track for selected shark (all history from backend)
-  const selectedTrack = selectedShark?.track || [];
+  // Full-resolution track of the selected shark within the time window
+  const selectedSharkKey = selectedShark?.id ?? null;
+  useEffect(() => {
+    if (selectedSharkKey == null) return;
+    let cancelled = false;
+
+    async function fetchSelectedTrack() {
+      try {
+        const since = monthsBackSince(monthsBack);
+        const resp = await fetch(
+          `${API_BASE_URL}/api/sharks/${encodeURIComponent(selectedSharkKey)}/track?since=${since}`
+        );
+        if (!resp.ok) {
+          throw new Error(`Track API error: ${resp.status} ${resp.statusText}`);
+        }
+
+        const track = await resp.json();
+        if (!cancelled) setSelectedFullTrack({ sharkId: selectedSharkKey, track });
+      } catch (err) {
+        // keep showing the simplified track from the list
+        console.error("Failed to fetch selected shark track:", err);
+      }
+    }
+
+    fetchSelectedTrack();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedSharkKey, monthsBack]);
+
+  // Environmental variables at the selected shark's last ping
+  useEffect(() => {
+    if (selectedSharkKey == null) return;
+    let cancelled = false;
+
+    async function fetchEnvironment() {
+      try {
+        const resp = await fetch(
+          `${API_BASE_URL}/api/sharks/${encodeURIComponent(selectedSharkKey)}/environment`
+        );
+        if (!resp.ok) {
+          throw new Error(`Environment API error: ${resp.status} ${resp.statusText}`);
+        }
+
+        const data = await resp.json();
+        if (!cancelled) setEnvironment({ sharkId: selectedSharkKey, values: data.values });
+      } catch (err) {
+        console.error("Failed to fetch environment:", err);
+        if (!cancelled) setEnvironment({ sharkId: selectedSharkKey, values: null });
+      }
+    }
+
+    fetchEnvironment();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedSharkKey]);
+
+  // undefined while loading, null when the request failed
+  const selectedEnvironment =
+    environment && environment.sharkId === selectedSharkKey ? environment.values : undefined;
+
+  // Track of the selected shark within the selected time window
+  // (simplified list track until the full one has loaded)
+  const selectedTrack =
+    selectedFullTrack && selectedFullTrack.sharkId === selectedSharkKey
+      ? selectedFullTrack.track
+      : selectedShark?.track || [];
 
   // Reset playback whenever shark/track changes
   useEffect(() => {
@@ -359,14 +828,12 @@ export default function SharkMap() {
 
       if (t <= timelineTimeMs) {
         if (!closest || t > closest.t) {
-          closest = { lat: p.lat, lng: p.lng, time: p.time, t };
+          closest = { point: p, t };
         }
       }
     }
 
-    if (closest) {
-      return { lat: closest.lat, lng: closest.lng, time: closest.time };
-    }
+    if (closest) return closest.point;
 
     // If timeline is before first track point, use earliest valid track point
     let first = null;
@@ -375,12 +842,10 @@ export default function SharkMap() {
       const t = new Date(p.time).getTime();
       if (Number.isNaN(t)) continue;
       if (!first || t < first.t) {
-        first = { lat: p.lat, lng: p.lng, time: p.time, t };
+        first = { point: p, t };
       }
     }
-    if (first) {
-      return { lat: first.lat, lng: first.lng, time: first.time };
-    }
+    if (first) return first.point;
 
     // Fallback again to static lat/lon if nothing else worked
     if (shark.latitude != null && shark.longitude != null) {
@@ -481,6 +946,8 @@ export default function SharkMap() {
             />
           )}
 
+          <ConditionsOnClick time={currentTimelineTime} />
+
           {/* Background: full tracks for ALL sharks (no time restriction) */}
           {activeRemote.map((s) => {
             const fullTrack = s.track || [];
@@ -494,7 +961,7 @@ export default function SharkMap() {
                 key={`bg-track-${s.id}`}
                 positions={fullTrack.map((p) => [p.lat, p.lng])}
                 pathOptions={{
-                  color: "#00bcd4",
+                  color: speciesInfo.get(s.species)?.color ?? DEFAULT_TRACK_COLOR,
                   weight: 2,
                   opacity: 0.35,
                 }}
@@ -536,6 +1003,8 @@ export default function SharkMap() {
                     <strong>{selectedShark?.name}</strong>
                     <br />
                     {p.time ? new Date(p.time).toLocaleString() : "Unknown time"}
+                    <br />
+                    <PingConditions point={p} />
                   </Popup>
                 </Marker>
               ))}
@@ -555,6 +1024,8 @@ export default function SharkMap() {
                     {currentPlaybackPoint.time
                       ? new Date(currentPlaybackPoint.time).toLocaleString()
                       : "Playback point"}
+                    <br />
+                    <PingConditions point={currentPlaybackPoint} />
                   </Popup>
                 </Marker>
               )}
@@ -573,7 +1044,7 @@ export default function SharkMap() {
               <Marker
                 key={s.id}
                 position={[pos.lat, pos.lng]}
-                icon={makeSharkMarkerIcon(freshnessTier)}
+                icon={makeSharkMarkerIcon(freshnessTier, newPingSharkIds.has(s.id))}
                 eventHandlers={{
                   click(e) {
                     // click selects shark in sidebar and ensures popup is open
@@ -618,10 +1089,11 @@ export default function SharkMap() {
                   <br />
                   Freshness: {freshnessTier}
                   <br />
-                  SST: {s.approxSst != null ? `${s.approxSst.toFixed(1)} °C` : "n/a"}
-                  <br />
-                  Wave height: {s.approxWaveHeight != null ? `${s.approxWaveHeight.toFixed(1)} m` : "n/a"}
-                  <br />
+                  {pos.conditionsTime ? (
+                    <PingConditions point={pos} />
+                  ) : (
+                    <CurrentConditions shark={s} />
+                  )}
                   {lastTime ? (
                     <>
                       Last update: {new Date(lastTime).toLocaleString()}
@@ -672,7 +1144,7 @@ export default function SharkMap() {
           </p>
         )}
 
-        {/* Time filter slider (currently does not filter activeRemote) */}
+        {/* Time filter slider (sent to the backend as `since`) */}
         <div className="stat-card">
           <div className="stat-label">Show sharks active in last</div>
           <div className="stat-value">{formatMonthsLabel(monthsBack)}</div>
@@ -813,7 +1285,8 @@ export default function SharkMap() {
                 Colors show <strong>sea surface temperature</strong> from the NASA GHRSST
                 MUR dataset. Dark blues are cold water, greens/yellows are temperate,
                 and oranges/reds are warm tropical waters. Values are approximate and
-                usually 1–2 days behind real time.
+                usually 1–2 days behind real time. Click the map for the values at a
+                spot.
               </p>
             </div>
           </div>
@@ -835,6 +1308,20 @@ export default function SharkMap() {
             ))}
           </select>
 
+          <div className="panel-subtitle" style={{ marginTop: "0.45rem" }}>Species</div>
+          <select
+            value={speciesFilter}
+            onChange={(e) => setSpeciesFilter(e.target.value)}
+            style={{ width: "100%" }}
+          >
+            <option value="all">All species</option>
+            {availableSpecies.map((species) => (
+              <option key={species.scientificName} value={species.scientificName}>
+                {species.commonName ?? species.scientificName} ({species.sharkCount})
+              </option>
+            ))}
+          </select>
+
           <div className="panel-subtitle" style={{ marginTop: "0.45rem" }}>Data freshness</div>
           <select
             value={freshnessFilter}
@@ -852,6 +1339,7 @@ export default function SharkMap() {
             type="button"
             onClick={() => {
               setProviderFilter("all");
+              setSpeciesFilter("all");
               setFreshnessFilter("all");
             }}
             style={{ marginTop: "0.5rem", width: "100%" }}
@@ -864,11 +1352,54 @@ export default function SharkMap() {
           </div>
         </div>
 
+        {availableSpecies.length > 0 && (
+          <div className="stat-card">
+            <div className="stat-label">Species legend</div>
+            <ul className="species-legend">
+              {Array.from(speciesInfo.values()).map((species) => (
+                <li key={species.scientificName}>
+                  <button
+                    type="button"
+                    className={`species-legend-row${
+                      speciesFilter === species.scientificName ? " active" : ""
+                    }`}
+                    onClick={() =>
+                      setSpeciesFilter((current) =>
+                        current === species.scientificName ? "all" : species.scientificName
+                      )
+                    }
+                    title="Show only this species (click again for all)"
+                  >
+                    <span className="species-swatch" style={{ background: species.color }} />
+                    <span className="species-names">
+                      <span>{species.commonName ?? species.scientificName}</span>
+                      {species.commonName && (
+                        <em className="muted">{species.scientificName}</em>
+                      )}
+                    </span>
+                    {species.iucnStatus && (
+                      <span
+                        className={`iucn-badge iucn-${species.iucnStatus.toLowerCase()}`}
+                        title={`IUCN Red List: ${IUCN_LABELS[species.iucnStatus]}`}
+                      >
+                        {species.iucnStatus}
+                      </span>
+                    )}
+                    <span className="species-count">{species.sharkCount}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <div className="muted" style={{ marginTop: "0.35rem", fontSize: "0.8rem" }}>
+              Track colors by species. Badges show IUCN Red List status.
+            </div>
+          </div>
+        )}
+
         <div className="divider" />
 
         <p className="muted">
-          Active in range: <strong>{activeRemote.length}</strong> / Total fetched:{" "}
-          <strong>{remoteSharks.length}</strong>
+          Active in range: <strong>{activeRemote.length}</strong>
         </p>
       </aside>
 
@@ -909,7 +1440,12 @@ export default function SharkMap() {
 
             <div className="stat-card">
               <div className="stat-label">Species</div>
-              <div className="stat-value">{selectedShark.species || "Unknown species"}</div>
+              <div className="stat-value">
+                {formatSpeciesLabel(
+                  speciesInfo.get(selectedShark.species),
+                  selectedShark.species || "Unknown species"
+                )}
+              </div>
             </div>
 
             <div className="stat-card">
@@ -934,9 +1470,23 @@ export default function SharkMap() {
             <div className="stat-card">
               <div className="stat-label">Ocean conditions (approx)</div>
               <div className="stat-value">
-                SST: {selectedShark.approxSst != null ? `${selectedShark.approxSst.toFixed(1)} °C` : "n/a"}
-                <br />
-                Wave height: {selectedShark.approxWaveHeight != null ? `${selectedShark.approxWaveHeight.toFixed(1)} m` : "n/a"}
+                {currentPlaybackPoint?.conditionsTime ? (
+                  <PingConditions point={currentPlaybackPoint} />
+                ) : (
+                  <span className="muted">No archived conditions for this ping</span>
+                )}
+                <div className="muted">
+                  <CurrentConditions shark={selectedShark} />
+                </div>
+              </div>
+            </div>
+
+            <div className="stat-card">
+              <div className="stat-label">Environment at last position</div>
+              <div className="stat-value">
+                {selectedEnvironment === undefined && <span className="muted">Loading…</span>}
+                {selectedEnvironment === null && <span className="muted">Not available</span>}
+                {selectedEnvironment && <EnvironmentValues values={selectedEnvironment} />}
               </div>
             </div>
 